@@ -1,75 +1,6 @@
-import { useState, useCallback, useRef } from 'react';
-import { limitedLet } from 'limitedlet';
-import type {
-  LimitedVariableProxy,
-  LimitedLetOptions,
-  MutationEvent,
-  LastMutationEvent,
-  ViolationAttempt,
-  MutationLimitExceeded
-} from 'limitedlet';
-
-// TypeScript interface for useLimitedLet hook return type
-interface UseLimitedLetResult<T> {
-  value: T;
-  remaining: number;
-  mutationCount: number;
-  violationCount: number;
-  maxMutations: number;
-  isDepleted: boolean;
-  isFrozen: boolean;
-  setValue: (newValue: T) => void;
-  reset?: () => LimitedVariableProxy<T>;
-  freeze: () => LimitedVariableProxy<T>;
-}
-
-// Hook for using limitedLet in React with full TypeScript support
-function useLimitedLet<T>(
-  initialValue: T,
-  maxMutations: number,
-  options?: LimitedLetOptions<T>
-): UseLimitedLetResult<T> {
-  const limitedRef = useRef<LimitedVariableProxy<T>>();
-  const [, forceUpdate] = useState({});
-
-  if (!limitedRef.current) {
-    limitedRef.current = limitedLet(initialValue, maxMutations, {
-      ...options,
-      onMutate: (event: MutationEvent<T>) => {
-        forceUpdate({});
-        options?.onMutate?.(event);
-      },
-      onLastMutation: (event: LastMutationEvent<T>) => {
-        forceUpdate({});
-        options?.onLastMutation?.(event);
-      }
-    });
-  }
-
-  const setValue = useCallback((newValue: T) => {
-    try {
-      if (limitedRef.current) {
-        limitedRef.current.value = newValue;
-      }
-    } catch (error) {
-      console.error('Mutation failed:', error);
-    }
-  }, []);
-
-  return {
-    value: limitedRef.current?.value,
-    remaining: limitedRef.current?.remaining ?? 0,
-    mutationCount: limitedRef.current?.mutationCount ?? 0,
-    violationCount: limitedRef.current?.violationCount ?? 0,
-    maxMutations: limitedRef.current?.maxMutations ?? 0,
-    isDepleted: limitedRef.current?.isDepleted() ?? false,
-    isFrozen: limitedRef.current?.isFrozen() ?? false,
-    setValue,
-    reset: limitedRef.current?.reset?.bind(limitedRef.current),
-    freeze: limitedRef.current?.freeze?.bind(limitedRef.current)
-  };
-}
-
+import { useState } from 'react';
+import { useLimitedLet } from 'limitedlet/react';
+import type { MutationEvent, ViolationAttempt } from 'limitedlet';
 
 // Configuration object example demonstrating object mutations and callbacks
 function ConfigurationExample() {
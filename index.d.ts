@@ -6,7 +6,18 @@ export interface MutationContext {
   history?: HistoryEntry[];
   frozen?: boolean;
   mutationPath?: string;
-  mutationType?: 'property' | 'delete' | 'array-method';
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  nextAvailableAt?: number;
+  pathBudget?: PathBudget;
+  mutationPaths?: string[];
+  reserved?: number;
+}
+
+export interface PathBudget {
+  pattern: string;
+  maxMutations: number;
+  currentMutations: number;
+  remaining: number;
 }
 
 export class MutationLimitExceeded extends Error {
@@ -15,14 +26,45 @@ export class MutationLimitExceeded extends Error {
   constructor(message: string, context: MutationContext);
 }
 
+export interface ValidationErrorContext {
+  attemptedValue: any;
+  currentValue: any;
+  reason: string;
+  mutationPath?: string;
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  issues?: ReadonlyArray<StandardSchemaIssue>;
+}
+
+export class MutationValidationError extends Error {
+  name: 'MutationValidationError';
+  context: ValidationErrorContext;
+  constructor(message: string, context: ValidationErrorContext);
+}
+
+export type JsonPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
 export interface HistoryEntry {
   value: any;
   previousValue?: any;
   timestamp: number;
   mutation: number;
-  type: 'initial' | 'mutation' | 'reset' | 'violation' | 'deep-mutation';
+  type: 'initial' | 'mutation' | 'reset' | 'violation' | 'deep-mutation' | 'undo' | 'redo' | 'restore' | 'rejected' | 'transaction' | 'noop' | 'expired' | 'unfreeze' | 'grant' | 'revoke' | 'compacted';
   mutationPath?: string;
-  mutationType?: 'property' | 'delete' | 'array-method';
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  nextAvailableAt?: number;
+  restoredIndex?: number;
+  reason?: string;
+  mutationPaths?: string[];
+  cost?: number;
+  unlockedBy?: string | null;
+  previousMaxMutations?: number;
+  maxMutations?: number;
+  dropped?: Record<string, number>;
+  patch?: JsonPatchOperation[];
+  inversePatch?: JsonPatchOperation[];
 }
 
 export interface MutationEvent<T> {
@@ -31,14 +73,54 @@ export interface MutationEvent<T> {
   mutationCount: number;
   remaining: number;
   mutationPath?: string;
-  mutationType?: 'property' | 'delete' | 'array-method';
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  type?: 'undo' | 'redo' | 'restore' | 'transaction';
+  mutationPaths?: string[];
+  cost: number;
+  patch?: JsonPatchOperation[];
+  inversePatch?: JsonPatchOperation[];
 }
 
 export interface LastMutationEvent<T> {
   value: T;
   history?: HistoryEntry[];
   mutationPath?: string;
-  mutationType?: 'property' | 'delete' | 'array-method';
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  mutationPaths?: string[];
+}
+
+export interface ExpireEvent<T> {
+  value: T;
+  expiredAt: number;
+  mutationCount: number;
+  remaining: number;
+}
+
+export interface RefillEvent {
+  remaining: number;
+  mutationCount: number;
+  nextAvailableAt: number | null;
+}
+
+export interface ReserveEvent {
+  /** Mutations held (positive) or handed back by cancel() (negative) */
+  change: number;
+  reserved: number;
+  remaining: number;
+}
+
+/** What getState() returns: a side-effect-free read of the variable */
+export interface VariableState<T> {
+  value: T;
+  remaining: number;
+  mutationCount: number;
+  violationCount: number;
+  maxMutations: number;
+  isDepleted: boolean;
+  /** Also true once the deadline has passed, before anything records the expiry */
+  isFrozen: boolean;
+  /** A strict-mode violation blocks `value` reads until reset() or a window refill */
+  isViolated: boolean;
 }
 
 export interface ViolationAttempt<T> {
@@ -50,19 +132,107 @@ export interface ViolationAttempt<T> {
   timestamp: number;
   totalAttempts: number;
   mutationPath?: string;
-  mutationType?: 'property' | 'delete' | 'array-method';
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  nextAvailableAt?: number;
+  pathBudget?: PathBudget;
+  mutationPaths?: string[];
+  cost: number;
+}
+
+export interface FixedWindowOptions {
+  strategy?: 'fixed';
+  size: number;
+}
+
+export interface SlidingWindowOptions {
+  strategy: 'sliding';
+  size: number;
+}
+
+export interface TokenBucketOptions {
+  strategy?: 'token-bucket';
+  capacity?: number;
+  refillPerMs: number;
+}
+
+export type WindowOptions = FixedWindowOptions | SlidingWindowOptions | TokenBucketOptions;
+
+export interface Clock {
+  now(): number;
+}
+
+export interface FakeClock extends Clock {
+  advance(ms: number): number;
+  set(time: number | Date): number;
+}
+
+export type RestorePolicy = 'consume' | 'refund' | 'free';
+
+export interface StorageAdapter {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem?(key: string): void;
+}
+
+export interface StandardSchemaIssue {
+  message: string;
+  path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>;
+}
+
+export interface ValidationContext<T> {
+  type: 'mutation' | 'deep-mutation' | 'undo' | 'redo' | 'restore' | 'transaction';
+  path: string;
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  mutationCount: number;
+  remaining: number;
+  root: T;
+  readonly next: T;
 }
 
+export type ValidateResult = boolean | string | { issues: ReadonlyArray<StandardSchemaIssue> } | void;
+
+export interface CostContext {
+  type: 'mutation' | 'deep-mutation' | 'transaction' | 'undo' | 'redo' | 'restore';
+  path: string;
+  mutationType?: 'property' | 'delete' | 'array-method' | 'collection-method' | 'date-method' | 'typed-array-method';
+  mutationCount: number;
+  remaining: number;
+}
+
+export type EqualityMode = 'strict' | 'shallow' | 'deep';
+
 export interface LimitedLetOptions<T = any> {
   trackHistory?: boolean;
+  historySnapshot?: 'reference' | 'structuredClone' | ((value: any) => any);
+  historyLimit?: number | null;
+  historyMaxAgeMs?: number | null;
   strictMode?: boolean;
   allowReset?: boolean;
   autoFreeze?: boolean;
   trackDeepMutations?: boolean; // NEW: Enable deep mutation tracking (default: true)
+  trackDates?: boolean;
+  trackTypedArrays?: boolean;
+  window?: WindowOptions | null;
+  restorePolicy?: RestorePolicy;
+  storage?: StorageAdapter | null;
+  storageKey?: string | null;
+  pathLimits?: Record<string, number> | null;
+  validate?: ((newValue: any, oldValue: any, ctx: ValidationContext<T>) => ValidateResult) | null;
+  equals?: EqualityMode | ((a: any, b: any) => boolean) | null;
+  recordNoops?: boolean;
+  cost?: number | ((newValue: any, oldValue: any, ctx: CostContext) => number) | null;
+  ttl?: number | null;
+  freezeAt?: Date | number | null;
+  expiryTimer?: boolean;
+  clock?: Clock | null;
   onMutate?: (event: MutationEvent<T>) => void;
   onViolation?: (error: MutationLimitExceeded) => void;
   onLastMutation?: (event: LastMutationEvent<T>) => void;
   onLimitExceeded?: (attempt: ViolationAttempt<T>) => void;
+  onExpire?: (event: ExpireEvent<T>) => void;
+  onRefill?: (event: RefillEvent) => void;
+  onReserve?: (event: ReserveEvent) => void;
+  maxGrant?: number | null;
   errorMessage?: string;
 }
 
@@ -71,42 +241,215 @@ export interface LimitedVariableJSON<T> {
   maxMutations: number;
   mutationCount: number;
   violationCount: number;
+  spent?: number;
   remaining: number;
+  reserved?: number;
   frozen: boolean;
+  violated: boolean;
+  expiresAt?: number;
+  expired?: boolean;
+  autoFrozen?: boolean;
+  windowState?: WindowState;
+  pathCounts?: Record<string, number>;
   history?: HistoryEntry[];
 }
 
+export interface Reservation<T> {
+  readonly remaining: number;
+  commit(value: T): void;
+  cancel(): void;
+}
+
+export interface UnlockOptions {
+  by?: string | null;
+}
+
+export interface ResetOptions extends UnlockOptions {
+  key?: symbol;
+}
+
+export interface CompactOptions {
+  limit?: number | null;
+  maxAgeMs?: number | null;
+}
+
+export type HistoryFormat = 'ndjson' | 'json' | 'csv';
+
+export interface HistoryFormatOptions {
+  format?: HistoryFormat;
+}
+
+/** One history entry as written by exportHistory(); values use the tagged encoding */
+export interface HistoryRecord {
+  version: 1;
+  index: number;
+  type: HistoryEntry['type'];
+  mutation: number;
+  timestamp: number;
+  path: string | null;
+  value?: unknown;
+  previousValue?: unknown;
+  details: Record<string, unknown>;
+}
+
+export interface ReplayOptions<T = any> extends LimitedLetOptions<T> {
+  maxMutations: number;
+  format?: HistoryFormat;
+}
+
+export interface ReplayDivergence {
+  index: number;
+  reason: 'type' | 'mutation-count' | 'value' | 'frozen' | 'error' | 'unsupported';
+  message: string;
+  expected: HistoryEntry;
+  actual: HistoryEntry | null;
+  error?: Error;
+}
+
+export interface ReplayResult<T> {
+  variable: LimitedVariable<T>;
+  replayed: number;
+  divergence: ReplayDivergence | null;
+}
+
+export type LimitedEventType = 'mutate' | 'violation' | 'lastMutation' | 'limitExceeded' | 'expire' | 'refill' | 'reserve';
+
+export interface LimitedEventMap<T> {
+  mutate: MutationEvent<T>;
+  violation: MutationLimitExceeded;
+  lastMutation: LastMutationEvent<T>;
+  limitExceeded: ViolationAttempt<T>;
+  expire: ExpireEvent<T>;
+  refill: RefillEvent;
+  reserve: ReserveEvent;
+}
+
+export interface SubscribeOptions<K extends LimitedEventType> {
+  types?: K | K[];
+}
+
+export interface MutationObservable<T> {
+  subscribe(
+    observer: ((event: MutationEvent<T>) => void) | { next?(event: MutationEvent<T>): void }
+  ): { unsubscribe(): void };
+  [Symbol.observable](): MutationObservable<T>;
+}
+
+declare global {
+  interface SymbolConstructor {
+    readonly observable: symbol;
+  }
+}
+
+export type WindowState =
+  | { start: number; count: number }
+  | { timestamps: number[] }
+  | { tokens: number; updatedAt: number };
+
 export class LimitedVariable<T = any> {
   constructor(initialValue: T, maxMutations?: number, options?: LimitedLetOptions<T>);
 
   get value(): T;
   set value(newValue: T);
+  set(newValue: T, options?: { cost?: number }): this;
 
   readonly remaining: number;
+  readonly nextAvailableAt: number | null;
+  readonly expiresAt: number | null;
+  remainingAt(path: string | Array<string | number>): number;
   readonly history: HistoryEntry[];
+  compact(options?: CompactOptions): this;
+  exportHistory(options?: HistoryFormatOptions): string;
   readonly mutationCount: number;
+  readonly spent: number;
   readonly violationCount: number;
   readonly maxMutations: number;
 
   isDepleted(): boolean;
   isFrozen(): boolean;
+  getState(): VariableState<T>;
   freeze(): this;
-  reset(): this;
+  freeze(options: { unlockable: true }): symbol;
+  unfreeze(key: symbol, options?: UnlockOptions): this;
+  reset(options?: ResetOptions): this;
+  grant(n: number): this;
+  revoke(n: number): this;
+  setMaxMutations(n: number): this;
+  undo(): this;
+  redo(): this;
+  restoreTo(target: number | Date): this;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  diff(fromIndex: number, toIndex?: number): JsonPatchOperation[];
+  applyPatch(ops: ReadonlyArray<JsonPatchOperation>): this;
+  transaction<R>(fn: (draft: T) => R): R;
+  reserve(n?: number): Reservation<T>;
+  setAsync(promiseOrFn: T | PromiseLike<T> | (() => T | PromiseLike<T>)): Promise<T>;
+  subscribe<K extends LimitedEventType = LimitedEventType>(
+    listener: (event: LimitedEventMap<T>[K], type: K) => void,
+    options?: SubscribeOptions<K>
+  ): () => void;
+  changes<K extends LimitedEventType = 'mutate'>(options?: SubscribeOptions<K>): AsyncIterableIterator<LimitedEventMap<T>[K]>;
+  [Symbol.observable](): MutationObservable<T>;
   toString(): string;
   toJSON(): LimitedVariableJSON<T>;
+
+  static fromJSON<T = any>(
+    snapshot: LimitedVariableJSON<T> | string,
+    options?: LimitedLetOptions<T>
+  ): LimitedVariable<T>;
+
+  static importHistory(
+    data: string | ReadonlyArray<HistoryRecord>,
+    options?: HistoryFormatOptions
+  ): ReadonlyArray<Readonly<HistoryEntry>>;
+
+  static replay<T = any>(
+    history: ReadonlyArray<HistoryEntry> | string,
+    options: ReplayOptions<T>
+  ): ReplayResult<T>;
 }
 
 export interface LimitedVariableProxy<T> {
   value: T;
+  set(newValue: T, options?: { cost?: number }): LimitedVariableProxy<T>;
   readonly remaining: number;
+  readonly nextAvailableAt: number | null;
+  readonly expiresAt: number | null;
+  remainingAt(path: string | Array<string | number>): number;
   readonly history: HistoryEntry[];
+  compact(options?: CompactOptions): LimitedVariableProxy<T>;
+  exportHistory(options?: HistoryFormatOptions): string;
   readonly mutationCount: number;
+  readonly spent: number;
   readonly violationCount: number;
   readonly maxMutations: number;
   isDepleted(): boolean;
   isFrozen(): boolean;
+  getState(): VariableState<T>;
   freeze(): LimitedVariableProxy<T>;
-  reset(): LimitedVariableProxy<T>;
+  freeze(options: { unlockable: true }): symbol;
+  unfreeze(key: symbol, options?: UnlockOptions): LimitedVariableProxy<T>;
+  reset(options?: ResetOptions): LimitedVariableProxy<T>;
+  grant(n: number): LimitedVariableProxy<T>;
+  revoke(n: number): LimitedVariableProxy<T>;
+  setMaxMutations(n: number): LimitedVariableProxy<T>;
+  undo(): LimitedVariableProxy<T>;
+  redo(): LimitedVariableProxy<T>;
+  restoreTo(target: number | Date): LimitedVariableProxy<T>;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  diff(fromIndex: number, toIndex?: number): JsonPatchOperation[];
+  applyPatch(ops: ReadonlyArray<JsonPatchOperation>): LimitedVariableProxy<T>;
+  transaction<R>(fn: (draft: T) => R): R;
+  reserve(n?: number): Reservation<T>;
+  setAsync(promiseOrFn: T | PromiseLike<T> | (() => T | PromiseLike<T>)): Promise<T>;
+  subscribe<K extends LimitedEventType = LimitedEventType>(
+    listener: (event: LimitedEventMap<T>[K], type: K) => void,
+    options?: SubscribeOptions<K>
+  ): () => void;
+  changes<K extends LimitedEventType = 'mutate'>(options?: SubscribeOptions<K>): AsyncIterableIterator<LimitedEventMap<T>[K]>;
+  [Symbol.observable](): MutationObservable<T>;
   toString(): string;
   toJSON(): LimitedVariableJSON<T>;
   valueOf(): T;
@@ -118,4 +461,94 @@ export function limitedLet<T = any>(
   options?: LimitedLetOptions<T>
 ): LimitedVariableProxy<T>;
 
+export namespace limitedLet {
+  function restore<T = any>(
+    snapshot: LimitedVariableJSON<T> | string,
+    options?: LimitedLetOptions<T>
+  ): LimitedVariableProxy<T>;
+}
+
+export interface GroupHistoryEntry extends HistoryEntry {
+  member?: string;
+}
+
+export interface GroupMutationEvent extends MutationEvent<any> {
+  member: string;
+}
+
+export interface GroupLastMutationEvent {
+  member: string;
+  value: any;
+  history?: GroupHistoryEntry[];
+}
+
+export interface GroupViolationAttempt extends ViolationAttempt<any> {
+  member: string;
+}
+
+export interface LimitedGroupOptions<M = any> {
+  trackHistory?: boolean;
+  strictMode?: boolean;
+  allowReset?: boolean;
+  autoFreeze?: boolean;
+  errorMessage?: string;
+  members?: { [K in keyof M]?: LimitedLetOptions<M[K]> };
+  clock?: Clock | null;
+  onMutate?: (event: GroupMutationEvent) => void;
+  onViolation?: (error: MutationLimitExceeded, member: string) => void;
+  onLastMutation?: (event: GroupLastMutationEvent) => void;
+  onLimitExceeded?: (attempt: GroupViolationAttempt) => void;
+}
+
+export type GroupMember<V> = V extends LimitedGroup<infer S> ? LimitedGroupOf<S> : LimitedVariableProxy<V>;
+
+export type GroupValues<M> = { [K in keyof M]: M[K] extends LimitedGroup<infer S> ? GroupValues<S> : M[K] };
+
+export class LimitedGroup<M extends Record<string, any> = Record<string, any>> {
+  constructor(initialValues: M, maxMutations?: number, options?: LimitedGroupOptions<M>);
+  readonly value: GroupValues<M>;
+  readonly members: { [K in keyof M]: GroupMember<M[K]> };
+  readonly remaining: number;
+  readonly mutationCount: number;
+  readonly spent: number;
+  readonly violationCount: number;
+  readonly maxMutations: number;
+  readonly history: GroupHistoryEntry[];
+  isDepleted(): boolean;
+  isFrozen(): boolean;
+  freeze(): this;
+  reset(): this;
+}
+
+export type LimitedGroupOf<M extends Record<string, any>> = LimitedGroup<M> & { readonly [K in keyof M]: GroupMember<M[K]> };
+
+export function limitedGroup<M extends Record<string, any>>(
+  initialValues: M,
+  maxMutations?: number,
+  options?: LimitedGroupOptions<M>
+): LimitedGroupOf<M>;
+
+export function fromStandardSchema<T = any>(schema: {
+  '~standard': { validate(value: unknown): any };
+}): (newValue: any, oldValue: any, ctx: ValidationContext<T>) => ValidateResult;
+
+export function setDefaultClock(clock: Clock | null): Clock | null;
+
+export function createFakeClock(start?: number | Date): FakeClock;
+
+export function memoryStorage(initialEntries?: Record<string, string>): Required<StorageAdapter>;
+
+export function jsonFileStorage(
+  filePath: string,
+  options?: { fs?: any }
+): Required<StorageAdapter>;
+
+export function webStorage(
+  storage?: {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+    removeItem(key: string): void;
+  }
+): Required<StorageAdapter>;
+
 export default limitedLet;
\ No newline at end of file
@@ -6,565 +6,4288 @@ class MutationLimitExceeded extends Error {
   }
 }
 
+class MutationValidationError extends Error {
+  constructor(message, context) {
+    super(message);
+    this.name = 'MutationValidationError';
+    this.context = context;
+  }
+}
+
 /**
- * Core implementation of limited mutable variables
+ * Validates and normalizes the `window` option into a time-windowed quota config
  *
- * This class provides controlled mutability that sits between const and let:
- * - Tracks mutation attempts with detailed violation information
- * - Supports both strict mode (production) and non-strict mode (tracking/development)
- * - Implements semantic coupling between strictMode and autoFreeze options
- * - Provides comprehensive history tracking and callback system
- * - Uses private fields for true encapsulation and security
+ * Supported strategies:
+ * - fixed:        maxMutations per consecutive window of `size` ms
+ * - sliding:      maxMutations within any trailing `size` ms
+ * - token-bucket: up to `capacity` mutations, refilling `refillPerMs` per millisecond
+ */
+function normalizeWindow(window, maxMutations) {
+  if (window === null || window === undefined) {
+    return null;
+  }
+  if (typeof window !== 'object') {
+    throw new TypeError('The window option must be an object, e.g. { strategy: \'sliding\', size: 60000 }');
+  }
+
+  const strategy = window.strategy || (window.refillPerMs !== undefined ? 'token-bucket' : 'fixed');
+
+  if (strategy === 'fixed' || strategy === 'sliding') {
+    if (!(typeof window.size === 'number' && window.size > 0)) {
+      throw new TypeError(`window.size must be a positive number of milliseconds for the '${strategy}' strategy`);
+    }
+    return { strategy, size: window.size };
+  }
+
+  if (strategy === 'token-bucket') {
+    const capacity = window.capacity !== undefined ? window.capacity : maxMutations;
+    if (!(typeof capacity === 'number' && capacity > 0)) {
+      throw new TypeError('window.capacity must be a positive number for the \'token-bucket\' strategy');
+    }
+    if (!(typeof window.refillPerMs === 'number' && window.refillPerMs > 0)) {
+      throw new TypeError('window.refillPerMs must be a positive number for the \'token-bucket\' strategy');
+    }
+    return { strategy, capacity, refillPerMs: window.refillPerMs };
+  }
+
+  throw new TypeError(`Unknown window strategy '${strategy}'. Use 'fixed', 'sliding' or 'token-bucket'.`);
+}
+
+/**
+ * Turns the ttl / freezeAt options into an absolute deadline in ms, or null
+ * when the variable never expires. `ttl` counts from `now` (creation time).
+ */
+function normalizeExpiry(ttl, freezeAt, now) {
+  const hasTtl = ttl !== null && ttl !== undefined;
+  const hasFreezeAt = freezeAt !== null && freezeAt !== undefined;
+  if (hasTtl && hasFreezeAt) {
+    throw new TypeError('Use either the ttl or the freezeAt option, not both');
+  }
+  if (hasTtl) {
+    if (!(typeof ttl === 'number' && ttl >= 0 && Number.isFinite(ttl))) {
+      throw new TypeError('The ttl option must be a non-negative number of milliseconds');
+    }
+    return now + ttl;
+  }
+  if (hasFreezeAt) {
+    const deadline = freezeAt instanceof Date ? freezeAt.getTime() : freezeAt;
+    if (!(typeof deadline === 'number' && Number.isFinite(deadline))) {
+      throw new TypeError('The freezeAt option must be a valid Date or a timestamp in milliseconds');
+    }
+    return deadline;
+  }
+  return null;
+}
+
+// Longest delay setTimeout() accepts; later deadlines are reached in several hops
+const MAX_TIMER_DELAY = 2147483647;
+
+// === CLOCKS ===
+
+// Clock used by variables and groups created without a clock option (null = Date.now)
+let defaultClock = null;
+
+function isClock(clock) {
+  return Boolean(clock) && typeof clock.now === 'function';
+}
+
+/**
+ * Sets the clock every variable and group without a `clock` option reads
+ * time from: history timestamps, violation records, windows, expiry and
+ * toJSON(). Pass null to go back to Date.now. Returns the previous clock.
+ */
+function setDefaultClock(clock) {
+  if (clock !== null && !isClock(clock)) {
+    throw new TypeError('setDefaultClock() expects an object with a now() method returning milliseconds, or null');
+  }
+  const previous = defaultClock;
+  defaultClock = clock;
+  return previous;
+}
+
+/**
+ * A clock that only moves when told to, for tests: `advance(ms)` moves it
+ * forward and `set(time)` jumps to a timestamp (a number or a Date).
+ */
+function createFakeClock(start = 0) {
+  const toTime = (time) => (time instanceof Date ? time.getTime() : time);
+  let time = toTime(start);
+  if (!(typeof time === 'number' && Number.isFinite(time))) {
+    throw new TypeError('createFakeClock() expects a start time in milliseconds or a Date');
+  }
+  return {
+    now() {
+      return time;
+    },
+    advance(ms) {
+      if (!(typeof ms === 'number' && ms >= 0 && Number.isFinite(ms))) {
+        throw new TypeError('advance() expects a non-negative number of milliseconds');
+      }
+      time += ms;
+      return time;
+    },
+    set(next) {
+      const value = toTime(next);
+      if (!(typeof value === 'number' && Number.isFinite(value))) {
+        throw new TypeError('set() expects a timestamp in milliseconds or a Date');
+      }
+      time = value;
+      return time;
+    }
+  };
+}
+
+// Current time from a clock option, else the default clock, else Date.now
+function readClock(clock) {
+  const source = clock || defaultClock;
+  return source ? source.now() : Date.now();
+}
+
+const RESTORE_POLICIES = ['consume', 'refund', 'free'];
+
+// Event types for subscribe()/changes(), and the option callback each one mirrors
+const EVENT_CALLBACKS = {
+  mutate: 'onMutate',
+  violation: 'onViolation',
+  lastMutation: 'onLastMutation',
+  limitExceeded: 'onLimitExceeded',
+  expire: 'onExpire',
+  refill: 'onRefill',
+  reserve: 'onReserve'
+};
+
+// Interop key for Observable libraries (RxJS, zen-observable, ...), which
+// fall back to '@@observable' where Symbol.observable is not defined
+const OBSERVABLE = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+/**
+ * Normalizes what a `validate` option returned into a rejection reason,
+ * or null when the mutation is accepted.
  *
- * Key architectural decisions:
- * - strictMode: false automatically disables autoFreeze for continued tracking
- * - Violation tracking works in both modes but behavior differs
- * - History includes both successful mutations and tracked violations
- * - Callbacks provide hooks for monitoring, logging, and behavioral analysis
+ * Rejections: `false`, a message string, or a Standard Schema style
+ * `{ issues: [...] }` failure. Anything else accepts. Errors thrown by the
+ * validator are not rejections and propagate to the caller.
  */
-class LimitedVariable {
-  // Core state
-  #value;
-  #maxMutations;
-  #mutationCount = 0;
-  #violationCount = 0;
-  #history = [];
-  #options;
+function interpretValidation(result) {
+  if (result === false) {
+    return { reason: 'Value rejected by validate option' };
+  }
+  if (typeof result === 'string') {
+    return { reason: result };
+  }
+  if (result && typeof result === 'object' && Array.isArray(result.issues)) {
+    const messages = result.issues.map(issue => {
+      const path = Array.isArray(issue.path) && issue.path.length > 0
+        ? `${issue.path.map(segment => (segment && typeof segment === 'object' ? segment.key : segment)).join('.')}: `
+        : '';
+      return `${path}${issue.message}`;
+    });
+    return { reason: messages.join('; ') || 'Value rejected by schema', issues: result.issues };
+  }
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles the `pathLimits` option into matchers over dot-joined mutation paths
+ *
+ * Pattern syntax (each pattern also covers everything nested below it):
+ * - 'profile.name'   exact path
+ * - 'preferences.*'  `*` matches any single segment
+ * - 'tags[]'         elements of the tags array and its mutating methods
+ *
+ * `segments` keeps the parsed pattern for writes that replace a value above
+ * it (see enclosesBudget() and changesBelow()).
+ */
+function compilePathLimits(pathLimits) {
+  if (pathLimits === null || pathLimits === undefined) {
+    return [];
+  }
+  if (typeof pathLimits !== 'object' || Array.isArray(pathLimits)) {
+    throw new TypeError('The pathLimits option must be an object mapping path patterns to budgets');
+  }
+
+  return Object.keys(pathLimits).map(pattern => {
+    const limit = pathLimits[pattern];
+    if (pattern === '') {
+      throw new TypeError('pathLimits patterns must be non-empty strings');
+    }
+    if (!(Number.isInteger(limit) && limit >= 0)) {
+      throw new TypeError(`pathLimits['${pattern}'] must be a non-negative integer`);
+    }
+
+    const segments = [];
+    pattern.split('.').forEach(segment => {
+      if (segment === '*') {
+        segments.push({ any: true });
+      } else if (segment.endsWith('[]')) {
+        segments.push({ key: segment.slice(0, -2) }, { element: true });
+      } else {
+        segments.push({ key: segment });
+      }
+    });
+    const source = segments.map(segment => {
+      if (segment.any) {
+        return '[^.]+';
+      }
+      return segment.element ? '(?:\\d+|\\w+\\(\\))' : escapeRegExp(segment.key);
+    }).join('\\.');
+
+    return { pattern, limit, count: 0, segments, matcher: new RegExp(`^${source}(?:\\..+)?$`) };
+  });
+}
+
+// True when a budget's pattern lies strictly below `path` (a list of
+// segments), so writing a new value at `path` may change what it covers
+function enclosesBudget(path, segments) {
+  return path.length < segments.length && path.every((segment, i) => {
+    const text = String(segment);
+    if (segments[i].any) {
+      return !text.includes('.');
+    }
+    return segments[i].element ? /^(?:\d+|\w+\(\))$/.test(text) : text === segments[i].key;
+  });
+}
+
+// True when replacing `before` with `after`, the values at a path `depth`
+// segments deep, changes anything the pattern covers below that path
+function changesBelow(segments, depth, before, after) {
+  if (depth === segments.length) {
+    return !deepEqual(before, after);
+  }
+  const isContainer = (value) => isRecord(value) || Array.isArray(value);
+  const child = (value, key) => (isContainer(value) ? value[key] : undefined);
+  const segment = segments[depth];
+  if (segment.key !== undefined) {
+    return changesBelow(segments, depth + 1, child(before, segment.key), child(after, segment.key));
+  }
+  const keys = new Set([before, after].flatMap(value => (isContainer(value) ? Object.keys(value) : [])));
+  return [...keys].some(key => (segment.any || /^\d+$/.test(key)) &&
+    changesBelow(segments, depth + 1, child(before, key), child(after, key)));
+}
+
+// === EQUALITY ===
+
+function isObjectLike(value) {
+  return value !== null && typeof value === 'object';
+}
+
+// Same own keys (and for collections, same entries) compared with Object.is
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (!isObjectLike(a) || !isObjectLike(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+  return compareContents(a, b, Object.is);
+}
+
+// Structural equality; cycles compare equal when they line up
+function deepEqual(a, b, seen = new Map()) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (!isObjectLike(a) || !isObjectLike(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return false;
+  }
+  if (seen.get(a) === b) {
+    return true;
+  }
+  seen.set(a, b);
+  return compareContents(a, b, (x, y) => deepEqual(x, y, seen));
+}
+
+// Compares two objects of the same prototype, using `same` for their parts
+function compareContents(a, b, same) {
+  if (a instanceof Date) {
+    return Object.is(a.getTime(), b.getTime());
+  }
+  if (a instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  if (a instanceof Map) {
+    if (a.size !== b.size) {
+      return false;
+    }
+    for (const [key, item] of a) {
+      if (!b.has(key) || !same(item, b.get(key))) {
+        return false;
+      }
+    }
+    return true;
+  }
+  if (a instanceof Set) {
+    if (a.size !== b.size) {
+      return false;
+    }
+    for (const item of a) {
+      if (!b.has(item)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  if (a instanceof TypedArray) {
+    return a.length === b.length && a.every((item, index) => Object.is(item, b[index]));
+  }
+  if (a instanceof WeakMap || a instanceof WeakSet || a instanceof Promise || a instanceof Error || a instanceof DataView) {
+    return false;  // Contents cannot be compared
+  }
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && same(a[key], b[key]));
+}
+
+// Resolves the `equals` option to a comparison (null = every write counts)
+function compileEquals(equals) {
+  if (equals === null || equals === undefined) {
+    return null;
+  }
+  if (typeof equals === 'function') {
+    return equals;
+  }
+  if (equals === 'strict') {
+    return Object.is;
+  }
+  if (equals === 'shallow') {
+    return shallowEqual;
+  }
+  if (equals === 'deep') {
+    return (a, b) => deepEqual(a, b);
+  }
+  throw new TypeError(`Unknown equals '${equals}'. Use 'strict', 'shallow', 'deep' or a function (a, b) => boolean.`);
+}
+
+// Resolves the historySnapshot option to a copy function (null = keep references).
+// Deep-tracked values are proxies that structuredClone() refuses, so they are
+// read through with cloneValue() first.
+function compileHistorySnapshot(historySnapshot) {
+  if (historySnapshot === null || historySnapshot === undefined || historySnapshot === 'reference') {
+    return null;
+  }
+  if (typeof historySnapshot === 'function') {
+    return historySnapshot;
+  }
+  if (historySnapshot === 'structuredClone') {
+    return (value) => {
+      if (!isObjectLike(value)) {
+        return value;
+      }
+      // Runtimes without structuredClone() (Node < 17) get the plain deep copy
+      const copy = cloneValue(value);
+      if (typeof structuredClone !== 'function') {
+        return copy;
+      }
+      try {
+        return structuredClone(copy);
+      } catch (error) {
+        // structuredClone() refuses functions, symbols and the like; the
+        // plain deep copy keeps those by reference instead
+        if (error && error.name === 'DataCloneError') {
+          return copy;
+        }
+        throw error;
+      }
+    };
+  }
+  throw new TypeError(`Unknown historySnapshot '${historySnapshot}'. Use 'reference', 'structuredClone' or a function (value) => copy.`);
+}
+
+// Checks historyLimit / historyMaxAgeMs values (null = unbounded)
+function checkRetention(limit, maxAgeMs, names) {
+  if (limit !== null && !isCount(limit)) {
+    throw new TypeError(`${names[0]} must be a non-negative integer number of entries`);
+  }
+  if (maxAgeMs !== null && !(typeof maxAgeMs === 'number' && maxAgeMs > 0)) {
+    throw new TypeError(`${names[1]} must be a positive number of milliseconds`);
+  }
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks that a toJSON() snapshot is well-formed and internally consistent
+ * before it is used to rebuild a LimitedVariable. Throws a TypeError naming
+ * the first problem found.
+ */
+function validateSnapshot(snapshot, windowed) {
+  const fail = (reason) => {
+    throw new TypeError(`Invalid LimitedVariable snapshot: ${reason}`);
+  };
+
+  if (snapshot === null || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+    fail('expected an object produced by toJSON()');
+  }
+  if (!(typeof snapshot.maxMutations === 'number' && snapshot.maxMutations >= 0)) {
+    fail('"maxMutations" must be a non-negative number');
+  }
+  if (!isCount(snapshot.mutationCount)) {
+    fail('"mutationCount" must be a non-negative integer');
+  }
+  if (!isCount(snapshot.violationCount)) {
+    fail('"violationCount" must be a non-negative integer');
+  }
+  if (snapshot.reserved !== undefined && !isCount(snapshot.reserved)) {
+    fail('"reserved" must be a non-negative integer');
+  }
+  if (snapshot.spent !== undefined && !isCount(snapshot.spent)) {
+    fail('"spent" must be a non-negative integer');
+  }
+  if (snapshot.expiresAt !== undefined && !(typeof snapshot.expiresAt === 'number' && Number.isFinite(snapshot.expiresAt))) {
+    fail('"expiresAt" must be a timestamp in milliseconds');
+  }
+  for (const flag of ['frozen', 'violated', 'expired', 'autoFrozen']) {
+    if (snapshot[flag] !== undefined && typeof snapshot[flag] !== 'boolean') {
+      fail(`"${flag}" must be a boolean`);
+    }
+  }
+
+  // Checked before the counts: a windowed variable's mutationCount may well
+  // exceed maxMutations, which would otherwise hide the real mismatch
+  if (!windowed && snapshot.windowState !== undefined && snapshot.windowState !== null) {
+    fail('it includes window state from a time-windowed variable; pass the same window in options.window to restore it');
+  }
+
+  // Lifetime budgets can never be overspent, and "remaining" is derived from the counts
+  if (!windowed) {
+    if (snapshot.mutationCount > snapshot.maxMutations) {
+      fail(`mutationCount (${snapshot.mutationCount}) exceeds maxMutations (${snapshot.maxMutations})`);
+    }
+    // Snapshots from before weighted costs have no "spent": every mutation cost 1
+    const spent = snapshot.spent === undefined ? snapshot.mutationCount : snapshot.spent;
+    if (spent < snapshot.mutationCount || spent > snapshot.maxMutations) {
+      fail(`spent (${spent}) must be between mutationCount (${snapshot.mutationCount}) and maxMutations (${snapshot.maxMutations})`);
+    }
+    const expectedRemaining = Math.max(0, snapshot.maxMutations - spent - (snapshot.reserved || 0));
+    if (snapshot.remaining !== undefined && snapshot.remaining !== expectedRemaining) {
+      fail(`"remaining" is ${snapshot.remaining} but the counts imply ${expectedRemaining}`);
+    }
+  }
+
+  if (snapshot.history !== undefined && snapshot.history !== null) {
+    const history = snapshot.history;
+    if (!Array.isArray(history) || history.length === 0) {
+      fail('"history" must be a non-empty array');
+    }
+    history.forEach((entry, index) => {
+      if (entry === null || typeof entry !== 'object') {
+        fail(`history[${index}] is not an object`);
+      }
+      if (typeof entry.type !== 'string') {
+        fail(`history[${index}].type must be a string`);
+      }
+      if (typeof entry.timestamp !== 'number' || !Number.isFinite(entry.timestamp)) {
+        fail(`history[${index}].timestamp must be a finite number`);
+      }
+      if (!isCount(entry.mutation)) {
+        fail(`history[${index}].mutation must be a non-negative integer`);
+      }
+    });
+    if (history[0].type !== 'initial') {
+      fail('history must start with an "initial" entry');
+    }
+    // Every entry records the mutation count at that moment, so the last one must match
+    const last = history[history.length - 1];
+    if (last.mutation !== snapshot.mutationCount) {
+      fail(`last history entry records ${last.mutation} mutation(s) but mutationCount is ${snapshot.mutationCount}`);
+    }
+  }
+}
+
+// Shared prototype of Int8Array, Uint8Array, Float64Array, ...
+const TypedArray = Object.getPrototypeOf(Int8Array);
+
+// Tracking proxy -> the typed array or DataView it wraps, so the library can
+// still read the buffer that strict mode keeps from callers
+const trackedViews = new WeakMap();
+
+function unwrapView(view) {
+  return trackedViews.get(view) || view;
+}
+
+/**
+ * Deep-clones a value so it can be kept as a point-in-time snapshot
+ *
+ * Reads through deep-tracking proxies (yielding plain copies), preserves
+ * prototypes and circular references, and keeps values it cannot meaningfully
+ * copy (errors, promises, functions) by reference.
+ */
+function cloneValue(value, seen = new Map()) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return seen.get(value);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value instanceof RegExp) {
+    return new RegExp(value.source, value.flags);
+  }
+  if (value instanceof Error || value instanceof Promise) {
+    return value;
+  }
+  if (value instanceof WeakMap || value instanceof WeakSet) {
+    return value;  // Weak collections cannot be enumerated, so cannot be copied
+  }
+  if (value instanceof Map || value instanceof Set) {
+    // Deep-tracking proxies forward the collection methods; anything else
+    // that cannot be iterated is kept by reference
+    try {
+      const copy = value instanceof Map ? new Map() : new Set();
+      seen.set(value, copy);
+      value.forEach((item, key) => {
+        if (copy instanceof Map) {
+          copy.set(key, cloneValue(item, seen));
+        } else {
+          copy.add(cloneValue(item, seen));
+        }
+      });
+      return copy;
+    } catch (error) {
+      return value;
+    }
+  }
+  // instanceof (not ArrayBuffer.isView) so tracked views behind a proxy match too
+  if (value instanceof TypedArray) {
+    return value.slice();
+  }
+  if (value instanceof DataView) {
+    const view = unwrapView(value);
+    return new DataView(view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength));
+  }
+  if (value instanceof ArrayBuffer) {
+    return value.slice(0);
+  }
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    for (let i = 0; i < value.length; i++) {
+      copy[i] = cloneValue(value[i], seen);
+    }
+    return copy;
+  }
+
+  const copy = Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  for (const key of Object.keys(value)) {
+    copy[key] = cloneValue(value[key], seen);
+  }
+  return copy;
+}
+
+// Whether `current` can be edited in place into `wanted` (same kind of container)
+function sameShape(current, wanted) {
+  if (!isObjectLike(current) || !isObjectLike(wanted)) {
+    return false;
+  }
+  if (Array.isArray(current) || Array.isArray(wanted)) {
+    return Array.isArray(current) && Array.isArray(wanted);
+  }
+  if (current instanceof TypedArray) {
+    return wanted instanceof TypedArray && current.constructor === wanted.constructor && current.length === wanted.length;
+  }
+  return [Date, Map, Set].some(type => current instanceof type && wanted instanceof type) ||
+    (isRecord(current) && isRecord(wanted) && Object.getPrototypeOf(current) === Object.getPrototypeOf(wanted));
+}
+
+/**
+ * Edits `target` in place until it deep-equals `source` (a copy taken
+ * earlier), keeping every container both still share. References taken into
+ * `target` stay attached to it instead of to an abandoned copy.
+ */
+function restoreInPlace(target, source, seen = new Set()) {
+  if (seen.has(target)) {
+    return;
+  }
+  seen.add(target);
+
+  const settle = (current, wanted) => {
+    if (sameShape(current, wanted)) {
+      restoreInPlace(current, wanted, seen);
+      return current;
+    }
+    return wanted;
+  };
+
+  if (Array.isArray(target)) {
+    if (target.length > source.length) {
+      target.length = source.length;
+    }
+    source.forEach((item, i) => {
+      const next = settle(target[i], item);
+      if (i >= target.length || !Object.is(next, target[i])) {
+        target[i] = next;
+      }
+    });
+  } else if (target instanceof Map) {
+    [...target.keys()].filter(key => !source.has(key)).forEach(key => target.delete(key));
+    source.forEach((item, key) => {
+      const next = settle(target.get(key), item);
+      if (!target.has(key) || !Object.is(next, target.get(key))) {
+        target.set(key, next);
+      }
+    });
+  } else if (target instanceof Set) {
+    // Object members were copied, so they come back as the copies
+    [...target].filter(item => !source.has(item)).forEach(item => target.delete(item));
+    source.forEach(item => target.add(item));
+  } else if (target instanceof Date) {
+    if (target.getTime() !== source.getTime()) {
+      target.setTime(source.getTime());
+    }
+  } else if (target instanceof TypedArray) {
+    if (!deepEqual(target, source)) {
+      target.set(source);
+    }
+  } else {
+    Object.keys(target).filter(key => !hasOwn(source, key)).forEach(key => delete target[key]);
+    Object.keys(source).forEach(key => {
+      const next = settle(target[key], source[key]);
+      if (!hasOwn(target, key) || !Object.is(next, target[key])) {
+        target[key] = next;
+      }
+    });
+  }
+}
+
+// Readable form of a Map key or Set value inside a mutation path
+function describeKey(key) {
+  if (typeof key === 'string') {
+    return key;
+  }
+  if (typeof key === 'symbol') {
+    return key.toString();
+  }
+  if ((key !== null && typeof key === 'object') || typeof key === 'function') {
+    return Object.prototype.toString.call(key);
+  }
+  return String(key);
+}
+
+/**
+ * Path segment for an entry of a Map (`get(key)`) or Set (`has(value)`).
+ * Joins into path strings like any other segment, but keeps the real key
+ * so code walking a path can reach into the collection.
+ */
+class EntrySegment {
+  constructor(collection, key) {
+    const method = collection instanceof Set || collection instanceof WeakSet ? 'has' : 'get';
+    this.key = key;
+    this.label = `${method}(${describeKey(key)})`;
+  }
+
+  toString() {
+    return this.label;
+  }
+}
+
+// === JSON PATCH ===
+
+const METHOD_MUTATIONS = ['array-method', 'collection-method', 'date-method', 'typed-array-method'];
+const PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+// Pointer tokens that would reach Object.prototype instead of the document
+const UNSAFE_POINTER_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+// One RFC 6901 JSON Pointer segment, with '~' and '/' escaped
+function pointerSegment(key) {
+  return '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new TypeError(`Invalid JSON Pointer ${JSON.stringify(pointer)}: it must be '' or start with '/'`);
+  }
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const unsafe = tokens.find(token => UNSAFE_POINTER_TOKENS.includes(token));
+  if (unsafe !== undefined) {
+    throw new TypeError(`Invalid JSON Pointer ${JSON.stringify(pointer)}: '${unsafe}' is not allowed as a path token`);
+  }
+  return tokens;
+}
+
+// Objects that are diffed key by key; dates, collections and binary data are replaced whole
+function isRecord(value) {
+  return isObjectLike(value) && !Array.isArray(value) &&
+    ![Date, RegExp, Map, Set, WeakMap, WeakSet, TypedArray, DataView, ArrayBuffer, Error, Promise]
+      .some(type => value instanceof type);
+}
+
+/**
+ * RFC 6902 operations turning `before` into `after`, with paths under `pointer`
+ *
+ * Arrays are compared index by index (extra items are added or removed at the
+ * end), objects key by key; anything else that differs is replaced whole.
+ * Values are copied, so later edits cannot change a patch.
+ */
+function diffPatch(before, after, pointer = '', ops = [], seen = new Map()) {
+  if (Object.is(before, after) || seen.get(before) === after) {
+    return ops;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    seen.set(before, after);
+    const common = Math.min(before.length, after.length);
+    for (let i = 0; i < common; i++) {
+      diffPatch(before[i], after[i], pointer + pointerSegment(i), ops, seen);
+    }
+    for (let i = common; i < after.length; i++) {
+      ops.push({ op: 'add', path: pointer + pointerSegment(i), value: cloneValue(after[i]) });
+    }
+    // From the end, so every index is still valid when its turn comes
+    for (let i = before.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: pointer + pointerSegment(i) });
+    }
+    return ops;
+  }
+
+  if (isRecord(before) && isRecord(after) && Object.getPrototypeOf(before) === Object.getPrototypeOf(after)) {
+    seen.set(before, after);
+    for (const key of Object.keys(before)) {
+      if (hasOwn(after, key)) {
+        diffPatch(before[key], after[key], pointer + pointerSegment(key), ops, seen);
+      } else {
+        ops.push({ op: 'remove', path: pointer + pointerSegment(key) });
+      }
+    }
+    for (const key of Object.keys(after)) {
+      if (!hasOwn(before, key)) {
+        ops.push({ op: 'add', path: pointer + pointerSegment(key), value: cloneValue(after[key]) });
+      }
+    }
+    return ops;
+  }
+
+  if (!deepEqual(before, after)) {
+    ops.push({ op: 'replace', path: pointer, value: cloneValue(after) });
+  }
+  return ops;
+}
+
+// Copy of a container that shares its items, so only changed parts differ by identity
+function shallowCopy(value) {
+  if (value instanceof WeakMap || value instanceof WeakSet) {
+    throw new TypeError('Weak collections cannot be copied');
+  }
+  if (Array.isArray(value)) {
+    return [...value];
+  }
+  if (value instanceof Map) {
+    return new Map(value);
+  }
+  if (value instanceof Set) {
+    return new Set(value);
+  }
+  if (isRecord(value)) {
+    return Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+  }
+  return cloneValue(value);
+}
+
+// Applies the last step of a deep mutation to `target`, its direct container
+function applyMutation(target, last, newValue, mutationType) {
+  if (METHOD_MUTATIONS.includes(mutationType)) {
+    target[String(last).slice(0, -2)](...newValue);
+  } else if (last instanceof EntrySegment) {
+    if (mutationType === 'delete') {
+      target.delete(last.key);
+    } else if (target instanceof Map) {
+      target.set(last.key, newValue);
+    } else {
+      target.add(last.key);
+    }
+  } else if (mutationType === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = newValue;
+  }
+}
+
+// Patches for the common edits that touch a single property or array item
+// (including push()), built without copying `container`. Returns null for
+// any other edit, which is diffed against a copy instead.
+function singleEditPatches(container, key, newValue, mutationType, pointer) {
+  if (Array.isArray(container) && mutationType === 'array-method') {
+    if (key !== 'push()') {
+      return null;
+    }
+    const added = newValue.map((item, i) => pointer + pointerSegment(container.length + i));
+    return {
+      patch: newValue.map((item, i) => ({ op: 'add', path: added[i], value: cloneValue(item) })),
+      inversePatch: added.map(path => ({ op: 'remove', path })).reverse()
+    };
+  }
+  if (mutationType !== 'property' && mutationType !== 'delete') {
+    return null;
+  }
+  if (Array.isArray(container)) {
+    const index = /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : -1;
+    if (mutationType === 'delete' || index === -1 || index > container.length ||
+        (index < container.length && !hasOwn(container, key))) {
+      return null;
+    }
+  } else if (!isRecord(container)) {
+    return null;
+  }
+
+  const path = pointer + pointerSegment(key);
+  if (!hasOwn(container, key)) {
+    return mutationType === 'delete' ? { patch: [], inversePatch: [] } :
+      { patch: [{ op: 'add', path, value: cloneValue(newValue) }], inversePatch: [{ op: 'remove', path }] };
+  }
+  const oldValue = container[key];
+  if (mutationType === 'delete') {
+    return { patch: [{ op: 'remove', path }], inversePatch: [{ op: 'add', path, value: cloneValue(oldValue) }] };
+  }
+  return { patch: diffPatch(oldValue, newValue, path), inversePatch: diffPatch(newValue, oldValue, path) };
+}
+
+// Copies `container` and the containers along `path` below it, then applies the mutation
+function copyWithMutation(container, path, newValue, mutationType) {
+  const copy = shallowCopy(container);
+  const [segment, ...rest] = path;
+  if (rest.length === 0) {
+    applyMutation(copy, segment, newValue, mutationType);
+  } else if (segment instanceof EntrySegment) {
+    copy.set(segment.key, copyWithMutation(container.get(segment.key), rest, newValue, mutationType));
+  } else {
+    copy[segment] = copyWithMutation(container[segment], rest, newValue, mutationType);
+  }
+  return copy;
+}
+
+// Resolves a parsed pointer to [parent, key], checking that the parent exists
+function patchTarget(document, tokens, describe) {
+  let parent = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (!isObjectLike(parent) || !hasOwn(parent, Array.isArray(parent) ? arrayIndex(parent, token, describe) : token)) {
+      throw new Error(`${describe}: path does not exist`);
+    }
+    parent = parent[token];
+  }
+  if (!isObjectLike(parent)) {
+    throw new Error(`${describe}: path does not exist`);
+  }
+  return [parent, tokens[tokens.length - 1]];
+}
+
+function arrayIndex(array, token, describe, allowEnd = false) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > array.length || (!allowEnd && Number(token) === array.length)) {
+    throw new Error(`${describe}: array index ${token} is out of bounds`);
+  }
+  return Number(token);
+}
+
+/**
+ * Applies RFC 6902 operations to `document` in place and returns the result
+ * (a different value when an operation targets the whole document). Throws
+ * on the first operation that is malformed, does not fit, or fails a 'test'.
+ */
+function applyPatchOperations(document, ops) {
+  if (!Array.isArray(ops)) {
+    throw new TypeError('applyPatch() expects an array of RFC 6902 operations');
+  }
+
+  let root = document;
+  const read = (tokens, describe) => {
+    if (tokens.length === 0) {
+      return root;
+    }
+    const [parent, key] = patchTarget(root, tokens, describe);
+    const index = Array.isArray(parent) ? arrayIndex(parent, key, describe) : key;
+    if (!hasOwn(parent, index)) {
+      throw new Error(`${describe}: path does not exist`);
+    }
+    return parent[index];
+  };
+  const add = (tokens, value, describe) => {
+    if (tokens.length === 0) {
+      root = value;
+      return;
+    }
+    const [parent, key] = patchTarget(root, tokens, describe);
+    if (Array.isArray(parent)) {
+      parent.splice(arrayIndex(parent, key, describe, true), 0, value);
+    } else {
+      parent[key] = value;
+    }
+  };
+  const remove = (tokens, describe) => {
+    read(tokens, describe);
+    if (tokens.length === 0) {
+      throw new Error(`${describe}: the whole document cannot be removed`);
+    }
+    const [parent, key] = patchTarget(root, tokens, describe);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+  };
+
+  ops.forEach((operation, i) => {
+    if (!isObjectLike(operation) || !PATCH_OPS.includes(operation.op) || typeof operation.path !== 'string') {
+      throw new TypeError(`Patch operation ${i} must be an object with an op (${PATCH_OPS.join(', ')}) and a path`);
+    }
+    const { op } = operation;
+    const describe = `Cannot apply patch operation ${i} (${op} ${operation.path})`;
+    const tokens = parsePointer(operation.path);
+    if (['add', 'replace', 'test'].includes(op) && !('value' in operation)) {
+      throw new TypeError(`Patch operation ${i} (${op}) needs a value`);
+    }
+    if (['move', 'copy'].includes(op) && typeof operation.from !== 'string') {
+      throw new TypeError(`Patch operation ${i} (${op}) needs a from pointer`);
+    }
+
+    if (op === 'add') {
+      add(tokens, cloneValue(operation.value), describe);
+    } else if (op === 'remove') {
+      remove(tokens, describe);
+    } else if (op === 'replace') {
+      read(tokens, describe);
+      if (tokens.length === 0) {
+        root = cloneValue(operation.value);
+      } else {
+        const [parent, key] = patchTarget(root, tokens, describe);
+        parent[Array.isArray(parent) ? Number(key) : key] = cloneValue(operation.value);
+      }
+    } else if (op === 'test') {
+      if (!deepEqual(read(tokens, describe), operation.value)) {
+        throw new Error(`${describe}: test failed`);
+      }
+    } else {
+      const from = parsePointer(operation.from);
+      if (op === 'move' && operation.path.startsWith(operation.from + '/')) {
+        throw new Error(`${describe}: a value cannot be moved into itself`);
+      }
+      const value = read(from, describe);
+      if (op === 'move') {
+        remove(from, describe);
+        add(tokens, value, describe);
+      } else {
+        add(tokens, cloneValue(value), describe);
+      }
+    }
+  });
+  return root;
+}
+
+// === HISTORY EXPORT ===
+
+const HISTORY_RECORD_VERSION = 1;
+const HISTORY_FORMATS = ['ndjson', 'json', 'csv'];
+const CSV_COLUMNS = ['version', 'index', 'type', 'mutation', 'timestamp', 'path', 'value', 'previousValue', 'details'];
+
+/**
+ * Encodes a value as JSON-safe data for exportHistory()
+ *
+ * What JSON cannot carry becomes a tagged object: { $type: 'undefined' },
+ * { $type: 'bigint', value: '12' }, { $type: 'number', value: 'NaN' }, and
+ * likewise dates, maps, sets, regexps and binary data. An object seen before
+ * (a shared or circular reference) becomes { $ref: pointer }, the JSON Pointer
+ * of where it was first written. Functions, symbols, errors, promises and
+ * weak collections cannot be rebuilt and are kept as { $type: 'opaque' }.
+ */
+function encodeValue(value, pointer = '', seen = new Map()) {
+  if (value === undefined) {
+    return { $type: 'undefined' };
+  }
+  if (typeof value === 'bigint') {
+    return { $type: 'bigint', value: value.toString() };
+  }
+  if (typeof value === 'number') {
+    if (Number.isFinite(value) && !Object.is(value, -0)) {
+      return value;
+    }
+    return { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+  }
+  if (typeof value === 'symbol' || typeof value === 'function') {
+    return { $type: 'opaque', description: typeof value === 'function' ? `function ${value.name}` : value.toString() };
+  }
+  if (!isObjectLike(value)) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return { $ref: seen.get(value) };
+  }
+  seen.set(value, pointer);
+
+  if (value instanceof Date) {
+    return { $type: 'date', value: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  if (value instanceof RegExp) {
+    return { $type: 'regexp', source: value.source, flags: value.flags };
+  }
+  if (value instanceof Map) {
+    const entries = [];
+    value.forEach((item, key) => {
+      const at = `${pointer}/entries/${entries.length}`;
+      entries.push([encodeValue(key, `${at}/0`, seen), encodeValue(item, `${at}/1`, seen)]);
+    });
+    return { $type: 'map', entries };
+  }
+  if (value instanceof Set) {
+    const values = [];
+    value.forEach(item => values.push(encodeValue(item, `${pointer}/values/${values.length}`, seen)));
+    return { $type: 'set', values };
+  }
+  if (value instanceof TypedArray) {
+    return { $type: 'typed-array', kind: value.constructor.name, values: Array.from(value, item => encodeValue(item)) };
+  }
+  if (value instanceof ArrayBuffer || value instanceof DataView) {
+    const view = unwrapView(value);
+    const bytes = view instanceof DataView
+      ? new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+      : new Uint8Array(view);
+    return { $type: 'bytes', kind: value instanceof DataView ? 'DataView' : 'ArrayBuffer', values: Array.from(bytes) };
+  }
+  if (value instanceof Error || value instanceof Promise || value instanceof WeakMap || value instanceof WeakSet) {
+    const description = value instanceof Error ? `${value.name}: ${value.message}` : Object.prototype.toString.call(value);
+    return { $type: 'opaque', description };
+  }
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(encodeValue(value[i], `${pointer}/${i}`, seen));
+    }
+    return items;
+  }
+
+  // Objects whose own keys look like tags are wrapped so they cannot be mistaken for one
+  const keys = Object.keys(value);
+  const wrapped = keys.includes('$type') || keys.includes('$ref');
+  const base = wrapped ? `${pointer}/value` : pointer;
+  const fields = {};
+  for (const key of keys) {
+    fields[key] = encodeValue(value[key], base + pointerSegment(key), seen);
+  }
+  return wrapped ? { $type: 'object', value: fields } : fields;
+}
+
+// Reverses encodeValue(); throws a TypeError on tags it does not know
+function decodeValue(data, pointer = '', seen = new Map()) {
+  if (!isObjectLike(data)) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    const items = [];
+    seen.set(pointer, items);
+    data.forEach((item, i) => {
+      items[i] = decodeValue(item, `${pointer}/${i}`, seen);
+    });
+    return items;
+  }
+  if (hasOwn(data, '$ref')) {
+    if (!seen.has(data.$ref)) {
+      throw new TypeError(`reference ${JSON.stringify(data.$ref)} does not point to an earlier object`);
+    }
+    return seen.get(data.$ref);
+  }
+
+  const decodeFields = (fields, base) => {
+    const object = {};
+    seen.set(pointer, object);
+    for (const key of Object.keys(fields)) {
+      object[key] = decodeValue(fields[key], base + pointerSegment(key), seen);
+    }
+    return object;
+  };
+
+  switch (data.$type) {
+    case undefined:
+      return decodeFields(data, pointer);
+    case 'object':
+      return decodeFields(data.value, `${pointer}/value`);
+    case 'undefined':
+      return undefined;
+    case 'bigint':
+      return BigInt(data.value);
+    case 'number':
+      return Number(data.value);
+    case 'opaque':
+      return { $type: 'opaque', description: data.description };
+    case 'date': {
+      const date = new Date(data.value === null ? NaN : data.value);
+      seen.set(pointer, date);
+      return date;
+    }
+    case 'regexp': {
+      const regexp = new RegExp(data.source, data.flags);
+      seen.set(pointer, regexp);
+      return regexp;
+    }
+    case 'map': {
+      const map = new Map();
+      seen.set(pointer, map);
+      data.entries.forEach(([key, item], i) => {
+        const at = `${pointer}/entries/${i}`;
+        map.set(decodeValue(key, `${at}/0`, seen), decodeValue(item, `${at}/1`, seen));
+      });
+      return map;
+    }
+    case 'set': {
+      const set = new Set();
+      seen.set(pointer, set);
+      data.values.forEach((item, i) => set.add(decodeValue(item, `${pointer}/values/${i}`, seen)));
+      return set;
+    }
+    case 'typed-array': {
+      const Type = globalThis[data.kind];
+      if (typeof Type !== 'function' || !(Type.prototype instanceof TypedArray)) {
+        throw new TypeError(`unknown typed array kind ${JSON.stringify(data.kind)}`);
+      }
+      const array = Type.from(data.values.map(item => decodeValue(item)));
+      seen.set(pointer, array);
+      return array;
+    }
+    case 'bytes': {
+      const buffer = Uint8Array.from(data.values).buffer;
+      const bytes = data.kind === 'DataView' ? new DataView(buffer) : buffer;
+      seen.set(pointer, bytes);
+      return bytes;
+    }
+    default:
+      throw new TypeError(`unknown value tag ${JSON.stringify(data.$type)}`);
+  }
+}
+
+// One history entry as a versioned export record
+function historyRecord(entry, index) {
+  const { value, previousValue, type, mutation, timestamp, mutationPath, ...details } = entry;
+  const record = {
+    version: HISTORY_RECORD_VERSION,
+    index,
+    type,
+    mutation,
+    timestamp,
+    path: mutationPath === undefined ? null : mutationPath
+  };
+  // 'compacted' entries carry no value
+  if ('value' in entry) {
+    record.value = encodeValue(value);
+  }
+  if ('previousValue' in entry) {
+    record.previousValue = encodeValue(previousValue);
+  }
+  record.details = encodeValue(details);
+  return record;
+}
+
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 rows: quoted cells may hold commas, quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function formatHistory(records, format) {
+  if (format === 'ndjson') {
+    return records.map(record => JSON.stringify(record) + '\n').join('');
+  }
+  if (format === 'json') {
+    return JSON.stringify(records, null, 2);
+  }
+  const rows = records.map(record => CSV_COLUMNS.map(column => {
+    const cell = record[column];
+    if (cell === undefined || cell === null) {
+      return '';
+    }
+    return csvCell(['value', 'previousValue', 'details'].includes(column) ? JSON.stringify(cell) : String(cell));
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Export text (or already parsed records) back to an array of records
+function parseHistory(data, format) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (typeof data !== 'string') {
+    throw new TypeError('importHistory() expects the text produced by exportHistory() or an array of records');
+  }
+  if (format === 'json') {
+    return JSON.parse(data);
+  }
+  if (format === 'ndjson') {
+    return data.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+
+  const [header, ...rows] = parseCsv(data);
+  if (!header || header.join(',') !== CSV_COLUMNS.join(',')) {
+    throw new TypeError(`Invalid history CSV: the header must be ${CSV_COLUMNS.join(',')}`);
+  }
+  return rows.map(cells => {
+    const record = {};
+    CSV_COLUMNS.forEach((column, i) => {
+      const cell = cells[i] === undefined ? '' : cells[i];
+      if (['version', 'index', 'mutation', 'timestamp'].includes(column)) {
+        record[column] = cell === '' ? undefined : Number(cell);
+      } else if (column === 'path' || column === 'type') {
+        record[column] = cell === '' ? (column === 'path' ? null : undefined) : cell;
+      } else if (cell !== '') {
+        record[column] = JSON.parse(cell);
+      }
+    });
+    return record;
+  });
+}
+
+// Freezes an imported value all the way down (binary data cannot be frozen)
+function deepFreeze(value, seen = new Set()) {
+  if (!isObjectLike(value) || seen.has(value) || value instanceof TypedArray ||
+      value instanceof ArrayBuffer || value instanceof DataView) {
+    return value;
+  }
+  seen.add(value);
+  Object.freeze(value);
+  if (value instanceof Map) {
+    value.forEach((item, key) => {
+      deepFreeze(key, seen);
+      deepFreeze(item, seen);
+    });
+  } else if (value instanceof Set) {
+    value.forEach(item => deepFreeze(item, seen));
+  } else {
+    Object.keys(value).forEach(key => deepFreeze(value[key], seen));
+  }
+  return value;
+}
+
+/**
+ * Checks exported history records and turns them back into history entries.
+ * Throws a TypeError naming the first record that is malformed.
+ */
+function importHistoryRecords(records) {
+  if (!Array.isArray(records)) {
+    throw new TypeError('Invalid history export: expected a list of records');
+  }
+  return records.map((record, index) => {
+    const fail = (reason) => {
+      throw new TypeError(`Invalid history record ${index}: ${reason}`);
+    };
+
+    if (!isObjectLike(record) || Array.isArray(record)) {
+      fail('not an object');
+    }
+    if (record.version !== HISTORY_RECORD_VERSION) {
+      fail(`unsupported version ${JSON.stringify(record.version)} (expected ${HISTORY_RECORD_VERSION})`);
+    }
+    if (record.index !== index) {
+      fail(`"index" is ${JSON.stringify(record.index)}, expected ${index}`);
+    }
+    if (typeof record.type !== 'string') {
+      fail('"type" must be a string');
+    }
+    if (!isCount(record.mutation)) {
+      fail('"mutation" must be a non-negative integer');
+    }
+    if (typeof record.timestamp !== 'number' || !Number.isFinite(record.timestamp)) {
+      fail('"timestamp" must be a finite number');
+    }
+    if (record.path !== null && typeof record.path !== 'string') {
+      fail('"path" must be a string or null');
+    }
+
+    let details;
+    const entry = {};
+    try {
+      if ('value' in record) {
+        entry.value = decodeValue(record.value);
+      }
+      if ('previousValue' in record) {
+        entry.previousValue = decodeValue(record.previousValue);
+      }
+      details = decodeValue(record.details === undefined ? {} : record.details);
+    } catch (error) {
+      fail(error.message);
+    }
+    if (!isRecord(details)) {
+      fail('"details" must be an object');
+    }
+
+    entry.timestamp = record.timestamp;
+    entry.mutation = record.mutation;
+    if (record.path !== null) {
+      entry.mutationPath = record.path;
+    }
+    entry.type = record.type;
+    return deepFreeze(Object.assign(entry, details));
+  });
+}
+
+// === REPLAY ===
+
+const REPLAYED_WRITES = ['mutation', 'deep-mutation', 'violation', 'rejected', 'noop'];
+
+// Objects wrapped by a variable's deep-tracking proxies. A history entry that
+// holds one was recorded by reference, so later edits show through it.
+const liveTargets = new WeakSet();
+
+function holdsLiveValue(entry) {
+  const { value } = entry;
+  return liveTargets.has(value) || (Array.isArray(value) && value.some(item => liveTargets.has(item)));
+}
+
+// Key of a Map entry or Set member from its path label ('get(key)' / 'has(value)'),
+// matched against the existing keys by their printed form
+function keyFromLabel(collection, label) {
+  const printed = label.slice(4, -1);
+  for (const key of collection.keys()) {
+    if (describeKey(key) === printed) {
+      return key;
+    }
+  }
+  return printed;
+}
+
+/**
+ * Performs a recorded deep write again on `root`, a deep-tracked value, so it
+ * goes through the same proxies as the original. Paths are split on '.',
+ * re-joining pieces where a property name or collection key contains a dot.
+ */
+function replayDeepWrite(root, entry) {
+  const tokens = entry.mutationPath.split('.');
+  const value = cloneValue(entry.value);
+  let container = root;
+  let i = 0;
+
+  for (;;) {
+    const collection = container instanceof Map || container instanceof Set;
+    let segment = tokens[i++];
+    while (i < tokens.length && (collection ? !segment.endsWith(')') : !hasOwn(container, segment))) {
+      segment += '.' + tokens[i++];
+    }
+
+    if (i < tokens.length) {
+      container = collection ? container.get(keyFromLabel(container, segment)) : container[segment];
+      continue;
+    }
+
+    if (METHOD_MUTATIONS.includes(entry.mutationType)) {
+      container[segment.slice(0, -2)](...value);
+    } else if (collection) {
+      const key = container instanceof Set && entry.mutationType !== 'delete' ? value : keyFromLabel(container, segment);
+      if (entry.mutationType === 'delete') {
+        container.delete(key);
+      } else if (container instanceof Map) {
+        container.set(key, value);
+      } else {
+        container.add(key);
+      }
+    } else if (entry.mutationType === 'delete') {
+      delete container[segment];
+    } else {
+      container[segment] = value;
+    }
+    return;
+  }
+}
+
+// Why a replayed step does not match its recorded entry, or null if it does
+function replayMismatch(recorded, actual) {
+  if (!actual || actual.type !== recorded.type) {
+    return {
+      reason: 'type',
+      message: `expected a '${recorded.type}' entry but the replay recorded ${actual ? `'${actual.type}'` : 'nothing'}`
+    };
+  }
+  if (actual.mutation !== recorded.mutation) {
+    return {
+      reason: 'mutation-count',
+      message: `expected mutation count ${recorded.mutation} but the replay is at ${actual.mutation}`
+    };
+  }
+  // Patches say what changed; entries without one (violations, ...) are
+  // compared by the value written and the value it met
+  const compared = recorded.patch !== undefined ? ['patch'] : ['value', 'previousValue'];
+  const differs = compared.find(key => !deepEqual(recorded[key], actual[key]));
+  if (differs) {
+    return {
+      reason: 'value',
+      message: `the replay produced a different ${differs} than the recording`
+    };
+  }
+  return null;
+}
+
+/**
+ * Core implementation of limited mutable variables
+ *
+ * This class provides controlled mutability that sits between const and let:
+ * - Tracks mutation attempts with detailed violation information
+ * - Supports both strict mode (production) and non-strict mode (tracking/development)
+ * - Implements semantic coupling between strictMode and autoFreeze options
+ * - Provides comprehensive history tracking and callback system
+ * - Uses private fields for true encapsulation and security
+ *
+ * Key architectural decisions:
+ * - strictMode: false automatically disables autoFreeze for continued tracking
+ * - Violation tracking works in both modes but behavior differs
+ * - History includes both successful mutations and tracked violations
+ * - Callbacks provide hooks for monitoring, logging, and behavioral analysis
+ */
+class LimitedVariable {
+  // Core state
+  #value;
+  #maxMutations;
+  #mutationCount = 0;
+  #violationCount = 0;
+  #spent = 0;                   // Budget units spent; a mutation costs 1 unless weighted
+  #reserved = 0;                // Mutations held by reserve() but not yet committed
+  #history = [];
+  #options;
+
+  // Control flags
+  #frozen = false;           // Manual or automatic freeze state
+  #violated = false;         // Tracks if any violation occurred (for strict mode reading)
+  #windowBreach = false;     // The violation only ran over a time window's quota, so it lifts on refill
+  #onViolationCalled = false; // Ensures onViolation callback called only once
+  #unlockKey = null;         // Key handed out by freeze({ unlockable: true }), until it is used
+  #autoFrozen = false;       // Frozen only because autoFreeze hit a depleted budget
+
+  // Deep mutation tracking
+  #deepProxies = new WeakMap(); // Tracks wrapped objects to prevent double-wrapping
+  #mutationPath = [];           // Tracks the current mutation path for better error messages
+
+  // Time-windowed quotas
+  #window = null;               // Normalized window config (null = lifetime budget)
+  #windowState = null;          // Strategy-specific bookkeeping for the current window
+  #refillTimer = null;          // Pending setTimeout() handle for the next 'refill' event
+
+  // Expiry (ttl / freezeAt)
+  #expiresAt = null;            // Deadline (ms) after which the variable freezes itself
+  #expired = false;             // Set once the deadline has passed and been recorded
+  #expiryTimer = null;          // Pending setTimeout() handle when the expiryTimer option is on
+
+  // Undo / redo / restore
+  #snapshots = new WeakMap();   // History entry -> value state it produced
+  #deltas = new WeakMap();      // History entry -> { next, inversePatch } for states kept as a patch
+  #spentAt = new WeakMap();     // History entry -> budget units spent when it was recorded
+  #cursor = null;               // History entry whose state is the current value
+  #undoStack = [];              // Entries undo() steps back to (most recent last)
+  #redoStack = [];              // Entries redo() steps forward to (most recent last)
+
+  // Per-path budgets for deep mutations
+  #pathBudgets = [];            // [{ pattern, limit, count, segments, matcher }] from the pathLimits option
+
+  // No-op detection
+  #equals = null;               // Comparison from the equals option (null = every write counts)
+
+  // History snapshots and retention
+  #copyForHistory = null;       // Copy function from the historySnapshot option (null = references)
+  #droppedEntries = new WeakSet(); // Entries removed by historyLimit / historyMaxAgeMs / compact()
+
+  // Atomic transactions
+  #transaction = null;          // { paths } while a transaction() callback runs
+  #reverting = false;           // True while a rolled-back transaction is undone in place
+
+  // Subscribers
+  #listeners = new Set();       // { listener, types } registered through subscribe()
+
+  constructor(initialValue, maxMutations = 1, options = {}) {
+    this.#maxMutations = maxMutations;
+    this.#options = {
+      trackHistory: true,
+      historySnapshot: 'reference', // 'structuredClone' | (value) => copy: freeze what history entries show
+      historyLimit: null,        // Keep at most this many entries after 'initial' (null = all)
+      historyMaxAgeMs: null,     // Drop entries older than this many ms (null = never)
+      strictMode: true,
+      allowReset: false,
+      autoFreeze: true,
+      trackDeepMutations: true,  // NEW: Track object/array property mutations by default
+      trackDates: false,         // Count Date setters such as setFullYear() (deep mode)
+      trackTypedArrays: false,   // Count typed array / DataView writes (deep mode)
+      window: null,
+      restorePolicy: 'consume',
+      storage: null,
+      storageKey: null,
+      pathLimits: null,
+      validate: null,
+      equals: null,              // 'strict' | 'shallow' | 'deep' | (a, b) => boolean: skip unchanged writes
+      recordNoops: false,        // Record skipped writes as 'noop' history entries
+      cost: null,                // Budget units per write: a number or (newValue, oldValue, ctx) => number
+      pool: null,               // Shared budget set by limitedGroup() for its members
+      ttl: null,                 // Freeze automatically this many ms after creation
+      freezeAt: null,            // Freeze automatically at this Date / timestamp (ms)
+      expiryTimer: false,        // Also freeze on a timer at the deadline, not only on next access
+      clock: null,               // { now() } for timestamps, windows and expiry; defaults to the default clock
+      onMutate: null,
+      onViolation: null,
+      onLastMutation: null,
+      onLimitExceeded: null,
+      onExpire: null,
+      onRefill: null,
+      onReserve: null,
+      maxGrant: null,            // Highest maxMutations grant() / setMaxMutations() may reach
+      errorMessage: null,
+      ...options
+    };
+
+    // Semantic coupling: Non-strict mode disables auto-freeze
+    // This ensures violation tracking works as expected - when strictMode is false,
+    // we want to continue tracking violations rather than freezing the variable
+    if (!this.#options.strictMode) {
+      this.#options.autoFreeze = false;
+    }
+
+    if (!RESTORE_POLICIES.includes(this.#options.restorePolicy)) {
+      throw new TypeError(`Unknown restorePolicy '${this.#options.restorePolicy}'. Use 'consume', 'refund' or 'free'.`);
+    }
+
+    this.#pathBudgets = compilePathLimits(this.#options.pathLimits);
+    this.#equals = compileEquals(this.#options.equals);
+    this.#copyForHistory = compileHistorySnapshot(this.#options.historySnapshot);
+    checkRetention(this.#options.historyLimit, this.#options.historyMaxAgeMs, ['The historyLimit option', 'The historyMaxAgeMs option']);
+
+    const maxGrant = this.#options.maxGrant;
+    if (maxGrant !== null && !(typeof maxGrant === 'number' && maxGrant >= maxMutations)) {
+      throw new TypeError(`The maxGrant option must be a number no lower than maxMutations (${maxMutations})`);
+    }
+
+    const clock = this.#options.clock;
+    if (clock !== null && !isClock(clock)) {
+      throw new TypeError('The clock option must be an object with a now() method returning milliseconds');
+    }
+    this.#expiresAt = normalizeExpiry(this.#options.ttl, this.#options.freezeAt, this.#now());
+
+    // Windowed quotas refill over time, so freezing on depletion would make
+    // the budget permanent - auto-freeze is disabled for the same reason
+    this.#window = normalizeWindow(this.#options.window, maxMutations);
+    if (this.#window) {
+      this.#options.autoFreeze = false;
+      this.#resetWindow(this.#now());
+    }
+
+    // Set initial value with deep proxy wrapping if needed
+    if (this.#options.trackDeepMutations && this.#isObjectOrArray(initialValue)) {
+      this.#value = this.#createDeepProxy(initialValue, []);
+    } else {
+      this.#value = initialValue;
+    }
+
+    if (this.#options.trackHistory) {
+      this.#pushHistory({
+        value: initialValue,
+        timestamp: this.#now(),
+        mutation: 0,
+        type: 'initial'
+      });
+      this.#recordState(this.#history[0], null);
+    }
+
+    // Persisted state takes precedence over the initial value and limit
+    if (this.#options.storage) {
+      const storage = this.#options.storage;
+      if (typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+        throw new TypeError('The storage option must implement getItem(key) and setItem(key, value)');
+      }
+      if (typeof this.#options.storageKey !== 'string' || this.#options.storageKey === '') {
+        throw new TypeError('A non-empty storageKey is required when the storage option is set');
+      }
+      this.#loadFromStorage();
+    }
+
+    this.#scheduleExpiry();
+  }
+
+  get value() {
+    this.#checkExpiry();
+    this.#settleWindowBreach();
+    // In strict mode, once a violation has occurred, prevent further access
+    // This enforces the "fail-fast" principle for production environments
+    if (this.#options.strictMode && this.#violated) {
+      throw new MutationLimitExceeded(
+        'Cannot read value after mutation limit violation in strict mode',
+        {
+          maxMutations: this.#maxMutations,
+          currentMutations: this.#mutationCount,
+          frozen: this.#frozen
+        }
+      );
+    }
+    return this.#value;
+  }
+
+  set value(newValue) {
+    this.#assign(newValue, null);
+  }
+
+  /**
+   * Assigns like `variable.value = newValue`; `{ cost }` overrides what this
+   * write spends from the budget (see the cost option).
+   */
+  set(newValue, { cost } = {}) {
+    this.#assign(newValue, null, cost);
+    return this;
+  }
+
+  /**
+   * Shared top-level assignment path for `set value` and undo/redo/restoreTo.
+   *
+   * `restore` is null for plain assignments; for restores it describes the
+   * history entry being returned to, and the restorePolicy option decides
+   * whether the change is charged against the budget, refunds it, or is free.
+   */
+  #assign(newValue, restore, explicitCost = null) {
+    if (this.#transaction) {
+      throw new Error('Cannot assign value inside a transaction. Edit the draft passed to the callback instead.');
+    }
+
+    // Unchanged values are skipped before any check, so they never throw
+    if (!restore && this.#isNoop(newValue, this.#value, [])) {
+      return;
+    }
+
+    const policy = restore ? this.#options.restorePolicy : 'consume';
+    const charged = policy === 'consume' || (policy === 'refund' && restore.direction === 'forward');
+
+    this.#checkExpiry();
+    // An auto-freeze only means the budget ran out, so restores that do not
+    // spend any ('free', or 'refund' stepping back) may still run
+    if (this.#frozen && !(restore && !charged && this.#autoFrozen)) {
+      this.#violated = true;  // Mark as violated for strict mode reading
+      this.#windowBreach = false;
+      const message = this.#options.errorMessage ||
+        `Variable is frozen${this.#expiredNote()}. No more mutations allowed.`;
+      const error = new MutationLimitExceeded(message, {
+        maxMutations: this.#maxMutations,
+        currentMutations: this.#mutationCount,
+        attemptedValue: newValue,
+        currentValue: this.#value,
+        frozen: true
+      });
+
+      if (!this.#onViolationCalled) {
+        this.#onViolationCalled = true;
+        this.#emit('violation', error);
+      }
+
+      this.#persist();
+      if (this.#options.strictMode) {
+        throw error;
+      }
+      return;
+    }
+
+    const now = this.#now();
+
+    // Validation runs before counting, so rejected values never spend budget
+    const rejection = this.#validateMutation(newValue, this.#value, {
+      type: restore ? restore.type : 'mutation',
+      path: []
+    });
+    if (rejection) {
+      this.#rejectMutation(rejection, now);
+      return;
+    }
+
+    const cost = charged
+      ? this.#costOf(newValue, this.#value, { type: restore ? restore.type : 'mutation', path: [] }, explicitCost)
+      : 0;
+
+    // A new value may change paths that have their own budgets
+    const pathBudgets = charged ? this.#budgetsBelow([], this.#value, newValue) : [];
+    const exhaustedBudget = pathBudgets.find(budget => budget.count >= budget.limit);
+
+    // Handle attempts to mutate beyond the allowed limit
+    if (charged && (this.#isOverLimit(now, cost) || exhaustedBudget)) {
+      this.#violated = true;
+      this.#windowBreach = Boolean(this.#window) && !exhaustedBudget;
+      this.#violationCount++;
+      const pathBudget = this.#describePathBudget(exhaustedBudget || this.#tightestBudget(pathBudgets));
+
+      // Create detailed violation attempt record for tracking/debugging
+      const violationAttempt = {
+        attemptNumber: this.#violationCount,
+        attemptedValue: newValue,
+        currentValue: this.#value,
+        mutationCount: this.#mutationCount,
+        violationCount: this.#violationCount,
+        timestamp: now,
+        totalAttempts: this.#mutationCount + this.#violationCount,
+        cost,
+        ...(pathBudget ? { pathBudget } : {}),
+        ...this.#windowInfo(now)
+      };
+
+      // Always report the attempt (both strict and non-strict modes)
+      this.#emit('limitExceeded', violationAttempt);
+
+      // Strict mode: Block the violation and throw an error
+      if (this.#options.strictMode) {
+        const message = this.#options.errorMessage ||
+          this.#limitExceededMessage(null, now, pathBudget, Boolean(exhaustedBudget), cost);
+        const error = new MutationLimitExceeded(message, {
+          maxMutations: this.#maxMutations,
+          currentMutations: this.#mutationCount,
+          attemptedValue: newValue,
+          currentValue: this.#value,
+          history: this.#options.trackHistory ? this.#history : undefined,
+          ...(pathBudget ? { pathBudget } : {}),
+          ...this.#windowInfo(now)
+        });
+
+        if (!this.#onViolationCalled) {
+          this.#onViolationCalled = true;
+          this.#emit('violation', error);
+        }
+        this.#persist();
+        throw error;
+      }
+
+      // Non-strict mode: Allow the violation but track it for behavioral analysis
+      // This enables monitoring user behavior without blocking functionality
+      if (!this.#options.strictMode) {
+        const oldValue = this.#value;
+        this.#value = newValue;
+
+        // Record violation in history for comprehensive tracking
+        if (this.#options.trackHistory) {
+          this.#pushHistory({
+            value: newValue,
+            previousValue: oldValue,
+            timestamp: now,
+            mutation: this.#mutationCount,
+            type: 'violation',  // Distinguishes from normal mutations
+            cost,
+            ...this.#windowInfo(now)
+          });
+          this.#recordState(this.#history[this.#history.length - 1], restore);
+        }
+      }
+      this.#persist();
+      return;
+    }
+
+    const oldValue = this.#value;
+    const patches = this.#patches(oldValue, newValue);
+
+    // Wrap newValue in deep proxy if it's an object/array and deep tracking is enabled
+    if (this.#options.trackDeepMutations && this.#isObjectOrArray(newValue)) {
+      this.#value = this.#createDeepProxy(newValue, []);
+    } else {
+      this.#value = newValue;
+    }
+
+    if (charged) {
+      this.#spend(now, cost);
+      pathBudgets.forEach(budget => budget.count++);
+    } else if (policy === 'refund') {
+      // Stepping back in time gives back whatever was spent since the target entry
+      const spentAt = this.#spentAt.has(restore.entry) ? this.#spentAt.get(restore.entry) : restore.entry.mutation;
+      this.#mutationCount = Math.min(this.#mutationCount, restore.entry.mutation);
+      this.#spent = Math.min(this.#spent, spentAt);
+    }
+
+    if (this.#options.trackHistory) {
+      const entry = {
+        value: newValue,
+        previousValue: oldValue,
+        timestamp: now,
+        mutation: this.#mutationCount,
+        type: restore ? restore.type : 'mutation',
+        cost,
+        ...patches,
+        ...this.#windowInfo(now)
+      };
+      if (restore) {
+        entry.restoredIndex = restore.index;
+      }
+      this.#pushHistory(entry);
+      this.#recordState(entry, restore);
+    }
+
+    const event = {
+      newValue,
+      oldValue,
+      mutationCount: this.#mutationCount,
+      remaining: this.remaining,
+      cost,
+      ...patches
+    };
+    if (restore) {
+      event.type = restore.type;
+    }
+    this.#emit('mutate', event);
+
+    if (charged && this.#isLastMutation(now)) {
+      this.#emit('lastMutation', {
+        value: newValue,
+        history: this.#options.trackHistory ? this.#history : undefined
+      });
+
+      if (this.#options.autoFreeze) {
+        this.#frozen = true;
+        this.#autoFrozen = true;
+      }
+    } else if (!charged && this.#autoFrozen && !this.#isLastMutation(now)) {
+      // A refund left budget to spend, which lifts the auto-freeze like a grant
+      this.#frozen = false;
+      this.#autoFrozen = false;
+      this.#violated = false;
+      this.#onViolationCalled = false;
+    }
+
+    this.#persist();
+  }
+
+  get remaining() {
+    return this.#available(this.#now());
+  }
+
+  /**
+   * Timestamp (ms) at which the next mutation becomes available.
+   * Always null for lifetime budgets, which never refill.
+   */
+  get nextAvailableAt() {
+    if (!this.#window) {
+      return null;
+    }
+    return this.#nextAvailableAt(this.#now());
+  }
+
+  /**
+   * Mutations still allowed at a deep path such as 'profile.name': the
+   * smaller of the global budget and every pathLimits budget covering it.
+   */
+  remainingAt(path) {
+    const pathStr = Array.isArray(path) ? path.join('.') : String(path);
+    return this.#pathBudgetsFor(pathStr).reduce(
+      (remaining, budget) => Math.min(remaining, Math.max(0, budget.limit - budget.count)),
+      this.remaining
+    );
+  }
+
+  get history() {
+    if (!this.#options.trackHistory) {
+      throw new Error('History tracking is disabled. Enable it in options.');
+    }
+    this.#checkExpiry();
+    return [...this.#history];
+  }
+
+  /**
+   * Drops old history entries now, keeping 'initial', a 'compacted' entry
+   * that counts what was dropped by type, and the most recent `limit`
+   * entries no older than `maxAgeMs`. Defaults to the historyLimit and
+   * historyMaxAgeMs options, which otherwise apply on every new entry.
+   */
+  compact({ limit = this.#options.historyLimit, maxAgeMs = this.#options.historyMaxAgeMs } = {}) {
+    this.#requireHistory('compact()');
+    checkRetention(limit, maxAgeMs, ['compact() limit', 'compact() maxAgeMs']);
+    if (this.#trimHistory(limit, maxAgeMs) > 0) {
+      this.#persist();
+    }
+    return this;
+  }
+
+  /**
+   * Serializes the history as versioned records, one per entry, for log
+   * pipelines: 'ndjson' (one record per line, the default), 'json' (an array)
+   * or 'csv' (values as JSON text). Values are encoded so that BigInt,
+   * undefined, dates, collections and circular references survive the trip;
+   * LimitedVariable.importHistory() reads any of the three back.
+   */
+  exportHistory({ format = 'ndjson' } = {}) {
+    this.#requireHistory('exportHistory()');
+    if (!HISTORY_FORMATS.includes(format)) {
+      throw new TypeError(`Unknown history format '${format}'. Use ${HISTORY_FORMATS.map(name => `'${name}'`).join(', ')}.`);
+    }
+    return formatHistory(this.history.map(historyRecord), format);
+  }
+
+  get mutationCount() {
+    return this.#mutationCount;
+  }
+  get spent() {
+    return this.#spent;
+  }
+
+  get maxMutations() {
+    return this.#maxMutations;
+  }
+
+  get violationCount() {
+    return this.#violationCount;
+  }
+
+  isDepleted() {
+    return this.#isOverLimit(this.#now());
+  }
+
+  isFrozen() {
+    this.#checkExpiry();
+    return this.#frozen;
+  }
+
+  /**
+   * The current state in one read, without side effects: unlike `value` and
+   * isFrozen() it never records an expiry, lifts a window breach or throws
+   * after a strict-mode violation, so it is safe to call while rendering.
+   * A passed deadline already reads as frozen.
+   */
+  getState() {
+    const now = this.#now();
+    const overLimit = this.#isOverLimit(now);
+    return {
+      value: this.#value,
+      remaining: this.#available(now),
+      mutationCount: this.#mutationCount,
+      violationCount: this.#violationCount,
+      maxMutations: this.#maxMutations,
+      isDepleted: overLimit,
+      isFrozen: this.#frozen || (this.#expiresAt !== null && !this.#transaction && now >= this.#expiresAt),
+      isViolated: this.#violated && !(this.#windowBreach && !this.#frozen && !overLimit)
+    };
+  }
+
+  /**
+   * Timestamp (ms) at which the ttl / freezeAt deadline freezes the
+   * variable, or null when it never expires.
+   */
+  get expiresAt() {
+    return this.#expiresAt;
+  }
+
+  /**
+   * Stops all further mutations. With `{ unlockable: true }` it returns an
+   * unlock key instead of the variable: only `unfreeze(key)` or
+   * `reset({ key })` can lift this freeze, whatever allowReset says. One key
+   * is outstanding at a time, and it is used up by the call that takes it.
+   */
+  freeze({ unlockable = false } = {}) {
+    if (unlockable && this.#unlockKey !== null) {
+      throw new Error('An unlock key for this variable has already been handed out.');
+    }
+
+    this.#checkExpiry();
+    this.#frozen = true;
+    this.#autoFrozen = false;
+    this.#persist();
+    if (unlockable) {
+      this.#unlockKey = Symbol('limitedLet unlock key');
+      return this.#unlockKey;
+    }
+    return this;
+  }
+
+  /**
+   * Lifts a freeze with the key returned by `freeze({ unlockable: true })`,
+   * keeping the counts as they are. `by` names who unlocked it in the
+   * 'unfreeze' history entry.
+   */
+  unfreeze(key, { by = null } = {}) {
+    this.#useUnlockKey(key);
+    this.#checkExpiry();
+
+    this.#frozen = false;
+    this.#autoFrozen = false;
+    this.#violated = false;
+    this.#onViolationCalled = false;
+
+    if (this.#options.trackHistory) {
+      this.#pushHistory({
+        value: this.#value,
+        timestamp: this.#now(),
+        mutation: this.#mutationCount,
+        type: 'unfreeze',
+        unlockedBy: by
+      });
+    }
+
+    this.#persist();
+    return this;
+  }
+
+  /**
+   * Clears the counts and unfreezes. Needs allowReset, or the key returned
+   * by `freeze({ unlockable: true })`; `by` names who unlocked it in the
+   * 'reset' history entry.
+   */
+  reset({ key, by = null } = {}) {
+    const unlocked = key !== undefined;
+    if (unlocked) {
+      this.#useUnlockKey(key);
+    } else if (!this.#options.allowReset) {
+      throw new Error('Reset is disabled. Enable it with { allowReset: true } in options.');
+    } else if (this.#unlockKey !== null) {
+      // Only the key holder may lift an unlockable freeze, allowReset or not
+      throw new Error('Variable is frozen with an unlock key. Pass it as reset({ key }) or unfreeze(key).');
+    }
+
+    this.#unlockKey = null;
+    this.#mutationCount = 0;
+    this.#violationCount = 0;
+    this.#spent = 0;
+    this.#frozen = false;
+    this.#autoFrozen = false;
+    this.#violated = false;
+    this.#onViolationCalled = false;
+
+    // A ttl counts again from the reset; a passed freezeAt date keeps the
+    // variable frozen unless an unlock key overrides it
+    if (this.#options.ttl !== null && this.#options.ttl !== undefined) {
+      this.#expiresAt = this.#now() + this.#options.ttl;
+      this.#expired = false;
+      this.#scheduleExpiry();
+    } else if (this.#expired && !unlocked) {
+      this.#frozen = true;
+    }
+
+    // Clear deep proxy mappings but keep the existing proxied value
+    // The existing proxies will continue to work and track mutations correctly
+    this.#deepProxies = new WeakMap();
+    this.#mutationPath = [];
+    this.#resetWindow(this.#now());
+    this.#scheduleRefill();
+    this.#pathBudgets.forEach(budget => { budget.count = 0; });
+
+    // No need to re-wrap the current value - existing proxies are still valid
+    // and will continue to track mutations against the reset mutation count
+
+    if (this.#options.trackHistory) {
+      const entry = {
+        value: this.#value,
+        timestamp: this.#now(),
+        mutation: 0,
+        type: 'reset'
+      };
+      if (unlocked) {
+        entry.unlockedBy = by;
+      }
+      this.#pushHistory(entry);
+    }
+
+    this.#persist();
+    return this;
+  }
+
+  /**
+   * Raises maxMutations by `n`, e.g. when a user buys more retries. A
+   * variable that autoFreeze froze only because it ran out is unfrozen.
+   */
+  grant(n) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new TypeError('grant() expects a positive integer number of mutations');
+    }
+    this.#requireOwnBudget('grant()');
+    this.#changeLimit(this.#maxMutations + n);
+    return this;
+  }
+
+  /**
+   * Lowers maxMutations by up to `n`. Units already spent or reserved are
+   * never taken back, so the limit stops there; a variable left with
+   * nothing is auto-frozen like one that spent its last mutation.
+   */
+  revoke(n) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new TypeError('revoke() expects a positive integer number of mutations');
+    }
+    this.#requireOwnBudget('revoke()');
+    this.#changeLimit(Math.max(this.#maxMutations - n, this.#limitFloor()));
+    return this;
+  }
+
+  /**
+   * Sets maxMutations directly, recording a 'grant' or 'revoke' entry like
+   * the methods above. Throws a RangeError below what is already spent or
+   * reserved.
+   */
+  setMaxMutations(n) {
+    if (!isCount(n)) {
+      throw new TypeError('setMaxMutations() expects a non-negative integer number of mutations');
+    }
+    this.#requireOwnBudget('setMaxMutations()');
+    const floor = this.#limitFloor();
+    if (n < floor) {
+      throw new RangeError(`Cannot set maxMutations to ${n}: ${floor} unit(s) are already spent or reserved`);
+    }
+    this.#changeLimit(n);
+    return this;
+  }
+
+  /**
+   * Steps the value back to the state before the most recent change.
+   * Budget handling follows the restorePolicy option.
+   */
+  undo() {
+    this.#requireHistory('undo()');
+    if (this.#undoStack.length === 0) {
+      throw new Error('Nothing to undo.');
+    }
+    this.#restore('undo', this.#undoStack[this.#undoStack.length - 1], 'back');
+    return this;
+  }
+
+  /**
+   * Re-applies the most recently undone change.
+   */
+  redo() {
+    this.#requireHistory('redo()');
+    if (this.#redoStack.length === 0) {
+      throw new Error('Nothing to redo.');
+    }
+    this.#restore('redo', this.#redoStack[this.#redoStack.length - 1], 'forward');
+    return this;
+  }
+
+  /**
+   * Restores the value as it was at a history entry, given either its index
+   * in `history` or a Date (the latest entry at or before that time).
+   * Clears the redo stack, like any other new change.
+   */
+  restoreTo(target) {
+    this.#requireHistory('restoreTo()');
+
+    let index;
+    if (target instanceof Date) {
+      const time = target.getTime();
+      for (let i = this.#history.length - 1; i >= 0; i--) {
+        if (this.#history[i].timestamp <= time) {
+          index = i;
+          break;
+        }
+      }
+      if (index === undefined) {
+        throw new RangeError(`No history entry exists at or before ${target.toISOString()}`);
+      }
+    } else if (Number.isInteger(target) && target >= 0 && target < this.#history.length) {
+      index = target;
+    } else {
+      throw new RangeError(`restoreTo() expects a history index between 0 and ${this.#history.length - 1} or a Date`);
+    }
+
+    const entry = this.#history[index];
+    const direction = index < this.#history.indexOf(this.#cursor) ? 'back' : 'forward';
+    this.#restore('restore', entry, direction, index);
+    return this;
+  }
+
+  canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /**
+   * RFC 6902 patch that turns the value at history entry `fromIndex` into the
+   * value at `toIndex` (the latest entry by default)
+   */
+  diff(fromIndex, toIndex = this.#history.length - 1) {
+    this.#requireHistory('diff()');
+
+    for (const index of [fromIndex, toIndex]) {
+      if (!Number.isInteger(index) || index < 0 || index >= this.#history.length) {
+        throw new RangeError(`diff() expects history indexes between 0 and ${this.#history.length - 1}`);
+      }
+    }
+    return diffPatch(this.#stateAt(fromIndex), this.#stateAt(toIndex));
+  }
+
+  /**
+   * Applies RFC 6902 operations as one mutation. The patch is tried on a copy
+   * of the current value first, so a missing path or a failed 'test' throws
+   * before anything changes; the result is then validated and counted like
+   * an assignment.
+   */
+  applyPatch(ops) {
+    this.#assign(applyPatchOperations(cloneValue(this.#value), ops), null);
+    return this;
+  }
+
+  /**
+   * Sets aside `n` mutations for work that completes later. Reserved
+   * mutations are subtracted from `remaining` until each is committed with
+   * `commit(value)` or given back with `cancel()`, so concurrent callers
+   * cannot overspend. Throws MutationLimitExceeded if the budget cannot
+   * cover `n`; a failed reservation is not a violation.
+   */
+  reserve(n = 1) {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new TypeError('reserve() expects a positive integer number of mutations');
+    }
+
+    const now = this.#now();
+    this.#checkExpiry();
+    if (this.#frozen) {
+      throw new MutationLimitExceeded(`Variable is frozen${this.#expiredNote()}. No mutations can be reserved.`, {
+        maxMutations: this.#maxMutations,
+        currentMutations: this.#mutationCount,
+        frozen: true
+      });
+    }
+
+    const available = this.#available(now);
+    if (n > available) {
+      throw new MutationLimitExceeded(
+        `Cannot reserve ${n} mutation(s): ${available} of ${this.#maxMutations} available, ${this.#reserved} already reserved`,
+        {
+          maxMutations: this.#maxMutations,
+          currentMutations: this.#mutationCount,
+          reserved: this.#reserved,
+          ...this.#windowInfo(now)
+        }
+      );
+    }
+
+    this.#reserved += n;
+    if (this.#options.pool) {
+      this.#options.pool.hold(n);
+    }
+    this.#emit('reserve', { change: n, reserved: this.#reserved, remaining: this.#available(now) });
+    let held = n;
+    return {
+      get remaining() {
+        return held;
+      },
+      // Spends one reserved mutation on a normal assignment of `value`
+      commit: (value) => {
+        if (held === 0) {
+          throw new Error('This reservation has no mutations left to commit.');
+        }
+        held--;
+        this.#reserved--;
+        if (this.#options.pool) {
+          this.#options.pool.hold(-1);
+        }
+        this.#assign(value, null);
+      },
+      // Gives every mutation still held back to the budget
+      cancel: () => {
+        if (held === 0) {
+          return;
+        }
+        const released = held;
+        this.#reserved -= released;
+        if (this.#options.pool) {
+          this.#options.pool.hold(-released);
+        }
+        held = 0;
+        this.#emit('reserve', { change: -released, reserved: this.#reserved, remaining: this.#available(this.#now()) });
+      }
+    };
+  }
+
+  /**
+   * Assigns the result of a promise, or of a function returning one, once it
+   * resolves. A mutation is reserved before any work starts and released if
+   * the promise rejects. Resolves with the new value.
+   */
+  async setAsync(promiseOrFn) {
+    const reservation = this.reserve(1);
+    try {
+      const value = await (typeof promiseOrFn === 'function' ? promiseOrFn() : promiseOrFn);
+      reservation.commit(value);
+      return this.#value;
+    } finally {
+      reservation.cancel();
+    }
+  }
+
+  /**
+   * Runs `fn(draft)` as one atomic change. Deep edits made while it runs are
+   * counted as a single mutation with a single 'transaction' history entry.
+   * If the callback throws, or the edits are rejected or over budget, the
+   * previous value is put back. Returns whatever the callback returns.
+   */
+  transaction(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('transaction() expects a callback: variable.transaction(draft => { ... })');
+    }
+
+    // Nested transactions join the one already running
+    if (this.#transaction) {
+      return fn(this.#value);
+    }
+
+    this.#checkExpiry();
+    if (this.#frozen) {
+      this.#violated = true;
+      this.#windowBreach = false;
+      const message = this.#options.errorMessage ||
+        `Variable is frozen${this.#expiredNote()}. No more mutations allowed.`;
+      const error = new MutationLimitExceeded(message, {
+        maxMutations: this.#maxMutations,
+        currentMutations: this.#mutationCount,
+        currentValue: this.#value,
+        frozen: true
+      });
+
+      if (!this.#onViolationCalled) {
+        this.#onViolationCalled = true;
+        this.#emit('violation', error);
+      }
+
+      this.#persist();
+      if (this.#options.strictMode) {
+        throw error;
+      }
+      return undefined;
+    }
+
+    const draft = this.value;
+    const before = cloneValue(draft);
+    const transaction = { paths: new Set() };
+    this.#transaction = transaction;
+
+    let result;
+    try {
+      result = fn(draft);
+      if (result && typeof result.then === 'function') {
+        throw new TypeError('transaction() callbacks must be synchronous: edits made after an await would escape the transaction');
+      }
+    } catch (error) {
+      this.#rollback(before);
+      throw error;
+    } finally {
+      this.#transaction = null;
+    }
+
+    if (transaction.paths.size > 0) {
+      this.#commitTransaction(before, [...transaction.paths]);
+    }
+    return result;
+  }
+
+  /**
+   * Registers a listener for the events the option callbacks receive:
+   * 'mutate', 'violation', 'lastMutation', 'limitExceeded', 'expire',
+   * 'refill' and 'reserve'. The listener is called with `(event, type)`;
+   * pass `{ types }` to only hear some of them. Returns a function that
+   * removes the listener.
+   *
+   * While someone listens for 'expire' or 'refill', timers deliver them when
+   * the deadline passes or a time window frees up, without waiting for the
+   * next access.
+   */
+  subscribe(listener, { types = Object.keys(EVENT_CALLBACKS) } = {}) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('subscribe() expects a listener function');
+    }
+    const wanted = new Set(Array.isArray(types) ? types : [types]);
+    wanted.forEach(type => {
+      if (!(type in EVENT_CALLBACKS)) {
+        throw new TypeError(`Unknown event type '${type}'. Use ${Object.keys(EVENT_CALLBACKS).map(t => `'${t}'`).join(', ')}.`);
+      }
+    });
+
+    const subscription = { listener, types: wanted };
+    this.#listeners.add(subscription);
+    this.#scheduleExpiry();
+    this.#scheduleRefill();
+    return () => {
+      this.#listeners.delete(subscription);
+      this.#scheduleExpiry();
+      this.#scheduleRefill();
+    };
+  }
+
+  /**
+   * Async iterable of events, 'mutate' only unless `{ types }` says
+   * otherwise. Events are buffered from the moment changes() is called;
+   * leaving the `for await` loop unsubscribes.
+   */
+  changes({ types = ['mutate'] } = {}) {
+    const buffered = [];
+    const waiting = [];
+    let closed = false;
+
+    const unsubscribe = this.subscribe(event => {
+      if (waiting.length > 0) {
+        waiting.shift()({ value: event, done: false });
+      } else {
+        buffered.push(event);
+      }
+    }, { types });
+
+    return {
+      next() {
+        if (buffered.length > 0) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        if (closed) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => waiting.push(resolve));
+      },
+      return() {
+        closed = true;
+        unsubscribe();
+        buffered.length = 0;
+        waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Observable interop: `from(variable)` in RxJS yields each 'mutate' event.
+   */
+  [OBSERVABLE]() {
+    const variable = this;
+    return {
+      subscribe(observer) {
+        if (typeof observer !== 'function' && (observer === null || typeof observer !== 'object')) {
+          throw new TypeError('Expected the observer to be a function or an object with a next() method');
+        }
+        const unsubscribe = variable.subscribe(event => {
+          if (typeof observer === 'function') {
+            observer(event);
+          } else if (typeof observer.next === 'function') {
+            observer.next(event);
+          }
+        }, { types: ['mutate'] });
+        return { unsubscribe };
+      },
+      [OBSERVABLE]() {
+        return this;
+      }
+    };
+  }
+
+  toString() {
+    return `LimitedVariable(value: ${this.#value}, remaining: ${this.remaining}/${this.#maxMutations})`;
+  }
+
+  toJSON() {
+    this.#checkExpiry();
+    this.#settleWindowBreach();
+    return {
+      value: this.#value,
+      maxMutations: this.#maxMutations,
+      mutationCount: this.#mutationCount,
+      violationCount: this.#violationCount,
+      // Omitted while every mutation has cost 1, so unweighted snapshots are unchanged
+      spent: this.#spent !== this.#mutationCount ? this.#spent : undefined,
+      remaining: this.remaining,
+      reserved: this.#reserved,
+      frozen: this.#frozen,
+      violated: this.#violated,
+      expiresAt: this.#expiresAt !== null ? this.#expiresAt : undefined,
+      expired: this.#expired || undefined,
+      autoFrozen: this.#autoFrozen || undefined,
+      windowState: this.#window ? this.#copyWindowState() : undefined,
+      pathCounts: this.#pathBudgets.length > 0
+        ? Object.fromEntries(this.#pathBudgets.map(budget => [budget.pattern, budget.count]))
+        : undefined,
+      history: this.#options.trackHistory ? this.#history : undefined
+    };
+  }
+
+  /**
+   * Rebuilds a variable from a toJSON() snapshot (object or JSON string).
+   *
+   * Options are not part of the snapshot, so callbacks and modes must be
+   * passed again. Throws a TypeError if the snapshot is malformed or its
+   * counts are inconsistent.
+   */
+  static fromJSON(snapshot, options = {}) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+    validateSnapshot(snapshot, Boolean(options.window));
+
+    const variable = new LimitedVariable(snapshot.value, snapshot.maxMutations, options);
+    variable.#hydrate(snapshot);
+    return variable;
+  }
+
+  /**
+   * Reads the output of exportHistory() (or its parsed records) back into a
+   * frozen array of history entries, for inspection only. `format` must match
+   * the export. Throws a TypeError naming the first malformed record.
+   */
+  static importHistory(data, { format = 'ndjson' } = {}) {
+    if (!HISTORY_FORMATS.includes(format)) {
+      throw new TypeError(`Unknown history format '${format}'. Use ${HISTORY_FORMATS.map(name => `'${name}'`).join(', ')}.`);
+    }
+    return Object.freeze(importHistoryRecords(parseHistory(data, format)));
+  }
+
+  /**
+   * Rebuilds a variable by performing the writes of a recorded history again
+   * through the real code paths, firing the callbacks in `options`. Accepts
+   * a `history` array, the entries from importHistory(), or exportHistory()
+   * text (with `format`). `maxMutations` must be given with the options.
+   *
+   * Each 'mutation', 'deep-mutation', 'violation', 'rejected' and 'noop'
+   * entry is written again and each 'reset' is reset again, with the clock
+   * set to the recorded timestamp. Replay stops at the first entry whose
+   * outcome differs from the recording - another entry type, mutation count
+   * or patch (value, for entries without one), a freeze before an accepted
+   * write, or a thrown error - or that it cannot perform (such as an undo or
+   * a transaction). Histories recorded by reference are refused, since their
+   * entries no longer hold the values they recorded.
+   *
+   * Returns `{ variable, replayed, divergence }`: `replayed` counts the
+   * matching entries, and `divergence` is null or describes the first
+   * mismatch as `{ index, reason, message, expected, actual, error? }`.
+   */
+  static replay(history, { maxMutations, format = 'ndjson', ...options } = {}) {
+    const entries = typeof history === 'string' ? LimitedVariable.importHistory(history, { format }) : history;
+    if (!Array.isArray(entries) || entries.length === 0 || !entries[0] || entries[0].type !== 'initial') {
+      throw new TypeError('replay() expects a history that starts with an \'initial\' entry');
+    }
+    if (typeof maxMutations !== 'number' || maxMutations < 0) {
+      throw new TypeError('replay() needs the maxMutations the history was recorded with: replay(history, { maxMutations })');
+    }
+    if (entries.some(holdsLiveValue)) {
+      throw new TypeError('replay() cannot use a history recorded with historySnapshot: \'reference\': its entries hold the live value, which later edits have changed. Record with historySnapshot: \'structuredClone\' or a copy function');
+    }
+
+    // Time stands still at each recorded timestamp unless a clock is supplied
+    let time = entries[0].timestamp;
+    const clock = options.clock || { now: () => time };
+    const variable = new LimitedVariable(cloneValue(entries[0].value), maxMutations, {
+      ...options,
+      clock,
+      trackHistory: true
+    });
+
+    for (let index = 1; index < entries.length; index++) {
+      const recorded = entries[index];
+      time = recorded.timestamp;
+      const diverge = (reason, message, actual = null, error) => ({
+        variable,
+        replayed: index,
+        divergence: {
+          index,
+          reason,
+          message: `History entry ${index}: ${message}`,
+          expected: recorded,
+          actual,
+          ...(error ? { error } : {})
+        }
+      });
+
+      if (recorded.type !== 'reset' && !REPLAYED_WRITES.includes(recorded.type)) {
+        return diverge('unsupported', `'${recorded.type}' entries cannot be replayed`);
+      }
+      if (['mutation', 'deep-mutation'].includes(recorded.type) && variable.isFrozen()) {
+        return diverge('frozen', `the replay froze before this '${recorded.type}' entry`);
+      }
+
+      const last = variable.#history[variable.#history.length - 1];
+      try {
+        if (recorded.type === 'reset') {
+          variable.reset();
+        } else if (recorded.mutationPath !== undefined) {
+          replayDeepWrite(variable.#value, recorded);
+        } else {
+          variable.set(cloneValue(recorded.value), { cost: recorded.cost });
+        }
+      } catch (error) {
+        return diverge('error', `the replay threw ${error.name}: ${error.message}`, null, error);
+      }
+
+      const produced = variable.#history[variable.#history.length - 1];
+      const mismatch = replayMismatch(recorded, produced === last ? null : produced);
+      if (mismatch) {
+        return diverge(mismatch.reason, mismatch.message, produced === last ? null : produced);
+      }
+    }
+
+    return { variable, replayed: entries.length, divergence: null };
+  }
+
+  // === DEEP MUTATION TRACKING IMPLEMENTATION ===
+
+  #isObjectOrArray(value) {
+    return value !== null && (typeof value === 'object') && !this.#isSpecialObject(value);
+  }
+
+  #isSpecialObject(value) {
+    // Don't wrap certain built-in objects that shouldn't be proxied
+    // Dates and binary views are only tracked when opted in; raw buffers are
+    // only ever written through views
+    return (value instanceof Date && !this.#options.trackDates) ||
+           ((value instanceof TypedArray || value instanceof DataView) && !this.#options.trackTypedArrays) ||
+           value instanceof ArrayBuffer ||
+           value instanceof RegExp ||
+           value instanceof Error ||
+           value instanceof Promise ||
+           (typeof Buffer !== 'undefined' && value instanceof Buffer);
+  }
+
+  #createDeepProxy(obj, path) {
+    // Prevent double-wrapping
+    if (this.#deepProxies.has(obj)) {
+      return this.#deepProxies.get(obj);
+    }
+
+    // Handle circular references by marking this object as being processed
+    const processedObjects = new WeakSet();
+
+    const createProxy = (target, currentPath) => {
+      if (processedObjects.has(target)) {
+        return target; // Return unwrapped to avoid circular proxy chains
+      }
+      processedObjects.add(target);
+      liveTargets.add(target);
+
+      if (target instanceof Date) {
+        return this.#createDateProxy(target, currentPath);
+      }
+      if (target instanceof TypedArray || target instanceof DataView) {
+        return this.#createBinaryProxy(target, currentPath);
+      }
+
+      // Eagerly proxy all nested objects/arrays
+      if (Array.isArray(target)) {
+        for (let i = 0; i < target.length; i++) {
+          if (this.#isObjectOrArray(target[i]) && !this.#deepProxies.has(target[i])) {
+            target[i] = createProxy(target[i], [...currentPath, i]);
+          }
+        }
+        return this.#createArrayProxy(target, currentPath);
+      } else if (this.#isCollection(target)) {
+        // Map values are wrapped like properties; keys and Set members are
+        // left alone because lookups depend on their identity
+        if (target instanceof Map) {
+          target.forEach((item, key) => {
+            if (this.#isObjectOrArray(item) && !this.#deepProxies.has(item)) {
+              target.set(key, createProxy(item, [...currentPath, new EntrySegment(target, key)]));
+            }
+          });
+        }
+        return this.#createCollectionProxy(target, currentPath);
+      } else if (this.#isObjectOrArray(target)) {
+        for (const key in target) {
+          if (target.hasOwnProperty(key) && this.#isObjectOrArray(target[key]) && !this.#deepProxies.has(target[key])) {
+            target[key] = createProxy(target[key], [...currentPath, key]);
+          }
+        }
+        return this.#createObjectProxy(target, currentPath);
+      }
+      return target;
+    };
+
+    const proxy = createProxy(obj, path);
+    this.#deepProxies.set(obj, proxy);
+    return proxy;
+  }
+
+  #createObjectProxy(obj, path) {
+    return new Proxy(obj, {
+      set: (target, prop, value, receiver) => {
+        const newPath = [...path, prop];
+        if (hasOwn(target, prop) && this.#isNoop(value, target[prop], newPath)) {
+          return true;
+        }
+        if (this.#handleDeepMutation(newPath, value, target[prop]) === false) {
+          return true;  // Rejected by validation: leave the property untouched
+        }
+
+        // Wrap the new value if it's an object/array
+        if (this.#isObjectOrArray(value)) {
+          value = this.#createDeepProxy(value, newPath);
+        }
+
+        const result = Reflect.set(target, prop, value, receiver);
+        this.#persist();
+        return result;
+      },
+
+      deleteProperty: (target, prop) => {
+        const newPath = [...path, prop];
+        if (this.#handleDeepMutation(newPath, undefined, target[prop], 'delete') === false) {
+          return true;
+        }
+        const result = Reflect.deleteProperty(target, prop);
+        this.#persist();
+        return result;
+      },
+
+      get: (target, prop, receiver) => {
+        return Reflect.get(target, prop, receiver);
+      }
+    });
+  }
+
+  #createArrayProxy(arr, path) {
+    const mutatingMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill'];
+
+    return new Proxy(arr, {
+      set: (target, prop, value, receiver) => {
+        // Handle array index assignments: arr[0] = value
+        if (prop !== 'length' && /^\d+$/.test(prop)) {
+          const newPath = [...path, prop];
+          if (hasOwn(target, prop) && this.#isNoop(value, target[prop], newPath)) {
+            return true;
+          }
+          if (this.#handleDeepMutation(newPath, value, target[prop]) === false) {
+            return true;
+          }
+
+          if (this.#isObjectOrArray(value)) {
+            value = this.#createDeepProxy(value, newPath);
+          }
+        }
+
+        const result = Reflect.set(target, prop, value, receiver);
+        this.#persist();
+        return result;
+      },
+
+      get: (target, prop, receiver) => {
+        const value = Reflect.get(target, prop, receiver);
+
+        // Intercept mutating array methods
+        if (mutatingMethods.includes(prop)) {
+          return (...args) => {
+            if (this.#handleDeepMutation([...path, `${prop}()`], args, undefined, 'array-method') === false) {
+              return undefined;
+            }
+
+            // Call the original method
+            const result = value.apply(target, args);
+
+            // Re-wrap any newly added objects/arrays
+            this.#rewrapArrayElements(target, path);
+            this.#persist();
+
+            return result;
+          };
+        }
+
+        return value;
+      }
+    });
+  }
+
+  #isCollection(value) {
+    return value instanceof Map || value instanceof Set || value instanceof WeakMap || value instanceof WeakSet;
+  }
+
+  // Map/Set methods read internal slots, so they always run against the real
+  // collection; the mutating ones are counted like array methods. Entries are
+  // addressed as `get(key)` / `has(value)`, and clear() as `clear()`.
+  #createCollectionProxy(collection, path) {
+    const keyed = collection instanceof Map || collection instanceof WeakMap;
+
+    const proxy = new Proxy(collection, {
+      get: (target, prop) => {
+        const value = Reflect.get(target, prop, target);
+        if (typeof value !== 'function') {
+          return value;
+        }
+
+        if (prop === 'set' && keyed) {
+          return (key, item) => {
+            const newPath = [...path, new EntrySegment(target, key)];
+            if (target.has(key) && this.#isNoop(item, target.get(key), newPath, { method: 'set', args: [key, item] })) {
+              return proxy;
+            }
+            if (this.#handleDeepMutation(newPath, item, target.get(key)) === false) {
+              return proxy;
+            }
+            if (this.#isObjectOrArray(item)) {
+              item = this.#createDeepProxy(item, newPath);
+            }
+            target.set(key, item);
+            this.#persist();
+            return proxy;
+          };
+        }
+
+        if (prop === 'add' && !keyed) {
+          return (item) => {
+            const newPath = [...path, new EntrySegment(target, item)];
+            if (target.has(item) && this.#isNoop(item, item, newPath, { method: 'add', args: [item] })) {
+              return proxy;
+            }
+            if (this.#handleDeepMutation(newPath, item, undefined) === false) {
+              return proxy;
+            }
+            target.add(item);
+            this.#persist();
+            return proxy;
+          };
+        }
+
+        if (prop === 'delete') {
+          return (key) => {
+            const oldValue = keyed ? target.get(key) : key;
+            if (this.#handleDeepMutation([...path, new EntrySegment(target, key)], undefined, oldValue, 'delete') === false) {
+              return false;
+            }
+            const result = target.delete(key);
+            this.#persist();
+            return result;
+          };
+        }
+
+        if (prop === 'clear') {
+          return () => {
+            if (this.#handleDeepMutation([...path, 'clear()'], [], undefined, 'collection-method') === false) {
+              return undefined;
+            }
+            target.clear();
+            this.#persist();
+            return undefined;
+          };
+        }
+
+        return value.bind(target);
+      }
+    });
+    return proxy;
+  }
+
+  // Date setters (setFullYear(), setTime(), setUTCHours(), ...) edit the
+  // internal time value in place; every other method only reads it
+  #createDateProxy(date, path) {
+    return new Proxy(date, {
+      get: (target, prop) => {
+        const value = Reflect.get(target, prop, target);
+        if (typeof value !== 'function') {
+          return value;
+        }
+        if (typeof prop === 'string' && prop.startsWith('set')) {
+          return (...args) => {
+            const before = new Date(target.getTime());
+            if (this.#handleDeepMutation([...path, `${prop}()`], args, before, 'date-method') === false) {
+              return target.getTime();
+            }
+            const result = value.apply(target, args);
+            this.#persist();
+            return result;
+          };
+        }
+        return value.bind(target);
+      }
+    });
+  }
+
+  // Typed arrays and DataViews: index writes count as property mutations,
+  // and the methods that write in place as 'typed-array-method'. Views from
+  // subarray() are tracked too, as `offset` elements into the array at
+  // `path`: their writes are recorded as writes to that array.
+  #createBinaryProxy(view, path, offset = null) {
+    const dataView = view instanceof DataView;
+    const mutatingMethods = ['set', 'fill', 'copyWithin', 'sort', 'reverse'];
+
+    const proxy = new Proxy(view, {
+      set: (target, prop, value) => {
+        if (!dataView && typeof prop === 'string' && /^\d+$/.test(prop)) {
+          const elementPath = [...path, offset === null ? prop : String(offset + Number(prop))];
+          if (Number(prop) < target.length && this.#isNoop(value, target[prop], elementPath)) {
+            return true;
+          }
+          if (this.#handleDeepMutation(elementPath, value, target[prop]) === false) {
+            return true;
+          }
+          target[prop] = value;
+          this.#persist();
+          return true;
+        }
+        return Reflect.set(target, prop, value);
+      },
+
+      get: (target, prop) => {
+        // Another view over the buffer would write past the budget
+        if (prop === 'buffer' && this.#options.strictMode) {
+          throw new TypeError('Cannot read buffer of a tracked typed array in strict mode: writes through it would not be counted. Copy it with slice(), or set strictMode: false');
+        }
+        const value = Reflect.get(target, prop, target);
+        if (typeof value !== 'function') {
+          return value;
+        }
+        if (prop === 'subarray' && !dataView) {
+          return (...args) => {
+            const sub = value.apply(target, args);
+            const start = (sub.byteOffset - target.byteOffset) / target.BYTES_PER_ELEMENT;
+            return this.#createBinaryProxy(sub, path, (offset || 0) + start);
+          };
+        }
+        const mutating = dataView
+          ? typeof prop === 'string' && prop.startsWith('set')
+          : mutatingMethods.includes(prop);
+        if (mutating && offset !== null) {
+          // Worked out on a copy, then recorded as set() on the whole array
+          return (...args) => {
+            const edited = target.slice();
+            const result = value.apply(edited, args);
+            if (this.#handleDeepMutation([...path, 'set()'], [edited, offset], undefined, 'typed-array-method') === false) {
+              return undefined;
+            }
+            target.set(edited);
+            this.#persist();
+            return result === edited ? proxy : result;
+          };
+        }
+        if (mutating) {
+          return (...args) => {
+            if (this.#handleDeepMutation([...path, `${prop}()`], args, undefined, 'typed-array-method') === false) {
+              return undefined;
+            }
+            const result = value.apply(target, args);
+            this.#persist();
+            // fill(), sort(), ... return the view itself
+            return result === target ? proxy : result;
+          };
+        }
+        return value.bind(target);
+      }
+    });
+    trackedViews.set(proxy, view);
+    return proxy;
+  }
+
+  #rewrapArrayElements(arr, path) {
+    for (let i = 0; i < arr.length; i++) {
+      if (this.#isObjectOrArray(arr[i]) && !this.#deepProxies.has(arr[i])) {
+        arr[i] = this.#createDeepProxy(arr[i], [...path, i]);
+      }
+    }
+  }
+
+  #handleDeepMutation(path, newValue, oldValue, mutationType = 'property') {
+    // Undoing a rolled-back transaction is not a mutation of its own
+    if (this.#reverting) {
+      return;
+    }
+
+    // Inside transaction() edits are only collected; they are checked and
+    // counted once when the transaction commits
+    if (this.#transaction) {
+      this.#transaction.paths.add(path.join('.'));
+      return;
+    }
+
+    // This is where we increment the mutation count for deep mutations
+    this.#mutationPath = path;
+
+    this.#checkExpiry();
+    if (this.#frozen) {
+      this.#violated = true;
+      this.#windowBreach = false;
+      const pathStr = path.join('.');
+      const message = this.#options.errorMessage ||
+        `Variable is frozen${this.#expiredNote()}. Deep mutation attempted at path: ${pathStr}`;
+      const error = new MutationLimitExceeded(message, {
+        maxMutations: this.#maxMutations,
+        currentMutations: this.#mutationCount,
+        attemptedValue: newValue,
+        currentValue: oldValue,
+        mutationPath: pathStr,
+        mutationType,
+        frozen: true
+      });
+
+      if (!this.#onViolationCalled) {
+        this.#onViolationCalled = true;
+        this.#emit('violation', error);
+      }
+
+      this.#persist();
+      if (this.#options.strictMode) {
+        throw error;
+      }
+      return;
+    }
+
+    const now = this.#now();
+    const pathStr = path.join('.');
+
+    const rejection = this.#validateMutation(newValue, oldValue, { type: 'deep-mutation', path, mutationType });
+    if (rejection) {
+      this.#rejectMutation(rejection, now);
+      return false;
+    }
+
+    const cost = this.#costOf(newValue, oldValue, { type: 'deep-mutation', path, mutationType });
+    const pathBudgets = this.#pathBudgetsFor(pathStr);
+    if (!METHOD_MUTATIONS.includes(mutationType)) {
+      pathBudgets.push(...this.#budgetsBelow(path, oldValue, newValue));
+    }
+    const exhaustedBudget = pathBudgets.find(budget => budget.count >= budget.limit);
+
+    // Check if we've exceeded the global or a path-specific mutation limit
+    if (this.#isOverLimit(now, cost) || exhaustedBudget) {
+      this.#violated = true;
+      this.#windowBreach = Boolean(this.#window) && !exhaustedBudget;
+      this.#violationCount++;
+
+      const pathBudget = this.#describePathBudget(exhaustedBudget || this.#tightestBudget(pathBudgets));
+      const violationAttempt = {
+        attemptNumber: this.#violationCount,
+        attemptedValue: newValue,
+        currentValue: oldValue,
+        mutationCount: this.#mutationCount,
+        violationCount: this.#violationCount,
+        timestamp: now,
+        totalAttempts: this.#mutationCount + this.#violationCount,
+        mutationPath: pathStr,
+        mutationType,
+        cost,
+        ...(pathBudget ? { pathBudget } : {}),
+        ...this.#windowInfo(now)
+      };
+
+      this.#emit('limitExceeded', violationAttempt);
+
+      if (this.#options.strictMode) {
+        const message = this.#options.errorMessage ||
+          this.#limitExceededMessage(pathStr, now, pathBudget, Boolean(exhaustedBudget), cost);
+        const error = new MutationLimitExceeded(message, {
+          maxMutations: this.#maxMutations,
+          currentMutations: this.#mutationCount,
+          attemptedValue: newValue,
+          currentValue: oldValue,
+          mutationPath: pathStr,
+          mutationType,
+          history: this.#options.trackHistory ? this.#history : undefined,
+          ...(pathBudget ? { pathBudget } : {}),
+          ...this.#windowInfo(now)
+        });
+
+        if (!this.#onViolationCalled) {
+          this.#onViolationCalled = true;
+          this.#emit('violation', error);
+        }
+        this.#persist();
+        throw error;
+      }
+
+      // Non-strict mode: Allow the violation but track it
+      if (!this.#options.strictMode) {
+        if (this.#options.trackHistory) {
+          const entry = {
+            value: newValue,
+            previousValue: oldValue,
+            timestamp: now,
+            mutation: this.#mutationCount,
+            mutationPath: pathStr,
+            mutationType,
+            type: 'violation',
+            cost,
+            ...this.#windowInfo(now)
+          };
+          this.#setAsideCursor(entry, this.#deepMutationPatches(path, newValue, mutationType));
+          this.#pushHistory(entry);
+          this.#recordState(entry, null);
+        }
+      }
+      return;
+    }
+
+    // This is a valid mutation
+    this.#spend(now, cost);
+    pathBudgets.forEach(budget => budget.count++);
+    const patches = this.#deepMutationPatches(path, newValue, mutationType);
+
+    if (this.#options.trackHistory) {
+      const entry = {
+        value: newValue,
+        previousValue: oldValue,
+        timestamp: now,
+        mutation: this.#mutationCount,
+        mutationPath: pathStr,
+        mutationType,
+        type: 'deep-mutation',
+        cost,
+        ...patches,
+        ...this.#windowInfo(now)
+      };
+      this.#setAsideCursor(entry, patches);
+      this.#pushHistory(entry);
+      this.#recordState(entry, null);
+    }
+
+    this.#emit('mutate', {
+      newValue,
+      oldValue,
+      mutationCount: this.#mutationCount,
+      remaining: this.remaining,
+      mutationPath: pathStr,
+      mutationType,
+      cost,
+      ...patches
+    });
+
+    if (this.#isLastMutation(now)) {
+      this.#emit('lastMutation', {
+        value: newValue,
+        mutationPath: pathStr,
+        mutationType,
+        history: this.#options.trackHistory ? this.#history : undefined
+      });
+
+      if (this.#options.autoFreeze) {
+        this.#frozen = true;
+        this.#autoFrozen = true;
+      }
+    }
+  }
+
+  // === NO-OP IMPLEMENTATION ===
+
+  // True if the equals option considers the write unchanged. Such writes are
+  // not counted, validated or reported; recordNoops keeps a 'noop' entry.
+  // Map set() and Set add() pass the call, so their entry is recorded as the
+  // 'collection-method' it was rather than a property write.
+  #isNoop(newValue, oldValue, path, call = null) {
+    if (this.#reverting || !this.#equals || !this.#equals(newValue, oldValue)) {
+      return false;
+    }
+
+    if (this.#options.recordNoops && this.#options.trackHistory) {
+      const entry = {
+        value: newValue,
+        previousValue: oldValue,
+        timestamp: this.#now(),
+        mutation: this.#mutationCount,
+        type: 'noop'
+      };
+      if (call) {
+        entry.value = call.args;
+        entry.mutationPath = [...path.slice(0, -1), `${call.method}()`].join('.');
+        entry.mutationType = 'collection-method';
+      } else if (path.length > 0) {
+        entry.mutationPath = path.join('.');
+        entry.mutationType = 'property';
+      }
+      this.#pushHistory(entry);
+      this.#persist();
+    }
+    return true;
+  }
+
+  // === BUDGET & TIME-WINDOW IMPLEMENTATION ===
+
+  // Mutations that can be spent right now; reserved ones are already spoken for
+  #available(now) {
+    const unspent = this.#window
+      ? this.#windowRemaining(now)
+      : Math.max(0, this.#maxMutations - this.#spent);
+    const available = Math.max(0, unspent - this.#reserved);
+    // Group members can never spend more than their pool has left
+    return this.#options.pool ? Math.min(available, this.#options.pool.available()) : available;
+  }
+
+  // Counts one mutation of `cost` units against the budget and any shared
+  // pool it draws from
+  #spend(now, cost) {
+    this.#mutationCount++;
+    this.#spent += cost;
+    this.#consumeWindow(now, cost);
+    if (this.#options.pool) {
+      this.#options.pool.spend(cost);
+    }
+  }
+
+  #isOverLimit(now, cost = 1) {
+    return this.#available(now) < cost;
+  }
+
+  // Running over a time window's quota only blocks strict-mode reads until
+  // the window has room again; the next breach is then reported as a new one
+  #settleWindowBreach() {
+    if (this.#windowBreach && !this.#frozen && !this.#isOverLimit(this.#now())) {
+      this.#violated = false;
+      this.#windowBreach = false;
+      this.#onViolationCalled = false;
+    }
+  }
+
+  // Units a write spends: explicit set(value, { cost }), else the cost option, else 1
+  #costOf(newValue, oldValue, { type, path, mutationType }, explicit = null) {
+    let cost = explicit;
+    if (cost === null || cost === undefined) {
+      const option = this.#options.cost;
+      cost = typeof option === 'function'
+        ? option(newValue, oldValue, {
+          type,
+          path: path.join('.'),
+          mutationType,
+          mutationCount: this.#mutationCount,
+          remaining: this.remaining
+        })
+        : (option === null || option === undefined ? 1 : option);
+    }
+    if (!Number.isInteger(cost) || cost < 1) {
+      throw new TypeError(`Mutation cost must be a positive integer, got ${String(cost)}`);
+    }
+    return cost;
+  }
+
+  // True when the mutation that was just counted spent the last available slot
+  #isLastMutation(now) {
+    if (this.#window) {
+      return this.#windowRemaining(now) === 0;
+    }
+    return this.#spent >= this.#maxMutations;
+  }
+
+  #limitExceededMessage(pathStr, now, pathBudget = null, pathExhausted = false, cost = 1) {
+    const location = pathStr ? ` at path: ${pathStr}` : '';
+    const weight = cost === 1 ? '' : ` costing ${cost} (${this.#available(now)} available)`;
+    const attempt = `${this.#mutationCount + this.#violationCount}${weight}`;
+    if (pathBudget) {
+      const pathPart = `path budget '${pathBudget.pattern}': ${pathBudget.remaining} of ${pathBudget.maxMutations} remaining`;
+      const globalPart = `global budget: ${this.remaining} of ${this.#maxMutations} remaining`;
+      const reason = pathExhausted ? 'Path mutation limit exceeded' : 'Mutation limit exceeded';
+      return `${reason}${location}. Attempted mutation #${attempt}; ${pathPart}, ${globalPart}`;
+    }
+    const reserved = this.#reserved > 0 ? ` (${this.#reserved} reserved)` : '';
+    const pooled = this.#options.pool && this.#options.pool.exhausted(cost);
+    if (pooled) {
+      const group = pooled.group ? `group '${pooled.group}'` : 'the group';
+      const held = pooled.reserved > 0 ? ` (${pooled.reserved} reserved)` : '';
+      const path = pathStr ? `, path: ${pathStr}` : '';
+      return `Group mutation limit exceeded at member: ${pooled.member}${path}. Maximum ${pooled.maxMutations} mutation(s) shared by ${group}${held}${weight}`;
+    }
+    if (!this.#window) {
+      return `Mutation limit exceeded${location}. Maximum ${this.#maxMutations} mutation(s) allowed${reserved}, attempted mutation #${attempt}`;
+    }
+    const quota = this.#window.strategy === 'token-bucket'
+      ? `${this.#window.capacity} mutation(s) per bucket`
+      : `${this.#maxMutations} mutation(s) per ${this.#window.size}ms ${this.#window.strategy} window`;
+    const waitMs = this.#nextAvailableAt(now) - now;
+    return `Mutation limit exceeded${location}. Maximum ${quota} allowed${reserved}, attempted mutation #${attempt}; next mutation available in ${waitMs}ms`;
+  }
+
+  // Extra fields for history entries and violation payloads of windowed variables
+  #windowInfo(now) {
+    if (!this.#window) {
+      return {};
+    }
+    return { nextAvailableAt: this.#nextAvailableAt(now) };
+  }
 
-  // Control flags
-  #frozen = false;           // Manual or automatic freeze state
-  #violated = false;         // Tracks if any violation occurred (for strict mode reading)
-  #onViolationCalled = false; // Ensures onViolation callback called only once
+  #resetWindow(now) {
+    if (!this.#window) {
+      return;
+    }
+    switch (this.#window.strategy) {
+      case 'fixed':
+        this.#windowState = { start: now, count: 0 };
+        break;
+      case 'sliding':
+        this.#windowState = { timestamps: [] };
+        break;
+      case 'token-bucket':
+        this.#windowState = { tokens: this.#window.capacity, updatedAt: now };
+        break;
+    }
+  }
 
-  // Deep mutation tracking
-  #deepProxies = new WeakMap(); // Tracks wrapped objects to prevent double-wrapping
-  #mutationPath = [];           // Tracks the current mutation path for better error messages
+  // Rolls the window forward to `now`, expiring old usage / refilling tokens
+  #refreshWindow(now) {
+    const state = this.#windowState;
+    switch (this.#window.strategy) {
+      case 'fixed': {
+        const elapsed = now - state.start;
+        if (elapsed >= this.#window.size) {
+          state.start += Math.floor(elapsed / this.#window.size) * this.#window.size;
+          state.count = 0;
+        }
+        break;
+      }
+      case 'sliding': {
+        const cutoff = now - this.#window.size;
+        while (state.timestamps.length > 0 && state.timestamps[0] <= cutoff) {
+          state.timestamps.shift();
+        }
+        break;
+      }
+      case 'token-bucket': {
+        const elapsed = Math.max(0, now - state.updatedAt);
+        state.tokens = Math.min(this.#window.capacity, state.tokens + elapsed * this.#window.refillPerMs);
+        state.updatedAt = now;
+        break;
+      }
+    }
+  }
 
-  constructor(initialValue, maxMutations = 1, options = {}) {
-    this.#maxMutations = maxMutations;
-    this.#options = {
-      trackHistory: true,
-      strictMode: true,
-      allowReset: false,
-      autoFreeze: true,
-      trackDeepMutations: true,  // NEW: Track object/array property mutations by default
-      onMutate: null,
-      onViolation: null,
-      onLastMutation: null,
-      onLimitExceeded: null,
-      errorMessage: null,
-      ...options
-    };
+  #windowRemaining(now) {
+    this.#refreshWindow(now);
+    const state = this.#windowState;
+    switch (this.#window.strategy) {
+      case 'fixed':
+        return Math.max(0, this.#maxMutations - state.count);
+      case 'sliding':
+        return Math.max(0, this.#maxMutations - state.timestamps.length);
+      case 'token-bucket':
+        // Small epsilon guards against floating point drift during refill
+        return Math.floor(state.tokens + 1e-9);
+    }
+  }
 
-    // Semantic coupling: Non-strict mode disables auto-freeze
-    // This ensures violation tracking works as expected - when strictMode is false,
-    // we want to continue tracking violations rather than freezing the variable
-    if (!this.#options.strictMode) {
-      this.#options.autoFreeze = false;
+  #consumeWindow(now, cost = 1) {
+    if (!this.#window) {
+      return;
+    }
+    this.#refreshWindow(now);
+    const state = this.#windowState;
+    switch (this.#window.strategy) {
+      case 'fixed':
+        state.count += cost;
+        break;
+      case 'sliding':
+        for (let i = 0; i < cost; i++) {
+          state.timestamps.push(now);
+        }
+        break;
+      case 'token-bucket':
+        state.tokens -= cost;
+        break;
     }
+    this.#scheduleRefill();
+  }
 
-    // Set initial value with deep proxy wrapping if needed
-    if (this.#options.trackDeepMutations && this.#isObjectOrArray(initialValue)) {
-      this.#value = this.#createDeepProxy(initialValue, []);
-    } else {
-      this.#value = initialValue;
+  #nextAvailableAt(now) {
+    if (this.#windowRemaining(now) > 0) {
+      return now;
+    }
+    const state = this.#windowState;
+    switch (this.#window.strategy) {
+      case 'fixed':
+        return state.start + this.#window.size;
+      case 'sliding':
+        // The slot frees up when the oldest mutation still counted leaves the window
+        return state.timestamps[state.timestamps.length - this.#maxMutations] + this.#window.size;
+      case 'token-bucket':
+        return now + Math.ceil((1 - state.tokens) / this.#window.refillPerMs);
     }
+  }
 
-    if (this.#options.trackHistory) {
-      this.#history.push({
-        value: initialValue,
-        timestamp: Date.now(),
-        mutation: 0,
-        type: 'initial'
+  // When the window next gives back budget, or null while it is full
+  #nextRefillAt(now) {
+    this.#refreshWindow(now);
+    const state = this.#windowState;
+    switch (this.#window.strategy) {
+      case 'fixed':
+        return state.count > 0 ? state.start + this.#window.size : null;
+      case 'sliding':
+        return state.timestamps.length > 0 ? state.timestamps[0] + this.#window.size : null;
+      case 'token-bucket': {
+        if (state.tokens + 1e-9 >= this.#window.capacity) {
+          return null;
+        }
+        const target = Math.min(this.#window.capacity, Math.floor(state.tokens + 1e-9) + 1);
+        return now + Math.ceil((target - state.tokens) / this.#window.refillPerMs);
+      }
+    }
+  }
+
+  // Arms a timer for the next 'refill' while anyone listens for it. The
+  // timer also lifts a strict-mode window breach, so listeners see the
+  // variable readable again. Unref'd like the expiry timer.
+  #scheduleRefill() {
+    if (this.#refillTimer !== null) {
+      clearTimeout(this.#refillTimer);
+      this.#refillTimer = null;
+    }
+    const listening = this.#options.onRefill || [...this.#listeners].some(({ types }) => types.has('refill'));
+    if (!this.#window || !listening) {
+      return;
+    }
+    const now = this.#now();
+    const refillAt = this.#nextRefillAt(now);
+    if (refillAt === null) {
+      return;
+    }
+
+    this.#refillTimer = setTimeout(() => {
+      this.#refillTimer = null;
+      const time = this.#now();
+      // Timers may fire a little early, or before an injected clock moves on
+      if (time < refillAt) {
+        this.#scheduleRefill();
+        return;
+      }
+      this.#settleWindowBreach();
+      this.#emit('refill', {
+        remaining: this.#available(time),
+        mutationCount: this.#mutationCount,
+        nextAvailableAt: this.#nextAvailableAt(time)
       });
+      this.#scheduleRefill();
+    }, Math.min(Math.max(0, refillAt - now), MAX_TIMER_DELAY));
+    if (typeof this.#refillTimer.unref === 'function') {
+      this.#refillTimer.unref();
     }
   }
 
-  get value() {
-    // In strict mode, once a violation has occurred, prevent further access
-    // This enforces the "fail-fast" principle for production environments
-    if (this.#options.strictMode && this.#violated) {
-      throw new MutationLimitExceeded(
-        'Cannot read value after mutation limit violation in strict mode',
-        {
-          maxMutations: this.#maxMutations,
-          currentMutations: this.#mutationCount,
-          frozen: this.#frozen
+  #copyWindowState() {
+    const state = { ...this.#windowState };
+    if (state.timestamps) {
+      state.timestamps = [...state.timestamps];
+    }
+    return state;
+  }
+
+  #restoreWindowState(state) {
+    const numbers = (...values) => values.every(v => typeof v === 'number' && Number.isFinite(v));
+    const valid = {
+      'fixed': () => numbers(state.start, state.count),
+      'sliding': () => Array.isArray(state.timestamps) && numbers(...state.timestamps),
+      'token-bucket': () => numbers(state.tokens, state.updatedAt)
+    }[this.#window.strategy]();
+
+    if (!valid) {
+      throw new TypeError(`Invalid LimitedVariable snapshot: "windowState" does not match the '${this.#window.strategy}' window strategy`);
+    }
+    this.#windowState = { ...state };
+    if (state.timestamps) {
+      this.#windowState.timestamps = [...state.timestamps];
+    }
+    this.#scheduleRefill();
+  }
+
+  // === VALIDATION IMPLEMENTATION ===
+
+  // Runs the validate option; returns a MutationValidationError for rejected
+  // mutations and null otherwise
+  #validateMutation(newValue, oldValue, { type, path, mutationType }) {
+    const validate = this.#options.validate;
+    if (typeof validate !== 'function') {
+      return null;
+    }
+
+    const pathStr = path.join('.');
+    const variable = this;
+    let next;
+    const ctx = {
+      type,
+      path: pathStr,
+      mutationType,
+      mutationCount: this.#mutationCount,
+      remaining: this.remaining,
+      root: this.#value,
+      // Whole value as it would be after this mutation, computed on first access
+      get next() {
+        if (next === undefined) {
+          next = path.length === 0 ? newValue : variable.#prospectiveValue(path, newValue, mutationType);
         }
-      );
+        return next;
+      }
+    };
+
+    const outcome = interpretValidation(validate(newValue, oldValue, ctx));
+    if (!outcome) {
+      return null;
     }
-    return this.#value;
+
+    const location = pathStr ? ` at path: ${pathStr}` : '';
+    const context = {
+      attemptedValue: newValue,
+      currentValue: oldValue,
+      reason: outcome.reason
+    };
+    if (pathStr) {
+      context.mutationPath = pathStr;
+      context.mutationType = mutationType;
+    }
+    if (outcome.issues) {
+      context.issues = outcome.issues;
+    }
+    return new MutationValidationError(`Mutation rejected${location}: ${outcome.reason}`, context);
   }
 
-  set value(newValue) {
-    if (this.#frozen) {
-      this.#violated = true;  // Mark as violated for strict mode reading
-      const message = this.#options.errorMessage ||
-        `Variable is frozen. No more mutations allowed.`;
-      const error = new MutationLimitExceeded(message, {
-        maxMutations: this.#maxMutations,
-        currentMutations: this.#mutationCount,
-        attemptedValue: newValue,
-        currentValue: this.#value,
-        frozen: true
-      });
+  // Applies a deep mutation to a copy of the current value
+  #prospectiveValue(path, newValue, mutationType) {
+    const next = cloneValue(this.#value);
+    let target = next;
+    for (const segment of path.slice(0, -1)) {
+      target = segment instanceof EntrySegment ? target.get(segment.key) : target[segment];
+    }
+    const last = path[path.length - 1];
 
-      if (this.#options.onViolation && !this.#onViolationCalled) {
-        this.#onViolationCalled = true;
-        this.#options.onViolation(error);
+    if (target instanceof WeakMap || target instanceof WeakSet) {
+      throw new TypeError('ctx.next is not available for WeakMap/WeakSet edits: weak collections cannot be copied');
+    }
+
+    applyMutation(target, last, newValue, mutationType);
+    return next;
+  }
+
+  // Strict mode throws; non-strict mode records a 'rejected' entry. Either way
+  // the value and the budget are left untouched.
+  #rejectMutation(error, now) {
+    if (this.#options.strictMode) {
+      throw error;
+    }
+
+    if (this.#options.trackHistory) {
+      const entry = {
+        value: error.context.attemptedValue,
+        previousValue: error.context.currentValue,
+        timestamp: now,
+        mutation: this.#mutationCount,
+        type: 'rejected',
+        reason: error.context.reason
+      };
+      if (error.context.mutationPath) {
+        entry.mutationPath = error.context.mutationPath;
+        entry.mutationType = error.context.mutationType;
       }
+      this.#pushHistory(entry);
+      this.#persist();
+    }
+  }
 
-      if (this.#options.strictMode) {
-        throw error;
+  // === JSON PATCH IMPLEMENTATION ===
+
+  // Patches are only worth building when something will see them
+  #wantsPatches() {
+    return this.#options.trackHistory || Boolean(this.#options.onMutate) ||
+      [...this.#listeners].some(({ types }) => types.has('mutate'));
+  }
+
+  // RFC 6902 patch and inverse patch between two whole values
+  #patches(before, after) {
+    if (!this.#wantsPatches()) {
+      return null;
+    }
+    return { patch: diffPatch(before, after), inversePatch: diffPatch(after, before) };
+  }
+
+  // Patches for a deep mutation that is about to be applied. Only the nearest
+  // container a JSON Pointer can reach is compared: Map and Set entries have
+  // no pointer, so edits inside them replace the whole collection. Symbol
+  // keys have no pointer either, so edits under them have no patch.
+  #deepMutationPatches(path, newValue, mutationType) {
+    if (!this.#wantsPatches() || path.some(segment => typeof segment === 'symbol')) {
+      return null;
+    }
+    const entryIndex = path.findIndex(segment => segment instanceof EntrySegment);
+    const depth = entryIndex === -1 ? path.length - 1 : entryIndex;
+    let container = this.#value;
+    for (const segment of path.slice(0, depth)) {
+      container = container[segment];
+    }
+    const pointer = path.slice(0, depth).map(pointerSegment).join('');
+    if (depth === path.length - 1 && entryIndex === -1) {
+      const patches = singleEditPatches(container, path[depth], newValue, mutationType, pointer);
+      if (patches) {
+        return patches;
+      }
+    }
+
+    let after;
+    try {
+      after = copyWithMutation(container, path.slice(depth), newValue, mutationType);
+    } catch (error) {
+      return null;  // Weak collections cannot be copied, so have no patch
+    }
+    return { patch: diffPatch(container, after, pointer), inversePatch: diffPatch(after, container, pointer) };
+  }
+
+  // === EVENT IMPLEMENTATION ===
+
+  // Delivers an event to the matching option callback, then to subscribers
+  #emit(type, event) {
+    const callback = this.#options[EVENT_CALLBACKS[type]];
+    if (callback) {
+      callback(event);
+    }
+    // Copied so listeners can unsubscribe while being notified
+    for (const { listener, types } of [...this.#listeners]) {
+      if (types.has(type)) {
+        listener(event, type);
       }
+    }
+  }
+
+  // === TRANSACTION IMPLEMENTATION ===
+
+  // Validates, budgets and records the edits of a finished transaction() as
+  // one mutation; `before` is a copy of the value the transaction started from
+  #commitTransaction(before, paths) {
+    const now = this.#now();
+    const attempted = cloneValue(this.#value);
+
+    const rejection = this.#validateMutation(attempted, before, { type: 'transaction', path: [] });
+    if (rejection) {
+      this.#rollback(before);
+      this.#rejectMutation(rejection, now);
       return;
     }
 
-    // Handle attempts to mutate beyond the allowed limit
-    if (this.#mutationCount >= this.#maxMutations) {
+    const cost = this.#costOf(attempted, before, { type: 'transaction', path: [] });
+
+    // A budget is charged once per transaction, however many of its paths were touched
+    const pathBudgets = this.#pathBudgets.filter(budget => paths.some(pathStr => budget.matcher.test(pathStr)) ||
+      (paths.some(pathStr => enclosesBudget(pathStr.split('.'), budget.segments)) &&
+        changesBelow(budget.segments, 0, before, attempted)));
+    const exhaustedBudget = pathBudgets.find(budget => budget.count >= budget.limit);
+
+    if (this.#isOverLimit(now, cost) || exhaustedBudget) {
+      this.#rollback(before);
       this.#violated = true;
+      this.#windowBreach = Boolean(this.#window) && !exhaustedBudget;
       this.#violationCount++;
 
-      // Create detailed violation attempt record for tracking/debugging
+      const pathBudget = this.#describePathBudget(exhaustedBudget || this.#tightestBudget(pathBudgets));
       const violationAttempt = {
         attemptNumber: this.#violationCount,
-        attemptedValue: newValue,
+        attemptedValue: attempted,
         currentValue: this.#value,
         mutationCount: this.#mutationCount,
         violationCount: this.#violationCount,
-        timestamp: Date.now(),
-        totalAttempts: this.#mutationCount + this.#violationCount
+        timestamp: now,
+        totalAttempts: this.#mutationCount + this.#violationCount,
+        mutationPaths: paths,
+        cost,
+        ...(pathBudget ? { pathBudget } : {}),
+        ...this.#windowInfo(now)
       };
 
-      // Always call onLimitExceeded callback if provided (both strict and non-strict modes)
-      if (this.#options.onLimitExceeded) {
-        this.#options.onLimitExceeded(violationAttempt);
-      }
+      this.#emit('limitExceeded', violationAttempt);
 
-      // Strict mode: Block the violation and throw an error
       if (this.#options.strictMode) {
         const message = this.#options.errorMessage ||
-          `Mutation limit exceeded. Maximum ${this.#maxMutations} mutation(s) allowed, attempted mutation #${this.#mutationCount + this.#violationCount}`;
+          this.#limitExceededMessage(paths.join(', '), now, pathBudget, Boolean(exhaustedBudget), cost);
         const error = new MutationLimitExceeded(message, {
           maxMutations: this.#maxMutations,
           currentMutations: this.#mutationCount,
-          attemptedValue: newValue,
+          attemptedValue: attempted,
           currentValue: this.#value,
-          history: this.#options.trackHistory ? this.#history : undefined
+          mutationPaths: paths,
+          history: this.#options.trackHistory ? this.#history : undefined,
+          ...(pathBudget ? { pathBudget } : {}),
+          ...this.#windowInfo(now)
         });
 
-        if (this.#options.onViolation && !this.#onViolationCalled) {
+        if (!this.#onViolationCalled) {
           this.#onViolationCalled = true;
-          this.#options.onViolation(error);
+          this.#emit('violation', error);
         }
+        this.#persist();
         throw error;
       }
 
-      // Non-strict mode: Allow the violation but track it for behavioral analysis
-      // This enables monitoring user behavior without blocking functionality
-      if (!this.#options.strictMode) {
-        const oldValue = this.#value;
-        this.#value = newValue;
-
-        // Record violation in history for comprehensive tracking
-        if (this.#options.trackHistory) {
-          this.#history.push({
-            value: newValue,
-            previousValue: oldValue,
-            timestamp: Date.now(),
-            mutation: this.#mutationCount,
-            type: 'violation'  // Distinguishes from normal mutations
-          });
-        }
+      // Non-strict mode still rolls back: a transaction applies whole or not at all
+      if (this.#options.trackHistory) {
+        this.#pushHistory({
+          value: attempted,
+          previousValue: this.#value,
+          timestamp: now,
+          mutation: this.#mutationCount,
+          mutationPaths: paths,
+          type: 'violation',
+          cost,
+          ...this.#windowInfo(now)
+        });
       }
+      this.#persist();
       return;
     }
 
-    const oldValue = this.#value;
-
-    // Wrap newValue in deep proxy if it's an object/array and deep tracking is enabled
-    if (this.#options.trackDeepMutations && this.#isObjectOrArray(newValue)) {
-      this.#value = this.#createDeepProxy(newValue, []);
-    } else {
-      this.#value = newValue;
-    }
-
-    this.#mutationCount++;
+    this.#spend(now, cost);
+    pathBudgets.forEach(budget => budget.count++);
+    const patches = this.#patches(before, attempted);
 
     if (this.#options.trackHistory) {
-      this.#history.push({
-        value: newValue,
-        previousValue: oldValue,
-        timestamp: Date.now(),
+      this.#sealCursor(before);
+      const entry = {
+        value: attempted,
+        previousValue: before,
+        timestamp: now,
         mutation: this.#mutationCount,
-        type: 'mutation'
-      });
+        mutationPaths: paths,
+        type: 'transaction',
+        cost,
+        ...patches,
+        ...this.#windowInfo(now)
+      };
+      this.#pushHistory(entry);
+      this.#recordState(entry, null);
     }
 
-    if (this.#options.onMutate) {
-      this.#options.onMutate({
-        newValue,
-        oldValue,
-        mutationCount: this.#mutationCount,
-        remaining: this.remaining
-      });
-    }
+    this.#emit('mutate', {
+      newValue: this.#value,
+      oldValue: before,
+      mutationCount: this.#mutationCount,
+      remaining: this.remaining,
+      mutationPaths: paths,
+      type: 'transaction',
+      cost,
+      ...patches
+    });
 
-    if (this.#mutationCount === this.#maxMutations) {
-      if (this.#options.onLastMutation) {
-        this.#options.onLastMutation({
-          value: newValue,
-          history: this.#options.trackHistory ? this.#history : undefined
-        });
-      }
+    if (this.#isLastMutation(now)) {
+      this.#emit('lastMutation', {
+        value: this.#value,
+        mutationPaths: paths,
+        history: this.#options.trackHistory ? this.#history : undefined
+      });
 
       if (this.#options.autoFreeze) {
         this.#frozen = true;
+        this.#autoFrozen = true;
       }
     }
-  }
 
-  get remaining() {
-    return Math.max(0, this.#maxMutations - this.#mutationCount);
+    this.#persist();
   }
 
-  get history() {
-    if (!this.#options.trackHistory) {
-      throw new Error('History tracking is disabled. Enable it in options.');
+  // Puts back the value a transaction started from. Edits are undone on the
+  // live value itself, so references the callback took into it stay valid;
+  // only a value of another shape is replaced, and then the cursor's
+  // recorded state moves to the restored copy.
+  #rollback(before) {
+    const discarded = this.#value;
+    if (sameShape(discarded, before)) {
+      this.#reverting = true;
+      try {
+        restoreInPlace(discarded, before);
+      } finally {
+        this.#reverting = false;
+      }
+      return;
     }
-    return [...this.#history];
-  }
-
-  get mutationCount() {
-    return this.#mutationCount;
-  }
-
-  get maxMutations() {
-    return this.#maxMutations;
-  }
-
-  get violationCount() {
-    return this.#violationCount;
-  }
-
-  isDepleted() {
-    return this.#mutationCount >= this.#maxMutations;
-  }
-
-  isFrozen() {
-    return this.#frozen;
-  }
-
-  freeze() {
-    this.#frozen = true;
-    return this;
-  }
-
-  reset() {
-    if (!this.#options.allowReset) {
-      throw new Error('Reset is disabled. Enable it with { allowReset: true } in options.');
+    if (this.#options.trackDeepMutations && this.#isObjectOrArray(before)) {
+      this.#value = this.#createDeepProxy(before, []);
+    } else {
+      this.#value = before;
     }
+    if (this.#cursor && this.#snapshots.get(this.#cursor) === discarded) {
+      this.#snapshots.set(this.#cursor, this.#value);
+    }
+  }
 
-    this.#mutationCount = 0;
-    this.#violationCount = 0;
-    this.#frozen = false;
-    this.#violated = false;
-    this.#onViolationCalled = false;
-
-    // Clear deep proxy mappings but keep the existing proxied value
-    // The existing proxies will continue to work and track mutations correctly
-    this.#deepProxies = new WeakMap();
-    this.#mutationPath = [];
-
-    // No need to re-wrap the current value - existing proxies are still valid
-    // and will continue to track mutations against the reset mutation count
+  // === PATH BUDGET IMPLEMENTATION ===
 
-    if (this.#options.trackHistory) {
-      this.#history.push({
-        value: this.#value,
-        timestamp: Date.now(),
-        mutation: 0,
-        type: 'reset'
-      });
-    }
+  #pathBudgetsFor(pathStr) {
+    return this.#pathBudgets.filter(budget => budget.matcher.test(pathStr));
+  }
 
-    return this;
+  // Budgets for patterns below a path whose whole value is replaced (a parent
+  // object, or the root on assignment), charged only if the new value changes
+  // something they cover - otherwise replacing the parent would bypass them
+  #budgetsBelow(path, before, after) {
+    return this.#pathBudgets.filter(budget =>
+      enclosesBudget(path, budget.segments) && changesBelow(budget.segments, path.length, before, after));
   }
 
-  toString() {
-    return `LimitedVariable(value: ${this.#value}, remaining: ${this.remaining}/${this.#maxMutations})`;
+  #tightestBudget(budgets) {
+    return budgets.reduce(
+      (tightest, budget) => (!tightest || budget.limit - budget.count < tightest.limit - tightest.count ? budget : tightest),
+      null
+    );
   }
 
-  toJSON() {
+  #describePathBudget(budget) {
+    if (!budget) {
+      return null;
+    }
     return {
-      value: this.#value,
-      maxMutations: this.#maxMutations,
-      mutationCount: this.#mutationCount,
-      violationCount: this.#violationCount,
-      remaining: this.remaining,
-      frozen: this.#frozen,
-      history: this.#options.trackHistory ? this.#history : undefined
+      pattern: budget.pattern,
+      maxMutations: budget.limit,
+      currentMutations: budget.count,
+      remaining: Math.max(0, budget.limit - budget.count)
     };
   }
 
-  // === DEEP MUTATION TRACKING IMPLEMENTATION ===
+  // === PERSISTENCE IMPLEMENTATION ===
 
-  #isObjectOrArray(value) {
-    return value !== null && (typeof value === 'object') && !this.#isSpecialObject(value);
-  }
+  // Applies a validated toJSON() snapshot on top of a freshly constructed variable
+  #hydrate(snapshot) {
+    this.#maxMutations = snapshot.maxMutations;
+    this.#mutationCount = snapshot.mutationCount;
+    this.#violationCount = snapshot.violationCount;
+    this.#spent = snapshot.spent === undefined ? snapshot.mutationCount : snapshot.spent;
+    this.#frozen = Boolean(snapshot.frozen);
+    this.#autoFrozen = this.#frozen && Boolean(snapshot.autoFrozen);
+    this.#violated = Boolean(snapshot.violated);
+    this.#windowBreach = this.#violated && Boolean(this.#window) && !this.#frozen;
+    // onViolation fires once per breach, and this breach was already reported
+    this.#onViolationCalled = this.#violated;
+    // A ttl keeps counting from the original creation time instead of restarting
+    // on every load; freezeAt always follows the current option
+    if (this.#options.ttl !== null && this.#options.ttl !== undefined && snapshot.expiresAt !== undefined) {
+      this.#expiresAt = snapshot.expiresAt;
+    }
+    this.#expired = Boolean(snapshot.expired) && this.#expiresAt !== null;
+    this.#scheduleExpiry();
+    // snapshot.reserved is informational: reservations die with the process that made them
 
-  #isSpecialObject(value) {
-    // Don't wrap certain built-in objects that shouldn't be proxied
-    return value instanceof Date ||
-           value instanceof RegExp ||
-           value instanceof Error ||
-           value instanceof Promise ||
-           (typeof Buffer !== 'undefined' && value instanceof Buffer);
-  }
+    if (this.#options.trackDeepMutations && this.#isObjectOrArray(snapshot.value)) {
+      this.#value = this.#createDeepProxy(snapshot.value, []);
+    } else {
+      this.#value = snapshot.value;
+    }
 
-  #createDeepProxy(obj, path) {
-    // Prevent double-wrapping
-    if (this.#deepProxies.has(obj)) {
-      return this.#deepProxies.get(obj);
+    this.#window = normalizeWindow(this.#options.window, this.#maxMutations);
+    if (this.#window && snapshot.windowState) {
+      this.#restoreWindowState(snapshot.windowState);
     }
 
-    // Handle circular references by marking this object as being processed
-    const processedObjects = new WeakSet();
+    // Budgets for patterns that are no longer configured are dropped
+    if (snapshot.pathCounts) {
+      this.#pathBudgets.forEach(budget => {
+        if (isCount(snapshot.pathCounts[budget.pattern])) {
+          budget.count = snapshot.pathCounts[budget.pattern];
+        }
+      });
+    }
 
-    const createProxy = (target, currentPath) => {
-      if (processedObjects.has(target)) {
-        return target; // Return unwrapped to avoid circular proxy chains
+    if (this.#options.trackHistory) {
+      if (Array.isArray(snapshot.history)) {
+        // Recorded entries are kept for inspection; only the latest one has a
+        // known value state, so undo starts fresh from here
+        this.#history = snapshot.history.map(entry => ({ ...entry }));
+      } else {
+        this.#history = [];
+        this.#pushHistory({
+          value: snapshot.value,
+          timestamp: this.#now(),
+          mutation: snapshot.mutationCount,
+          type: 'initial'
+        });
       }
-      processedObjects.add(target);
+      this.#snapshots = new WeakMap();
+      this.#deltas = new WeakMap();
+      this.#cursor = null;
+      this.#undoStack = [];
+      this.#redoStack = [];
+      this.#recordState(this.#history[this.#history.length - 1], null);
+      const { historyLimit, historyMaxAgeMs } = this.#options;
+      if (historyLimit !== null || historyMaxAgeMs !== null) {
+        this.#trimHistory(historyLimit, historyMaxAgeMs);
+      }
+    }
+  }
 
-      // Eagerly proxy all nested objects/arrays
-      if (Array.isArray(target)) {
-        for (let i = 0; i < target.length; i++) {
-          if (this.#isObjectOrArray(target[i]) && !this.#deepProxies.has(target[i])) {
-            target[i] = createProxy(target[i], [...currentPath, i]);
-          }
-        }
-        return this.#createArrayProxy(target, currentPath);
-      } else if (this.#isObjectOrArray(target)) {
-        for (const key in target) {
-          if (target.hasOwnProperty(key) && this.#isObjectOrArray(target[key]) && !this.#deepProxies.has(target[key])) {
-            target[key] = createProxy(target[key], [...currentPath, key]);
-          }
-        }
-        return this.#createObjectProxy(target, currentPath);
+  // Loads previously persisted state for the configured storage key, if any
+  #loadFromStorage() {
+    const stored = this.#options.storage.getItem(this.#options.storageKey);
+    if (stored === null || stored === undefined) {
+      return;
+    }
+
+    let snapshot;
+    try {
+      snapshot = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    } catch (error) {
+      throw new TypeError(`Invalid LimitedVariable snapshot: stored state for "${this.#options.storageKey}" is not valid JSON`);
+    }
+    // State written before values were tagged is plain JSON and loads as it is
+    if (snapshot && snapshot.encoding === 'tagged') {
+      const { encoding, ...rest } = snapshot;
+      try {
+        snapshot = { ...rest, value: decodeValue(rest.value), history: decodeValue(rest.history) };
+      } catch (error) {
+        throw new TypeError(`Invalid LimitedVariable snapshot: stored state for "${this.#options.storageKey}" has a bad value: ${error.message}`);
       }
-      return target;
-    };
+    }
+    validateSnapshot(snapshot, Boolean(this.#window));
+    this.#hydrate(snapshot);
+  }
 
-    const proxy = createProxy(obj, path);
-    this.#deepProxies.set(obj, proxy);
-    return proxy;
+  // Write-through: called after every state change (mutation, violation, reset, freeze).
+  // Skipped while a transaction is open so half-applied edits are never stored.
+  // Values are tagged like exportHistory() does, so maps, sets, bigints,
+  // dates and cycles come back as they were instead of breaking JSON.stringify()
+  // after the change has already been made.
+  #persist() {
+    if (this.#options.storage && !this.#transaction && !this.#reverting) {
+      const snapshot = this.toJSON();
+      this.#options.storage.setItem(this.#options.storageKey, JSON.stringify({
+        ...snapshot,
+        value: encodeValue(snapshot.value),
+        history: snapshot.history && encodeValue(snapshot.history),
+        encoding: 'tagged'
+      }));
+    }
   }
 
-  #createObjectProxy(obj, path) {
-    return new Proxy(obj, {
-      set: (target, prop, value, receiver) => {
-        const newPath = [...path, prop];
-        this.#handleDeepMutation(newPath, value, target[prop]);
+  // === GRANT / REVOKE IMPLEMENTATION ===
 
-        // Wrap the new value if it's an object/array
-        if (this.#isObjectOrArray(value)) {
-          value = this.#createDeepProxy(value, newPath);
-        }
+  // Lowest limit a lifetime budget can take without un-spending anything.
+  // Windowed limits apply per window, so they can go down to zero.
+  #limitFloor() {
+    return this.#window ? 0 : this.#spent + this.#reserved;
+  }
 
-        return Reflect.set(target, prop, value, receiver);
-      },
+  #changeLimit(limit) {
+    const previous = this.#maxMutations;
+    if (limit === previous) {
+      return;
+    }
+    const maxGrant = this.#options.maxGrant;
+    if (limit > previous && maxGrant !== null && limit > maxGrant) {
+      throw new RangeError(`Cannot raise maxMutations from ${previous} to ${limit}: the maxGrant ceiling is ${maxGrant}`);
+    }
 
-      deleteProperty: (target, prop) => {
-        const newPath = [...path, prop];
-        this.#handleDeepMutation(newPath, undefined, target[prop], 'delete');
-        return Reflect.deleteProperty(target, prop);
-      },
+    const now = this.#now();
+    this.#maxMutations = limit;
 
-      get: (target, prop, receiver) => {
-        return Reflect.get(target, prop, receiver);
-      }
-    });
-  }
+    if (this.#options.trackHistory) {
+      this.#pushHistory({
+        value: this.#value,
+        timestamp: now,
+        mutation: this.#mutationCount,
+        type: limit > previous ? 'grant' : 'revoke',
+        previousMaxMutations: previous,
+        maxMutations: limit
+      });
+    }
 
-  #createArrayProxy(arr, path) {
-    const mutatingMethods = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill'];
+    if (this.#isLastMutation(now)) {
+      if (this.#options.autoFreeze && !this.#frozen) {
+        this.#frozen = true;
+        this.#autoFrozen = true;
+      }
+    } else if (!this.#frozen || this.#autoFrozen) {
+      // Fresh budget: the variable is usable again, and a later breach is a new one
+      this.#frozen = false;
+      this.#autoFrozen = false;
+      this.#violated = false;
+      this.#onViolationCalled = false;
+    }
 
-    return new Proxy(arr, {
-      set: (target, prop, value, receiver) => {
-        // Handle array index assignments: arr[0] = value
-        if (prop !== 'length' && /^\d+$/.test(prop)) {
-          const newPath = [...path, prop];
-          this.#handleDeepMutation(newPath, value, target[prop]);
+    this.#persist();
+  }
 
-          if (this.#isObjectOrArray(value)) {
-            value = this.#createDeepProxy(value, newPath);
-          }
-        }
+  // === UNLOCK KEY IMPLEMENTATION ===
 
-        return Reflect.set(target, prop, value, receiver);
-      },
+  // Checks and uses up the outstanding unlock key
+  #useUnlockKey(key) {
+    if (this.#unlockKey === null || key !== this.#unlockKey) {
+      throw new Error('Invalid unlock key. Pass the key returned by freeze({ unlockable: true }).');
+    }
+    this.#unlockKey = null;
+  }
 
-      get: (target, prop, receiver) => {
-        const value = Reflect.get(target, prop, receiver);
+  // === EXPIRY IMPLEMENTATION ===
 
-        // Intercept mutating array methods
-        if (mutatingMethods.includes(prop)) {
-          return (...args) => {
-            this.#handleDeepMutation([...path, `${prop}()`], args, undefined, 'array-method');
+  // Time as this variable sees it: the clock option, the default clock or Date.now
+  #now() {
+    return readClock(this.#options.clock);
+  }
 
-            // Call the original method
-            const result = value.apply(target, args);
+  // Freezes the variable once its deadline has passed. Called lazily from every
+  // read and write path, and by the timer when the expiryTimer option is on.
+  // A transaction that started before the deadline is allowed to finish.
+  #checkExpiry() {
+    if (this.#expiresAt === null || this.#expired || this.#transaction) {
+      return;
+    }
+    if (this.#now() < this.#expiresAt) {
+      return;
+    }
 
-            // Re-wrap any newly added objects/arrays
-            this.#rewrapArrayElements(target, path);
+    this.#expired = true;
+    this.#frozen = true;
+    this.#autoFrozen = false;
+    if (this.#expiryTimer !== null) {
+      clearTimeout(this.#expiryTimer);
+      this.#expiryTimer = null;
+    }
 
-            return result;
-          };
-        }
+    if (this.#options.trackHistory) {
+      this.#pushHistory({
+        value: this.#value,
+        timestamp: this.#expiresAt,
+        mutation: this.#mutationCount,
+        type: 'expired'
+      });
+    }
 
-        return value;
-      }
+    this.#emit('expire', {
+      value: this.#value,
+      expiredAt: this.#expiresAt,
+      mutationCount: this.#mutationCount,
+      remaining: this.#available(this.#now())
     });
+
+    this.#persist();
   }
 
-  #rewrapArrayElements(arr, path) {
-    for (let i = 0; i < arr.length; i++) {
-      if (this.#isObjectOrArray(arr[i]) && !this.#deepProxies.has(arr[i])) {
-        arr[i] = this.#createDeepProxy(arr[i], [...path, i]);
-      }
+  // Arms the optional timer; the callback re-arms itself for deadlines beyond
+  // setTimeout()'s range. Unref'd so a pending expiry never keeps Node alive.
+  #scheduleExpiry() {
+    if (this.#expiryTimer !== null) {
+      clearTimeout(this.#expiryTimer);
+      this.#expiryTimer = null;
+    }
+    const listening = this.#options.expiryTimer || [...this.#listeners].some(({ types }) => types.has('expire'));
+    if (!listening || this.#expiresAt === null || this.#expired) {
+      return;
     }
-  }
 
-  #handleDeepMutation(path, newValue, oldValue, mutationType = 'property') {
-    // This is where we increment the mutation count for deep mutations
-    this.#mutationPath = path;
+    const delay = Math.min(Math.max(0, this.#expiresAt - this.#now()), MAX_TIMER_DELAY);
+    this.#expiryTimer = setTimeout(() => {
+      this.#expiryTimer = null;
+      this.#checkExpiry();
+      this.#scheduleExpiry();
+    }, delay);
+    if (typeof this.#expiryTimer.unref === 'function') {
+      this.#expiryTimer.unref();
+    }
+  }
 
-    if (this.#frozen) {
-      this.#violated = true;
-      const pathStr = path.join('.');
-      const message = this.#options.errorMessage ||
-        `Variable is frozen. Deep mutation attempted at path: ${pathStr}`;
-      const error = new MutationLimitExceeded(message, {
-        maxMutations: this.#maxMutations,
-        currentMutations: this.#mutationCount,
-        attemptedValue: newValue,
-        currentValue: oldValue,
-        mutationPath: pathStr,
-        mutationType,
-        frozen: true
-      });
+  #expiredNote() {
+    return this.#expired ? ` (expired at ${new Date(this.#expiresAt).toISOString()})` : '';
+  }
 
-      if (this.#options.onViolation && !this.#onViolationCalled) {
-        this.#onViolationCalled = true;
-        this.#options.onViolation(error);
-      }
+  // === UNDO / REDO / RESTORE IMPLEMENTATION ===
 
-      if (this.#options.strictMode) {
-        throw error;
+  // Appends a history entry. With the historySnapshot option its values are
+  // copied first, so later in-place edits cannot rewrite what it shows.
+  #pushHistory(entry) {
+    if (this.#copyForHistory) {
+      entry.value = this.#copyForHistory(entry.value);
+      if ('previousValue' in entry) {
+        entry.previousValue = this.#copyForHistory(entry.previousValue);
       }
-      return;
     }
+    this.#history.push(entry);
 
-    // Check if we've exceeded the mutation limit
-    if (this.#mutationCount >= this.#maxMutations) {
-      this.#violated = true;
-      this.#violationCount++;
+    const { historyLimit, historyMaxAgeMs } = this.#options;
+    if (historyLimit !== null || historyMaxAgeMs !== null) {
+      this.#trimHistory(historyLimit, historyMaxAgeMs);
+    }
+  }
 
-      const pathStr = path.join('.');
-      const violationAttempt = {
-        attemptNumber: this.#violationCount,
-        attemptedValue: newValue,
-        currentValue: oldValue,
-        mutationCount: this.#mutationCount,
-        violationCount: this.#violationCount,
-        timestamp: Date.now(),
-        totalAttempts: this.#mutationCount + this.#violationCount,
-        mutationPath: pathStr,
-        mutationType
-      };
+  // Removes the oldest entries beyond `limit` or older than `maxAgeMs`, folding
+  // them into the 'compacted' summary right after 'initial'. The summary takes
+  // over the value state of the dropped entries, so restoreTo() still resolves
+  // correctly, and undo can step back to the summary but no further; redo
+  // cannot step forward to dropped entries.
+  // Returns how many entries were dropped.
+  #trimHistory(limit, maxAgeMs) {
+    const history = this.#history;
+    const head = history.length > 1 && history[1].type === 'compacted' ? 2 : 1;
 
-      if (this.#options.onLimitExceeded) {
-        this.#options.onLimitExceeded(violationAttempt);
+    let cut = head;
+    if (maxAgeMs !== null) {
+      const oldest = this.#now() - maxAgeMs;
+      while (cut < history.length && history[cut].timestamp < oldest) {
+        cut++;
       }
+    }
+    if (limit !== null) {
+      cut = Math.max(cut, history.length - limit);
+    }
+    if (cut <= head) {
+      return 0;
+    }
 
-      if (this.#options.strictMode) {
-        const message = this.#options.errorMessage ||
-          `Mutation limit exceeded at path: ${pathStr}. Maximum ${this.#maxMutations} mutation(s) allowed, attempted mutation #${this.#mutationCount + this.#violationCount}`;
-        const error = new MutationLimitExceeded(message, {
-          maxMutations: this.#maxMutations,
-          currentMutations: this.#mutationCount,
-          attemptedValue: newValue,
-          currentValue: oldValue,
-          mutationPath: pathStr,
-          mutationType,
-          history: this.#options.trackHistory ? this.#history : undefined
-        });
+    const previous = head === 2 ? history[1] : null;
+    const summary = {
+      timestamp: 0,
+      mutation: 0,
+      type: 'compacted',
+      dropped: previous ? { ...previous.dropped } : {}
+    };
+    let state = previous && this.#hasState(previous) ? previous : null;
+    if (previous) {
+      this.#droppedEntries.add(previous);
+    }
 
-        if (this.#options.onViolation && !this.#onViolationCalled) {
-          this.#onViolationCalled = true;
-          this.#options.onViolation(error);
-        }
-        throw error;
+    for (let i = head; i < cut; i++) {
+      const entry = history[i];
+      summary.dropped[entry.type] = (summary.dropped[entry.type] || 0) + 1;
+      summary.timestamp = entry.timestamp;
+      summary.mutation = entry.mutation;
+      if (this.#hasState(entry)) {
+        state = entry;
+      }
+      this.#droppedEntries.add(entry);
+    }
+    if (state) {
+      this.#shareState(summary, state);
+      if (this.#spentAt.has(state)) {
+        this.#spentAt.set(summary, this.#spentAt.get(state));
+      }
+      if (this.#droppedEntries.has(this.#cursor)) {
+        this.#cursor = summary;
       }
+    }
 
-      // Non-strict mode: Allow the violation but track it
-      if (!this.#options.strictMode) {
-        if (this.#options.trackHistory) {
-          this.#history.push({
-            value: newValue,
-            previousValue: oldValue,
-            timestamp: Date.now(),
-            mutation: this.#mutationCount,
-            mutationPath: pathStr,
-            mutationType,
-            type: 'violation'
-          });
-        }
+    this.#history = [history[0], summary, ...history.slice(cut)];
+    // Undo stops at the summary: stepping on to older retained entries (such
+    // as 'initial') would skip the dropped states in between
+    let folded = -1;
+    this.#undoStack.forEach((entry, i) => {
+      if (this.#droppedEntries.has(entry)) {
+        folded = i;
       }
-      return;
+    });
+    if (folded !== -1) {
+      this.#undoStack = [...(state ? [summary] : []), ...this.#undoStack.slice(folded + 1)];
     }
+    this.#redoStack = this.#redoStack.filter(entry => !this.#droppedEntries.has(entry));
+    return cut - head;
+  }
 
-    // This is a valid mutation
-    this.#mutationCount++;
+  #requireHistory(feature) {
+    if (!this.#options.trackHistory) {
+      throw new Error(`${feature} requires history tracking. Enable it with { trackHistory: true } in options.`);
+    }
+  }
 
-    if (this.#options.trackHistory) {
-      const pathStr = path.join('.');
-      this.#history.push({
-        value: newValue,
-        previousValue: oldValue,
-        timestamp: Date.now(),
-        mutation: this.#mutationCount,
-        mutationPath: pathStr,
-        mutationType,
-        type: 'deep-mutation'
-      });
+  // A group member's own limit would never be reached before the pool's
+  #requireOwnBudget(feature) {
+    if (this.#options.pool) {
+      throw new Error(`${feature} cannot change the budget of a group member: members spend from the group's shared pool`);
+    }
+  }
+
+  #restore(type, entry, direction, index = this.#history.indexOf(entry)) {
+    const state = this.#stateAt(index);
+    this.#assign(cloneValue(state), { type, entry, index, direction });
+  }
+
+  // Value state as of a history index; entries that did not change the value
+  // (such as resets) resolve to the closest earlier entry that did
+  #stateAt(index) {
+    for (let i = index; i >= 0; i--) {
+      if (this.#hasState(this.#history[i])) {
+        return this.#stateOf(this.#history[i]);
+      }
     }
+    throw new Error(`No recorded value state for history entry ${index}`);
+  }
 
-    if (this.#options.onMutate) {
-      this.#options.onMutate({
-        newValue,
-        oldValue,
-        mutationCount: this.#mutationCount,
-        remaining: this.remaining,
-        mutationPath: path.join('.'),
-        mutationType
-      });
+  #hasState(entry) {
+    return this.#snapshots.has(entry) || this.#deltas.has(entry);
+  }
+
+  // A state kept as a patch is rebuilt from a copy of the nearest later state
+  // kept whole, undoing the edits in between from the newest back
+  #stateOf(entry) {
+    const inversePatches = [];
+    while (this.#deltas.has(entry)) {
+      const delta = this.#deltas.get(entry);
+      inversePatches.push(delta.inversePatch);
+      entry = delta.next;
+    }
+    const state = this.#snapshots.get(entry);
+    if (inversePatches.length === 0) {
+      return state;
     }
+    return inversePatches.reduceRight((value, ops) => applyPatchOperations(value, ops), cloneValue(state));
+  }
 
-    if (this.#mutationCount === this.#maxMutations) {
-      if (this.#options.onLastMutation) {
-        this.#options.onLastMutation({
-          value: newValue,
-          mutationPath: path.join('.'),
-          mutationType,
-          history: this.#options.trackHistory ? this.#history : undefined
-        });
+  // Gives `entry` the state of `source` without copying it. Linking rather
+  // than sharing the value keeps it right if `source` is the cursor, whose
+  // state is the current value and is set aside by the next deep edit.
+  #shareState(entry, source) {
+    this.#deltas.set(entry, this.#deltas.get(source) || { next: source, inversePatch: [] });
+  }
+
+  // Remembers the value produced by a new history entry and moves the cursor to it
+  #recordState(entry, restore) {
+    // Entries dropped by history retention can no longer be stepped back to,
+    // and may already be gone from the stacks
+    const cursor = this.#droppedEntries.has(this.#cursor) ? null : this.#cursor;
+    const popIf = (stack, top) => {
+      if (stack[stack.length - 1] === top) {
+        stack.pop();
       }
+    };
 
-      if (this.#options.autoFreeze) {
-        this.#frozen = true;
+    if (restore && restore.type === 'undo') {
+      // Trimming may have folded the entry into the 'compacted' summary meanwhile
+      popIf(this.#undoStack, this.#droppedEntries.has(restore.entry) ? this.#history[1] : restore.entry);
+      if (cursor) {
+        this.#redoStack.push(cursor);
+      }
+    } else if (restore && restore.type === 'redo') {
+      popIf(this.#redoStack, restore.entry);
+      if (cursor) {
+        this.#undoStack.push(cursor);
       }
+    } else if (cursor) {
+      this.#undoStack.push(cursor);
+      this.#redoStack = [];
+    }
+    this.#snapshots.set(entry, this.#value);
+    this.#spentAt.set(entry, this.#spent);
+    this.#cursor = entry;
+  }
+
+  // Deep mutations edit the current value in place, so the state recorded for
+  // the cursor must be copied before the edit lands (transactions pass the
+  // copy they already took)
+  #sealCursor(state = null) {
+    if (this.#cursor) {
+      this.#deltas.delete(this.#cursor);
+      this.#snapshots.set(this.#cursor, state === null ? cloneValue(this.#value) : state);
+    }
+  }
+
+  // Like #sealCursor() for a single deep edit about to be recorded as `entry`,
+  // but without copying the value: the cursor's state becomes the edit's
+  // inverse patch, applied to the state `entry` produces. Edits without a
+  // patch (inside weak collections, under symbol keys) still copy.
+  #setAsideCursor(entry, patches) {
+    if (!patches) {
+      this.#sealCursor();
+    } else if (this.#cursor) {
+      this.#snapshots.delete(this.#cursor);
+      this.#deltas.set(this.#cursor, { next: entry, inversePatch: patches.inversePatch });
     }
   }
 }
@@ -579,8 +4302,18 @@ class LimitedVariable {
  * - Provides controlled access to all LimitedVariable functionality
  */
 function limitedLet(initialValue, maxMutations = 1, options = {}) {
-  const limitedVar = new LimitedVariable(initialValue, maxMutations, options);
+  return createVariableProxy(new LimitedVariable(initialValue, maxMutations, options));
+}
+
+/**
+ * Rebuilds a limitedLet variable from a toJSON() snapshot
+ * (see LimitedVariable.fromJSON)
+ */
+limitedLet.restore = function restore(snapshot, options = {}) {
+  return createVariableProxy(LimitedVariable.fromJSON(snapshot, options));
+};
 
+function createVariableProxy(limitedVar) {
   // Proxy handler to create natural variable-like interface
   const handler = {
     get(target, prop) {
@@ -614,8 +4347,9 @@ function limitedLet(initialValue, maxMutations = 1, options = {}) {
       return prop in target;
     },
     ownKeys(target) {
-      return ['value', 'remaining', 'history', 'mutationCount', 'violationCount', 'maxMutations',
-              'isDepleted', 'isFrozen', 'freeze', 'reset', 'toString', 'toJSON'];
+      return ['value', 'set', 'remaining', 'spent', 'nextAvailableAt', 'expiresAt', 'remainingAt', 'history', 'compact', 'exportHistory', 'mutationCount', 'violationCount', 'maxMutations',
+              'isDepleted', 'isFrozen', 'getState', 'freeze', 'unfreeze', 'reset', 'grant', 'revoke', 'setMaxMutations', 'undo', 'redo', 'restoreTo', 'canUndo', 'canRedo', 'diff', 'applyPatch',
+              'transaction', 'reserve', 'setAsync', 'subscribe', 'changes', 'toString', 'toJSON'];
     },
     getOwnPropertyDescriptor(target, prop) {
       if (prop === 'value') {
@@ -639,5 +4373,500 @@ function limitedLet(initialValue, maxMutations = 1, options = {}) {
   return new Proxy(limitedVar, handler);
 }
 
-module.exports = { limitedLet, LimitedVariable, MutationLimitExceeded };
+/**
+ * Turns a Standard Schema (https://standardschema.dev) compatible schema -
+ * Zod, Valibot, ArkType, ... - into a `validate` option. The schema checks
+ * the whole value as it would be after the mutation, including deep edits.
+ */
+function fromStandardSchema(schema) {
+  const standard = schema && schema['~standard'];
+  if (!standard || typeof standard.validate !== 'function') {
+    throw new TypeError('fromStandardSchema() expects a schema implementing the Standard Schema interface (schema[\'~standard\'].validate)');
+  }
+
+  return (newValue, oldValue, ctx) => {
+    const result = standard.validate(ctx.next);
+    if (result && typeof result.then === 'function') {
+      throw new TypeError('Asynchronous schemas are not supported: validate runs synchronously inside assignments');
+    }
+    return result.issues ? { issues: result.issues } : true;
+  };
+}
+
+// === SHARED BUDGET GROUPS ===
+
+// Names the group itself uses, so members cannot be exposed under them
+const GROUP_MEMBERS = ['value', 'members', 'remaining', 'mutationCount', 'violationCount', 'maxMutations',
+                       'history', 'isDepleted', 'isFrozen', 'freeze', 'reset'];
+
+/**
+ * A set of named variables that spend from one shared budget
+ *
+ * Every member is an ordinary limitedLet variable whose `remaining` is capped
+ * by the pool: assignments, deep mutations, transactions and reservations on
+ * any member all draw from it. A group passed as a member value becomes a
+ * sub-group, so its members spend from its own pool and from every enclosing
+ * pool at once.
+ */
+class LimitedGroup {
+  #members = {};               // Member name -> limitedLet variable or sub-group
+  #maxMutations;
+  #mutationCount = 0;
+  #violationCount = 0;
+  #spent = 0;                  // Budget units spent; weighted member writes cost more than 1
+  #reserved = 0;               // Mutations reserved by members but not yet committed
+  #history = [];
+  #options;
+  #parent = null;              // { group, name } once nested inside another group
+  #frozen = false;
+  #onViolationCalled = false;
+
+  constructor(initialValues, maxMutations = 1, options = {}) {
+    if (initialValues === null || typeof initialValues !== 'object' || Array.isArray(initialValues)) {
+      throw new TypeError('limitedGroup() expects an object mapping member names to initial values');
+    }
+
+    this.#maxMutations = maxMutations;
+    this.#options = {
+      trackHistory: true,
+      strictMode: true,
+      allowReset: false,
+      autoFreeze: true,
+      members: {},               // Extra limitedLet options per member name
+      onMutate: null,
+      onViolation: null,
+      onLastMutation: null,
+      onLimitExceeded: null,
+      errorMessage: null,
+      clock: null,               // { now() } for the group and its members; defaults to the default clock
+      ...options
+    };
+    if (this.#options.clock !== null && !isClock(this.#options.clock)) {
+      throw new TypeError('The clock option must be an object with a now() method returning milliseconds');
+    }
+
+    // Same coupling as single variables: non-strict groups keep tracking
+    if (!this.#options.strictMode) {
+      this.#options.autoFreeze = false;
+    }
+
+    for (const name of Object.keys(initialValues)) {
+      if (GROUP_MEMBERS.includes(name)) {
+        throw new TypeError(`'${name}' cannot be used as a member name: it is a group property`);
+      }
+      const initial = initialValues[name];
+      this.#members[name] = initial instanceof LimitedGroup
+        ? this.#adopt(name, initial)
+        : this.#createMember(name, initial);
+      Object.defineProperty(this, name, {
+        enumerable: true,
+        get: () => this.#members[name]
+      });
+    }
+
+    if (this.#options.trackHistory) {
+      this.#history.push({
+        value: this.value,
+        timestamp: this.#now(),
+        mutation: 0,
+        type: 'initial'
+      });
+    }
+  }
+
+  /**
+   * Current member values as a plain object (sub-groups nest). Members are
+   * read through getState(), so one blocked by a strict-mode violation does
+   * not make the whole group unreadable.
+   */
+  get value() {
+    const value = {};
+    for (const [name, member] of Object.entries(this.#members)) {
+      value[name] = member instanceof LimitedGroup ? member.value : member.getState().value;
+    }
+    return value;
+  }
+  get members() {
+    return { ...this.#members };
+  }
+  get remaining() {
+    return this.#available();
+  }
+  get mutationCount() {
+    return this.#mutationCount;
+  }
+  get spent() {
+    return this.#spent;
+  }
+  get violationCount() {
+    return this.#violationCount;
+  }
+  get maxMutations() {
+    return this.#maxMutations;
+  }
+  get history() {
+    if (!this.#options.trackHistory) {
+      throw new Error('History tracking is disabled. Enable it in options.');
+    }
+    return [...this.#history];
+  }
+  isDepleted() {
+    return this.#available() === 0;
+  }
+  isFrozen() {
+    return this.#frozen;
+  }
+
+  /**
+   * Freezes every member, including the members of sub-groups
+   */
+  freeze() {
+    this.#frozen = true;
+    for (const member of Object.values(this.#members)) {
+      member.freeze();
+    }
+    return this;
+  }
+
+  /**
+   * Restores the full pool and resets every member. Members and sub-groups
+   * inherit allowReset from the group, so it must be enabled on each of them.
+   */
+  reset() {
+    if (!this.#options.allowReset) {
+      throw new Error('Reset is disabled. Enable it with { allowReset: true } in options.');
+    }
+
+    for (const member of Object.values(this.#members)) {
+      member.reset();
+    }
+    this.#mutationCount = 0;
+    this.#spent = 0;
+    this.#violationCount = 0;
+    this.#frozen = false;
+    this.#onViolationCalled = false;
+
+    if (this.#options.trackHistory) {
+      this.#history.push({
+        value: this.value,
+        timestamp: this.#now(),
+        mutation: 0,
+        type: 'reset'
+      });
+    }
+    return this;
+  }
+
+  // === MEMBER IMPLEMENTATION ===
+
+  #now() {
+    return readClock(this.#options.clock);
+  }
+
+  #createMember(name, initialValue) {
+    const memberOptions = this.#options.members[name] || {};
+    if (memberOptions.storage) {
+      throw new TypeError(`Group member '${name}' cannot use the storage option: the shared pool is not persisted`);
+    }
+
+    // Members never freeze or refund on their own: the group owns the budget
+    const member = limitedLet(initialValue, this.#maxMutations, {
+      strictMode: this.#options.strictMode,
+      allowReset: this.#options.allowReset,
+      errorMessage: this.#options.errorMessage,
+      clock: this.#options.clock,
+      ...memberOptions,
+      autoFreeze: false,
+      restorePolicy: 'consume',
+      pool: {
+        available: () => this.#available(),
+        hold: (n) => this.#hold(n),
+        spend: (cost) => this.#spend(cost),
+        exhausted: (cost) => this.#exhausted(name, cost)
+      }
+    });
+    member.subscribe((event, type) => this.#onMemberEvent(name, type, event));
+    return member;
+  }
+
+  #adopt(name, group) {
+    if (group.#parent) {
+      throw new TypeError(`Sub-group '${name}' already belongs to another group`);
+    }
+    if (group.#mutationCount > 0 || group.#reserved > 0) {
+      throw new TypeError(`Sub-group '${name}' has already spent from its pool and cannot join a parent group`);
+    }
+    group.#parent = { group: this, name };
+    return group;
+  }
+
+  #onMemberEvent(member, type, event) {
+    if (type === 'mutate') {
+      this.#recordMutation(member, event);
+    } else if (type === 'limitExceeded') {
+      this.#recordViolation(member, event);
+    } else if (type === 'violation') {
+      this.#reportViolation(member, event);
+    }
+  }
+
+  // === POOL IMPLEMENTATION ===
+
+  // What the pool can still give, capped by every enclosing pool
+  #available() {
+    const own = Math.max(0, this.#maxMutations - this.#spent - this.#reserved);
+    return this.#parent ? Math.min(own, this.#parent.group.#available()) : own;
+  }
+
+  #hold(n) {
+    this.#reserved += n;
+    if (this.#parent) {
+      this.#parent.group.#hold(n);
+    }
+  }
+
+  #spend(cost) {
+    this.#mutationCount++;
+    this.#spent += cost;
+    if (this.#parent) {
+      this.#parent.group.#spend(cost);
+    }
+  }
+
+  // The innermost pool that cannot cover `cost`, described for error messages
+  #exhausted(member, cost) {
+    if (Math.max(0, this.#maxMutations - this.#spent - this.#reserved) < cost) {
+      return {
+        member,
+        group: this.#parent ? this.#parent.name : null,
+        maxMutations: this.#maxMutations,
+        reserved: this.#reserved
+      };
+    }
+    return this.#parent ? this.#parent.group.#exhausted(`${this.#parent.name}.${member}`, cost) : null;
+  }
+
+  // === EVENT IMPLEMENTATION ===
+
+  // Members have already charged the pool by the time their event arrives
+  #recordMutation(member, event) {
+    const now = this.#now();
+    if (this.#options.trackHistory) {
+      const entry = {
+        member,
+        value: event.newValue,
+        previousValue: event.oldValue,
+        timestamp: now,
+        mutation: this.#mutationCount,
+        type: event.type || (event.mutationPath !== undefined ? 'deep-mutation' : 'mutation'),
+        cost: event.cost
+      };
+      if (event.mutationPath !== undefined) {
+        entry.mutationPath = event.mutationPath;
+      }
+      if (event.mutationPaths) {
+        entry.mutationPaths = event.mutationPaths;
+      }
+      this.#history.push(entry);
+    }
+
+    if (this.#options.onMutate) {
+      this.#options.onMutate({
+        ...event,
+        member,
+        mutationCount: this.#mutationCount,
+        remaining: this.remaining
+      });
+    }
+
+    if (this.#spent >= this.#maxMutations) {
+      if (this.#options.onLastMutation) {
+        this.#options.onLastMutation({
+          member,
+          value: event.newValue,
+          history: this.#options.trackHistory ? this.#history : undefined
+        });
+      }
+      if (this.#options.autoFreeze) {
+        this.freeze();
+      }
+    }
+
+    if (this.#parent) {
+      this.#parent.group.#recordMutation(`${this.#parent.name}.${member}`, event);
+    }
+  }
+
+  #recordViolation(member, attempt) {
+    this.#violationCount++;
+
+    // As with single variables, only non-strict violations change a value
+    if (this.#options.trackHistory && !this.#options.strictMode) {
+      this.#history.push({
+        member,
+        value: attempt.attemptedValue,
+        previousValue: attempt.currentValue,
+        timestamp: attempt.timestamp,
+        mutation: this.#mutationCount,
+        type: 'violation'
+      });
+    }
+
+    if (this.#options.onLimitExceeded) {
+      this.#options.onLimitExceeded({
+        ...attempt,
+        member,
+        violationCount: this.#violationCount
+      });
+    }
+
+    if (this.#parent) {
+      this.#parent.group.#recordViolation(`${this.#parent.name}.${member}`, attempt);
+    }
+  }
+
+  #reportViolation(member, error) {
+    if (!this.#onViolationCalled) {
+      this.#onViolationCalled = true;
+      if (this.#options.onViolation) {
+        this.#options.onViolation(error, member);
+      }
+    }
+
+    if (this.#parent) {
+      this.#parent.group.#reportViolation(`${this.#parent.name}.${member}`, error);
+    }
+  }
+}
+
+/**
+ * Creates a group of limited variables that share one budget of
+ * `maxMutations`. Each key of `initialValues` becomes a member variable,
+ * reachable as `group.<name>` or through `group.members`.
+ */
+function limitedGroup(initialValues, maxMutations = 1, options = {}) {
+  return new LimitedGroup(initialValues, maxMutations, options);
+}
+
+// === STORAGE ADAPTERS ===
+//
+// A storage adapter is any object with the Web Storage shape:
+//   getItem(key) -> string | null,  setItem(key, value),  removeItem(key)
+// Variables store their toJSON() snapshot as a JSON string under `storageKey`.
+
+/**
+ * Keeps snapshots in a Map for the lifetime of the process.
+ * Useful for tests and for sharing budgets between variables by key.
+ */
+function memoryStorage(initialEntries = {}) {
+  const items = new Map(Object.entries(initialEntries));
+  return {
+    getItem(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    setItem(key, value) {
+      items.set(key, String(value));
+    },
+    removeItem(key) {
+      items.delete(key);
+    }
+  };
+}
+
+// Only the CommonJS build has require; the ES module build relies on
+// process.getBuiltinModule() (Node 20.16+) or an injected fs, so bundlers
+// never see a Node builtin import
+const nodeRequire = typeof require === 'function' ? require : null;
+
+function loadNodeFs() {
+  if (typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function') {
+    return process.getBuiltinModule('fs');
+  }
+  if (nodeRequire) {
+    return nodeRequire('fs');
+  }
+  throw new Error('jsonFileStorage() needs Node\'s fs module. Pass it explicitly: jsonFileStorage(path, { fs })');
+}
+
+/**
+ * Stores every key in a single JSON file (Node only). Writes go to a
+ * temporary file first and are renamed into place, so a crash mid-write
+ * cannot leave a truncated file behind.
+ */
+function jsonFileStorage(filePath, options = {}) {
+  const fs = options.fs || loadNodeFs();
+
+  const read = () => {
+    let contents;
+    try {
+      contents = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+    return contents.trim() === '' ? {} : JSON.parse(contents);
+  };
+
+  const write = (data) => {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    getItem(key) {
+      const data = read();
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    setItem(key, value) {
+      const data = read();
+      data[key] = String(value);
+      write(data);
+    },
+    removeItem(key) {
+      const data = read();
+      if (Object.prototype.hasOwnProperty.call(data, key)) {
+        delete data[key];
+        write(data);
+      }
+    }
+  };
+}
+
+/**
+ * Adapts a Web Storage object (localStorage by default, or sessionStorage)
+ */
+function webStorage(storage = globalThis.localStorage) {
+  if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+    throw new TypeError('webStorage() needs a Web Storage object such as localStorage or sessionStorage');
+  }
+  return {
+    getItem(key) {
+      return storage.getItem(key);
+    },
+    setItem(key, value) {
+      storage.setItem(key, value);
+    },
+    removeItem(key) {
+      storage.removeItem(key);
+    }
+  };
+}
+
+module.exports = {
+  limitedLet,
+  limitedGroup,
+  LimitedVariable,
+  LimitedGroup,
+  MutationLimitExceeded,
+  MutationValidationError,
+  fromStandardSchema,
+  setDefaultClock,
+  createFakeClock,
+  memoryStorage,
+  jsonFileStorage,
+  webStorage
+};
 module.exports.default = limitedLet;
\ No newline at end of file
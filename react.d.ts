@@ -0,0 +1,33 @@
+import type { LimitedLetOptions, LimitedVariableProxy, ResetOptions, UnlockOptions } from './index';
+
+export interface LimitedVariableState<T> {
+  value: T;
+  remaining: number;
+  mutationCount: number;
+  violationCount: number;
+  maxMutations: number;
+  isDepleted: boolean;
+  isFrozen: boolean;
+  /** A strict-mode violation blocks `variable.value` reads; `value` still holds the current value */
+  isViolated: boolean;
+}
+
+export interface UseLimitedLetResult<T> extends LimitedVariableState<T> {
+  variable: LimitedVariableProxy<T>;
+  setValue(newValue: T): void;
+  freeze(): void;
+  freeze(options: { unlockable: true }): symbol;
+  unfreeze(key: symbol, options?: UnlockOptions): void;
+  reset(options?: ResetOptions): void;
+  grant(n: number): void;
+  revoke(n: number): void;
+  setMaxMutations(n: number): void;
+}
+
+export function useLimitedLet<T = any>(
+  initialValue: T,
+  maxMutations?: number,
+  options?: LimitedLetOptions<T>
+): UseLimitedLetResult<T>;
+
+export function useLimitedVariable<T = any>(variable: LimitedVariableProxy<T>): UseLimitedLetResult<T>;
@@ -0,0 +1,148 @@
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { limitedLet } from './index.mjs';
+
+// Option callbacks forwarded to the latest render's options
+const CALLBACK_OPTIONS = ['onMutate', 'onViolation', 'onLastMutation', 'onLimitExceeded', 'onExpire', 'onRefill', 'onReserve'];
+
+// One store per variable, shared by every component that reads it
+const stores = new WeakMap();
+
+/**
+ * Adapts a variable to useSyncExternalStore. Snapshots are cached and only
+ * replaced when an event arrives or a counter/flag has changed, as
+ * useSyncExternalStore requires.
+ */
+function storeFor(variable) {
+  let store = stores.get(variable);
+  if (store) {
+    return store;
+  }
+
+  const listeners = new Set();
+  let unsubscribe = null;
+  let version = 0;
+  let snapshot = null;
+
+  // freeze(), reset() and the other state-only calls do not emit events, so
+  // the hook notifies for them
+  const notify = () => {
+    version++;
+    listeners.forEach(listener => listener());
+  };
+
+  // getState() has no side effects, so rendering never records an expiry or
+  // emits events; the variable's timers deliver those through subscribe()
+  const read = () => ({ ...variable.getState(), version });
+
+  store = {
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!unsubscribe) {
+        unsubscribe = variable.subscribe(notify);
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && unsubscribe) {
+          unsubscribe();
+          unsubscribe = null;
+        }
+      };
+    },
+
+    getSnapshot() {
+      const next = read();
+      if (snapshot && Object.keys(next).every(key => Object.is(next[key], snapshot[key]))) {
+        return snapshot;
+      }
+      snapshot = next;
+      return snapshot;
+    },
+
+    notify
+  };
+  stores.set(variable, store);
+  return store;
+}
+
+/**
+ * Subscribes a component to an existing limitedLet variable. Re-renders on
+ * every mutation, violation and freeze/unfreeze/reset made through the returned
+ * helpers; deep objects stay live proxies, so `value` keeps its identity
+ * across deep edits.
+ */
+function useLimitedVariable(variable) {
+  if (!variable || typeof variable.subscribe !== 'function') {
+    throw new TypeError('useLimitedVariable() expects a variable created by limitedLet()');
+  }
+
+  const store = storeFor(variable);
+  const snapshot = useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
+
+  const actions = useMemo(() => ({
+    variable,
+    setValue(newValue) {
+      variable.value = newValue;
+    },
+    // Returns the unlock key when called with { unlockable: true }
+    freeze(options) {
+      const result = variable.freeze(options);
+      store.notify();
+      return options && options.unlockable ? result : undefined;
+    },
+    unfreeze(key, options) {
+      variable.unfreeze(key, options);
+      store.notify();
+    },
+    reset(options) {
+      variable.reset(options);
+      store.notify();
+    },
+    grant(n) {
+      variable.grant(n);
+      store.notify();
+    },
+    revoke(n) {
+      variable.revoke(n);
+      store.notify();
+    },
+    setMaxMutations(n) {
+      variable.setMaxMutations(n);
+      store.notify();
+    }
+  }), [variable, store]);
+
+  return useMemo(() => {
+    const { version, ...state } = snapshot;
+    return { ...state, ...actions };
+  }, [snapshot, actions]);
+}
+
+/**
+ * Creates a limitedLet variable owned by the component. It is created once
+ * (StrictMode's double render never constructs a second live variable or
+ * spends budget), and the option callbacks always call the latest render's
+ * functions. Other options only take effect on the first render.
+ */
+function useLimitedLet(initialValue, maxMutations = 1, options = {}) {
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  const [variable] = useState(() => {
+    const forwarded = {};
+    CALLBACK_OPTIONS.forEach(name => {
+      forwarded[name] = (event) => {
+        const callback = optionsRef.current && optionsRef.current[name];
+        if (typeof callback === 'function') {
+          callback(event);
+        }
+      };
+    });
+    return limitedLet(initialValue, maxMutations, { ...options, ...forwarded });
+  });
+
+  return useLimitedVariable(variable);
+}
+
+export { useLimitedLet, useLimitedVariable };
@@ -0,0 +1,77 @@
+const esbuild = require('esbuild');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+function runBundleTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Bundles a published file the way a browser app would, without Node builtins
+  function bundle(file, options = {}) {
+    const result = esbuild.buildSync({
+      entryPoints: [path.join(__dirname, '..', file)],
+      platform: 'browser',
+      bundle: true,
+      write: false,
+      logLevel: 'silent',
+      ...options
+    });
+    return result.outputFiles[0].text;
+  }
+
+  console.log('Running browser bundle tests...\n');
+
+  test('index.mjs should bundle for the browser', () => {
+    assert.doesNotThrow(() => bundle('index.mjs', { format: 'esm' }));
+  });
+
+  test('index.js should bundle for the browser', () => {
+    assert.doesNotThrow(() => bundle('index.js', { format: 'cjs' }));
+  });
+
+  test('react.mjs should bundle for the browser with the library', () => {
+    const code = bundle('react.mjs', { format: 'esm', external: ['react'] });
+    assert.ok(code.includes('function limitedLet('));
+    assert.ok(code.includes('function useLimitedLet('));
+  });
+
+  test('The browser bundle should run without process or require', () => {
+    const code = bundle('index.mjs', { format: 'iife', globalName: 'limitedlet' });
+    const sandbox = { Date, console };
+    vm.runInNewContext(code, sandbox);
+
+    const count = sandbox.limitedlet.limitedLet(0, 1);
+    count.value = 1;
+    assert.strictEqual(count.isFrozen(), true);
+    assert.throws(() => sandbox.limitedlet.jsonFileStorage('/budgets.json'), /Pass it explicitly/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Browser Bundle Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runBundleTests();
+}
+
+module.exports = { runBundleTests };
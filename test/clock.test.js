@@ -0,0 +1,170 @@
+const { limitedLet, limitedGroup, LimitedVariable, setDefaultClock, createFakeClock } = require('./entry');
+const assert = require('assert');
+
+function runClockTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Runs fn with a default clock, putting the previous one back afterwards
+  function withDefaultClock(clock, fn) {
+    const previous = setDefaultClock(clock);
+    try {
+      fn();
+    } finally {
+      setDefaultClock(previous);
+    }
+  }
+
+  console.log('Running clock tests...\n');
+
+  // === CREATEFAKECLOCK ===
+
+  test('createFakeClock() should only move when told to', () => {
+    const clock = createFakeClock(1000);
+    assert.strictEqual(clock.now(), 1000);
+    assert.strictEqual(clock.advance(250), 1250);
+    assert.strictEqual(clock.now(), 1250);
+    clock.set(new Date(5000));
+    assert.strictEqual(clock.now(), 5000);
+
+    assert.strictEqual(createFakeClock().now(), 0);
+    assert.strictEqual(createFakeClock(new Date(42)).now(), 42);
+    assert.throws(() => clock.advance(-1), TypeError);
+    assert.throws(() => clock.set('soon'), TypeError);
+    assert.throws(() => createFakeClock(NaN), TypeError);
+  });
+
+  // === CLOCK OPTION ===
+
+  test('History timestamps should come from the clock option', () => {
+    const clock = createFakeClock(1000);
+    const counter = limitedLet(0, 5, { clock });
+    clock.advance(10);
+    counter.value = 1;
+    clock.advance(10);
+    counter.value = 2;
+
+    assert.deepStrictEqual(counter.history.map(entry => entry.timestamp), [1000, 1010, 1020]);
+  });
+
+  test('Violation records should use the clock', () => {
+    const clock = createFakeClock(500);
+    const attempts = [];
+    const counter = limitedLet(0, 1, { clock, strictMode: false, onLimitExceeded: (attempt) => attempts.push(attempt) });
+    counter.value = 1;
+    clock.advance(7);
+    counter.value = 2;
+
+    assert.strictEqual(attempts[0].timestamp, 507);
+    assert.strictEqual(counter.history[2].timestamp, 507);
+  });
+
+  test('toJSON() should be identical across runs with a fake clock', () => {
+    const run = () => {
+      const clock = createFakeClock(Date.UTC(2024, 0, 1));
+      const quota = limitedLet({ n: 0 }, 3, { clock, window: { size: 1000 } });
+      quota.value.n = 1;
+      clock.advance(300);
+      quota.value = { n: 2 };
+      return JSON.stringify(quota);
+    };
+
+    const first = run();
+    assert.strictEqual(run(), first);
+    assert.ok(first.includes(String(Date.UTC(2024, 0, 1) + 300)));
+  });
+
+  test('Time windows should follow the clock', () => {
+    const clock = createFakeClock(0);
+    const quota = limitedLet(0, 2, { clock, window: { size: 1000 } });
+    quota.value = 1;
+    quota.value = 2;
+    assert.strictEqual(quota.remaining, 0);
+    assert.strictEqual(quota.nextAvailableAt, 1000);
+
+    clock.advance(1000);
+    assert.strictEqual(quota.remaining, 2);
+    quota.value = 3;
+    assert.strictEqual(quota.value, 3);
+  });
+
+  test('historyMaxAgeMs should measure age with the clock', () => {
+    const clock = createFakeClock(0);
+    const counter = limitedLet(0, 10, { clock, historyMaxAgeMs: 100 });
+    counter.value = 1;
+    clock.advance(500);
+    counter.value = 2;
+
+    assert.deepStrictEqual(counter.history.map(entry => entry.type), ['initial', 'compacted', 'mutation']);
+  });
+
+  test('Groups should pass their clock to every member', () => {
+    const clock = createFakeClock(2000);
+    const form = limitedGroup({ name: '', email: '' }, 3, { clock });
+    clock.advance(5);
+    form.name.value = 'Ada';
+
+    assert.strictEqual(form.history[0].timestamp, 2000);
+    assert.strictEqual(form.history[1].timestamp, 2005);
+    assert.strictEqual(form.name.history[1].timestamp, 2005);
+    assert.throws(() => limitedGroup({ a: 0 }, 1, { clock: {} }), /clock option must be/);
+  });
+
+  // === DEFAULT CLOCK ===
+
+  test('setDefaultClock() should apply to variables without a clock option', () => {
+    const clock = createFakeClock(9000);
+    withDefaultClock(clock, () => {
+      const counter = limitedLet(0, 3);
+      clock.advance(1);
+      counter.value = 1;
+      assert.deepStrictEqual(counter.history.map(entry => entry.timestamp), [9000, 9001]);
+
+      const own = limitedLet(0, 3, { clock: createFakeClock(5) });
+      assert.strictEqual(own.history[0].timestamp, 5);
+
+      const restored = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(counter)), { ttl: 10 });
+      assert.strictEqual(restored.expiresAt, 9011);
+    });
+
+    const after = limitedLet(0, 3);
+    assert.ok(Math.abs(after.history[0].timestamp - Date.now()) < 1000);
+  });
+
+  test('setDefaultClock() should return the previous clock and reject non-clocks', () => {
+    const first = createFakeClock();
+    const second = createFakeClock();
+    assert.strictEqual(setDefaultClock(first), null);
+    assert.strictEqual(setDefaultClock(second), first);
+    assert.strictEqual(setDefaultClock(null), second);
+    assert.throws(() => setDefaultClock({}), /setDefaultClock\(\) expects/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Clock Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runClockTests();
+}
+
+module.exports = { runClockTests };
@@ -0,0 +1,176 @@
+const { limitedLet, limitedGroup, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runCostTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running weighted cost tests...\n');
+
+  // === EXPLICIT COST ===
+
+  test('set() with a cost should spend that many units', () => {
+    const rows = limitedLet([], 10);
+    rows.set(['a', 'b', 'c'], { cost: 3 });
+
+    assert.deepStrictEqual(rows.value, ['a', 'b', 'c']);
+    assert.strictEqual(rows.mutationCount, 1);
+    assert.strictEqual(rows.spent, 3);
+    assert.strictEqual(rows.remaining, 7);
+  });
+
+  test('set() without a cost should behave like assigning value', () => {
+    const status = limitedLet('idle', 2);
+    assert.strictEqual(status.set('busy').value, 'busy');
+    assert.strictEqual(status.remaining, 1);
+  });
+
+  test('A cost that would overflow the budget should be a violation', () => {
+    const rows = limitedLet([], 5, { autoFreeze: false });
+    rows.set([1, 2, 3], { cost: 3 });
+
+    assert.throws(() => rows.set([1, 2, 3, 4, 5, 6], { cost: 3 }), /costing 3 \(2 available\)/);
+    assert.strictEqual(rows.violationCount, 1);
+  });
+
+  test('Non-strict overflows should record the cost on the violation', () => {
+    const attempts = [];
+    const rows = limitedLet(0, 2, { strictMode: false, onLimitExceeded: (attempt) => attempts.push(attempt.cost) });
+    rows.set(1, { cost: 5 });
+
+    assert.deepStrictEqual(attempts, [5]);
+    assert.strictEqual(rows.history[1].type, 'violation');
+    assert.strictEqual(rows.history[1].cost, 5);
+  });
+
+  test('Invalid costs should throw', () => {
+    const rows = limitedLet(0, 5);
+    assert.throws(() => rows.set(1, { cost: 0 }), /positive integer/);
+    assert.throws(() => rows.set(1, { cost: 1.5 }), /positive integer/);
+    assert.strictEqual(rows.mutationCount, 0);
+  });
+
+  // === COST OPTION ===
+
+  test('The cost option should weigh every write', () => {
+    const contexts = [];
+    const list = limitedLet([], 10, {
+      cost: (newValue, oldValue, ctx) => {
+        contexts.push(ctx.type);
+        return Array.isArray(newValue) ? Math.max(1, newValue.length) : 1;
+      }
+    });
+
+    list.value = [1, 2, 3, 4];
+    list.value.push(5);
+    assert.strictEqual(list.spent, 5);
+    assert.deepStrictEqual(contexts, ['mutation', 'deep-mutation']);
+  });
+
+  test('A numeric cost option should apply to every write', () => {
+    const credits = limitedLet(0, 6, { cost: 2 });
+    credits.value = 1;
+    credits.value = 2;
+    assert.strictEqual(credits.remaining, 2);
+  });
+
+  test('Explicit costs should override the cost option', () => {
+    const credits = limitedLet(0, 6, { cost: 2 });
+    credits.set(1, { cost: 5 });
+    assert.strictEqual(credits.spent, 5);
+  });
+
+  test('Transactions should be weighed once', () => {
+    const doc = limitedLet({ a: 0, b: 0 }, 10, {
+      cost: (newValue, oldValue, ctx) => (ctx.type === 'transaction' ? 4 : 1)
+    });
+    doc.transaction(draft => {
+      draft.a = 1;
+      draft.b = 2;
+    });
+    assert.strictEqual(doc.spent, 4);
+    assert.strictEqual(doc.history[1].cost, 4);
+  });
+
+  // === HISTORY, EVENTS & AUTO-FREEZE ===
+
+  test('History entries and events should carry the cost', () => {
+    const events = [];
+    const rows = limitedLet([], 10, { onMutate: (event) => events.push(event.cost) });
+    rows.set([1], { cost: 2 });
+    rows.value.push(2);
+
+    assert.deepStrictEqual(events, [2, 1]);
+    assert.deepStrictEqual(rows.history.map(entry => entry.cost), [undefined, 2, 1]);
+  });
+
+  test('Spending the last unit should auto-freeze', () => {
+    const rows = limitedLet([], 4);
+    rows.set([1], { cost: 4 });
+    assert.strictEqual(rows.isFrozen(), true);
+    assert.strictEqual(rows.isDepleted(), true);
+  });
+
+  test('Time windows should be charged the cost', () => {
+    const api = limitedLet(null, 5, { window: { size: 1000 } });
+    api.set('bulk', { cost: 4 });
+    assert.strictEqual(api.remaining, 1);
+    assert.throws(() => api.set('bulk', { cost: 2 }), MutationLimitExceeded);
+  });
+
+  test('refund should give back the weighted spend', () => {
+    const doc = limitedLet('a', 10, { restorePolicy: 'refund' });
+    doc.set('b', { cost: 3 });
+    doc.undo();
+    assert.strictEqual(doc.spent, 0);
+    assert.strictEqual(doc.remaining, 10);
+  });
+
+  // === SNAPSHOTS & GROUPS ===
+
+  test('Snapshots should round-trip the weighted spend', () => {
+    const rows = limitedLet([], 10);
+    rows.set([1], { cost: 3 });
+
+    const snapshot = JSON.parse(JSON.stringify(rows));
+    assert.strictEqual(snapshot.spent, 3);
+    const restored = LimitedVariable.fromJSON(snapshot);
+    assert.strictEqual(restored.remaining, 7);
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, spent: 11, remaining: 0 }), /spent \(11\)/);
+  });
+
+  test('Group pools should be charged the cost', () => {
+    const settings = limitedGroup({ theme: 'dark', layout: [] }, 5);
+    settings.layout.set(['a', 'b'], { cost: 3 });
+    assert.strictEqual(settings.remaining, 2);
+    assert.throws(() => settings.theme.set('light', { cost: 3 }), /Group mutation limit exceeded/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Weighted Cost Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runCostTests();
+}
+
+module.exports = { runCostTests };
@@ -1,4 +1,4 @@
-const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('../index');
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
 const assert = require('assert');
 
 function runDeepMutationTests() {
@@ -331,6 +331,205 @@ function runDeepMutationTests() {
     assert.strictEqual(container.mutationCount, 2);
   });
 
+  // === MAP & SET TESTS ===
+
+  test('Map set(), delete() and clear() should be counted', () => {
+    const state = limitedLet({ cache: new Map() }, 5);
+    const cache = state.value.cache;
+
+    assert.strictEqual(cache.set('a', 1), cache);
+    cache.set('b', 2);
+    assert.strictEqual(cache.delete('a'), true);
+    assert.strictEqual(cache.size, 1);
+    cache.clear();
+
+    assert.strictEqual(state.mutationCount, 4);
+    assert.deepStrictEqual(state.history.slice(1).map(entry => [entry.mutationPath, entry.mutationType]), [
+      ['cache.get(a)', 'property'],
+      ['cache.get(b)', 'property'],
+      ['cache.get(a)', 'delete'],
+      ['cache.clear()', 'collection-method']
+    ]);
+  });
+
+  test('Map reads should not be counted', () => {
+    const cache = limitedLet(new Map([['a', 1]]), 1);
+    assert.strictEqual(cache.value.get('a'), 1);
+    assert.strictEqual(cache.value.has('a'), true);
+    assert.deepStrictEqual([...cache.value.entries()], [['a', 1]]);
+    cache.value.forEach(() => {});
+    assert.strictEqual(cache.mutationCount, 0);
+  });
+
+  test('Objects stored in a Map should be tracked with their entry path', () => {
+    const paths = [];
+    const state = limitedLet({ users: new Map([['u1', { name: 'Ada' }]]) }, 5, {
+      onMutate: (event) => paths.push(event.mutationPath)
+    });
+
+    state.value.users.get('u1').name = 'Grace';
+    state.value.users.set('u2', { name: 'Alan' });
+    state.value.users.get('u2').name = 'Edsger';
+    assert.deepStrictEqual(paths, ['users.get(u1).name', 'users.get(u2)', 'users.get(u2).name']);
+  });
+
+  test('Set add() and delete() should be counted and keep member identity', () => {
+    const member = { id: 1 };
+    const tags = limitedLet(new Set(), 3);
+
+    tags.value.add(member);
+    assert.strictEqual(tags.value.has(member), true);
+    tags.value.delete(member);
+
+    assert.strictEqual(tags.mutationCount, 2);
+    assert.strictEqual(tags.history[1].mutationPath, 'has([object Object])');
+    assert.strictEqual(tags.history[2].mutationType, 'delete');
+  });
+
+  test('Collection methods should respect the limit', () => {
+    const tags = limitedLet(new Set(['a']), 1, { autoFreeze: false });
+    tags.value.add('b');
+    assert.throws(() => tags.value.add('c'), /at path: has\(c\)/);
+  });
+
+  test('WeakMap and WeakSet edits should be counted', () => {
+    const key = {};
+    const state = limitedLet({ meta: new WeakMap(), seen: new WeakSet() }, 5);
+
+    state.value.meta.set(key, 'x');
+    state.value.seen.add(key);
+    assert.strictEqual(state.value.meta.get(key), 'x');
+    assert.strictEqual(state.value.seen.has(key), true);
+    assert.strictEqual(state.mutationCount, 2);
+  });
+
+  test('Validation should see the collection after the edit', () => {
+    const cache = limitedLet(new Map(), 5, {
+      validate: (newValue, oldValue, ctx) => ctx.next.size <= 1 || 'cache is full'
+    });
+
+    cache.value.set('a', 1);
+    assert.throws(() => cache.value.set('b', 2), /cache is full/);
+    assert.strictEqual(cache.value.has('b'), false);
+  });
+
+  test('Transactions should roll back Map edits', () => {
+    const cache = limitedLet(new Map([['a', 1]]), 3);
+    assert.throws(() => cache.transaction(draft => {
+      draft.set('b', 2);
+      draft.delete('a');
+      throw new Error('abort');
+    }), /abort/);
+
+    assert.deepStrictEqual([...cache.value], [['a', 1]]);
+    assert.strictEqual(cache.mutationCount, 0);
+  });
+
+  // === DATE & TYPED ARRAY TESTS ===
+
+  test('Date setters should bypass counting unless trackDates is set', () => {
+    const untracked = limitedLet({ deadline: new Date(0) }, 1);
+    untracked.value.deadline.setFullYear(2030);
+    assert.strictEqual(untracked.mutationCount, 0);
+
+    const tracked = limitedLet({ deadline: new Date(0) }, 2, { trackDates: true });
+    tracked.value.deadline.setFullYear(2030);
+    assert.strictEqual(tracked.value.deadline.getUTCFullYear(), 2030);
+    assert.ok(tracked.value.deadline instanceof Date);
+    assert.strictEqual(tracked.mutationCount, 1);
+
+    const entry = tracked.history[1];
+    assert.strictEqual(entry.mutationPath, 'deadline.setFullYear()');
+    assert.strictEqual(entry.mutationType, 'date-method');
+    assert.strictEqual(entry.previousValue.getTime(), 0);
+  });
+
+  test('Tracked Date setters should respect the limit', () => {
+    const deadline = limitedLet(new Date(0), 1, { trackDates: true });
+    deadline.value.setTime(1000);
+    assert.throws(() => deadline.value.setUTCHours(5), /setUTCHours\(\)/);
+    assert.strictEqual(deadline.toJSON().value.getTime(), 1000);
+  });
+
+  test('Typed array writes should be counted with trackTypedArrays', () => {
+    const state = limitedLet({ pixels: new Uint8Array(4) }, 5, { trackTypedArrays: true });
+    const pixels = state.value.pixels;
+
+    pixels[0] = 255;
+    assert.strictEqual(pixels.fill(1, 1), pixels);
+    pixels.set([9, 9], 2);
+    assert.strictEqual(pixels.length, 4);
+    assert.deepStrictEqual(Array.from(pixels), [255, 1, 9, 9]);
+
+    assert.deepStrictEqual(state.history.slice(1).map(entry => [entry.mutationPath, entry.mutationType]), [
+      ['pixels.0', 'property'],
+      ['pixels.fill()', 'typed-array-method'],
+      ['pixels.set()', 'typed-array-method']
+    ]);
+  });
+
+  test('DataView setters should be counted with trackTypedArrays', () => {
+    const view = limitedLet(new DataView(new ArrayBuffer(4)), 1, { trackTypedArrays: true });
+    view.value.setUint16(0, 513);
+    assert.strictEqual(view.value.getUint16(0), 513);
+    assert.throws(() => view.value.setInt8(3, 1), MutationLimitExceeded);
+  });
+
+  test('Writes through subarray() views should count against the parent array', () => {
+    const state = limitedLet({ pixels: new Uint8Array(6) }, 3, { trackTypedArrays: true, pathLimits: { 'pixels[]': 2 } });
+    const middle = state.value.pixels.subarray(2, 5);
+    const tail = middle.subarray(1);
+
+    middle[0] = 7;
+    assert.strictEqual(tail.fill(9), tail);
+    assert.deepStrictEqual(Array.from(state.value.pixels), [0, 0, 7, 9, 9, 0]);
+    assert.deepStrictEqual(state.history.slice(1).map(entry => [entry.mutationPath, entry.mutationType]), [
+      ['pixels.2', 'property'],
+      ['pixels.set()', 'typed-array-method']
+    ]);
+
+    assert.throws(() => { middle[2] = 1; }, /path budget 'pixels\[\]'/);
+    assert.strictEqual(state.toJSON().value.pixels[4], 9);
+  });
+
+  test('Undo should revert writes made through a subarray() view', () => {
+    const state = limitedLet({ pixels: new Uint8Array([1, 2, 3, 4]) }, 5, { trackTypedArrays: true });
+    state.value.pixels.subarray(1, 3).reverse();
+    assert.deepStrictEqual(Array.from(state.value.pixels), [1, 3, 2, 4]);
+
+    state.undo();
+    assert.deepStrictEqual(Array.from(state.value.pixels), [1, 2, 3, 4]);
+  });
+
+  test('Reading buffer of a tracked typed array should throw in strict mode', () => {
+    const state = limitedLet({ pixels: new Uint8Array(2), view: new DataView(new ArrayBuffer(2)) }, 1, { trackTypedArrays: true });
+    assert.throws(() => state.value.pixels.buffer, /Cannot read buffer of a tracked typed array/);
+    assert.throws(() => state.value.view.buffer, TypeError);
+    assert.deepStrictEqual(Array.from(state.toJSON().value.pixels), [0, 0]);
+    assert.strictEqual(state.toJSON().value.view.byteLength, 2);
+  });
+
+  test('buffer should stay readable, and untracked, in non-strict mode', () => {
+    const state = limitedLet({ pixels: new Uint8Array(2) }, 1, { trackTypedArrays: true, strictMode: false });
+    new Uint8Array(state.value.pixels.buffer)[0] = 5;
+    assert.strictEqual(state.value.pixels[0], 5);
+    assert.strictEqual(state.mutationCount, 0);
+  });
+
+  test('Untracked typed arrays should be left unwrapped', () => {
+    const state = limitedLet({ bytes: new Uint8Array(2) }, 1);
+    state.value.bytes.fill(7);
+    assert.strictEqual(state.value.bytes.length, 2);
+    assert.strictEqual(state.mutationCount, 0);
+  });
+
+  test('Undo should restore typed array contents', () => {
+    const state = limitedLet({ bytes: new Uint8Array([1, 2]) }, 3, { trackTypedArrays: true });
+    state.value.bytes[0] = 10;
+    state.undo();
+    assert.deepStrictEqual(Array.from(state.value.bytes), [1, 2]);
+  });
+
   console.log('\n' + '='.repeat(70));
   console.log(`Deep Mutation Tracking Test Results: ${passed} passed, ${failed} failed`);
   console.log('='.repeat(70));
@@ -0,0 +1,21 @@
+/**
+ * Library entry point under test.
+ *
+ * Suites import from here instead of '../index' so run-all-tests.js can run
+ * them against both published builds: index.js (require) and index.mjs (import).
+ * Run on their own, suites test the CommonJS build.
+ */
+let entry = require('../index');
+
+function useEntry(mod) {
+  entry = mod;
+}
+
+module.exports = new Proxy({}, {
+  get(target, prop) {
+    if (prop === 'useEntry') {
+      return useEntry;
+    }
+    return entry[prop];
+  }
+});
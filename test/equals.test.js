@@ -0,0 +1,212 @@
+const { limitedLet } = require('./entry');
+const assert = require('assert');
+
+function runEqualsTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running no-op equality tests...\n');
+
+  // === DEFAULT BEHAVIOUR ===
+
+  test('Without equals, identical assignments should still count', () => {
+    const status = limitedLet('idle', 2);
+    status.value = 'idle';
+    assert.strictEqual(status.mutationCount, 1);
+  });
+
+  // === EQUALITY MODES ===
+
+  test("'strict' should skip identical primitives", () => {
+    const status = limitedLet('idle', 1, { equals: 'strict' });
+    status.value = 'idle';
+    status.value = status.value;
+
+    assert.strictEqual(status.mutationCount, 0);
+    assert.strictEqual(status.history.length, 1);
+    status.value = 'loading';
+    assert.strictEqual(status.mutationCount, 1);
+  });
+
+  test("'strict' should treat NaN as unchanged and fresh objects as changed", () => {
+    const value = limitedLet(NaN, 2, { equals: 'strict' });
+    value.value = NaN;
+    assert.strictEqual(value.mutationCount, 0);
+
+    const config = limitedLet({ a: 1 }, 2, { equals: 'strict', trackDeepMutations: false });
+    config.value = { a: 1 };
+    assert.strictEqual(config.mutationCount, 1);
+  });
+
+  test("'shallow' should compare own keys by identity", () => {
+    const state = limitedLet({ page: 1, items: [1, 2] }, 3, { equals: 'shallow' });
+
+    state.value = { ...state.value };
+    assert.strictEqual(state.mutationCount, 0);
+    state.value = { page: 1, items: [1, 2] };
+    assert.strictEqual(state.mutationCount, 1);
+  });
+
+  test("'deep' should compare nested structures", () => {
+    const state = limitedLet({
+      user: { name: 'Ada', tags: ['admin'] },
+      since: new Date(0),
+      cache: new Map([['a', { hits: 1 }]])
+    }, 2, { equals: 'deep' });
+
+    state.value = {
+      user: { name: 'Ada', tags: ['admin'] },
+      since: new Date(0),
+      cache: new Map([['a', { hits: 1 }]])
+    };
+    assert.strictEqual(state.mutationCount, 0);
+
+    state.value = { user: { name: 'Ada', tags: [] }, since: new Date(0), cache: new Map() };
+    assert.strictEqual(state.mutationCount, 1);
+  });
+
+  test("'deep' should handle circular values", () => {
+    const make = () => {
+      const node = { name: 'root' };
+      node.self = node;
+      return node;
+    };
+    const graph = limitedLet(make(), 2, { equals: 'deep', trackDeepMutations: false });
+    graph.value = make();
+    assert.strictEqual(graph.mutationCount, 0);
+  });
+
+  test('A custom function should decide equality', () => {
+    const calls = [];
+    const point = limitedLet({ x: 1, y: 2 }, 2, {
+      equals: (next, current) => {
+        calls.push([next, current]);
+        return next.x === current.x;
+      }
+    });
+
+    point.value = { x: 1, y: 99 };
+    assert.strictEqual(point.mutationCount, 0);
+    assert.deepStrictEqual(calls[0][0], { x: 1, y: 99 });
+  });
+
+  test('Unknown equals values should throw', () => {
+    assert.throws(() => limitedLet(0, 1, { equals: 'loose' }), /Unknown equals 'loose'/);
+  });
+
+  // === DEEP WRITES ===
+
+  test('Unchanged deep writes should be skipped', () => {
+    const settings = limitedLet({ theme: 'dark', tags: ['a'], cache: new Map([['k', 1]]) }, 1, { equals: 'strict' });
+    settings.value.theme = 'dark';
+    settings.value.tags[0] = 'a';
+    settings.value.cache.set('k', 1);
+    assert.strictEqual(settings.mutationCount, 0);
+
+    settings.value.theme = 'light';
+    assert.strictEqual(settings.mutationCount, 1);
+  });
+
+  test('Adding a member a Set already has should be skipped', () => {
+    const tags = limitedLet(new Set(['a']), 1, { equals: 'strict', recordNoops: true });
+    tags.value.add('a');
+    assert.strictEqual(tags.mutationCount, 0);
+    assert.strictEqual(tags.history[1].type, 'noop');
+
+    tags.value.add('b');
+    assert.strictEqual(tags.mutationCount, 1);
+    assert.deepStrictEqual([...tags.value], ['a', 'b']);
+  });
+
+  test('Skipped Map set() and Set add() calls should be recorded as collection methods', () => {
+    const state = limitedLet({ tags: new Set(['a']), cache: new Map([['k', 1]]) }, 2, { equals: 'strict', recordNoops: true });
+    state.value.tags.add('a');
+    state.value.cache.set('k', 1);
+
+    assert.deepStrictEqual(state.history.slice(1).map(entry => [entry.type, entry.mutationPath, entry.mutationType, entry.value]), [
+      ['noop', 'tags.add()', 'collection-method', ['a']],
+      ['noop', 'cache.set()', 'collection-method', ['k', 1]]
+    ]);
+    assert.strictEqual(state.mutationCount, 0);
+  });
+
+  test('Adding a property set to undefined should still count', () => {
+    const settings = limitedLet({}, 2, { equals: 'strict' });
+    settings.value.extra = undefined;
+    assert.strictEqual(settings.mutationCount, 1);
+    assert.ok('extra' in settings.value);
+  });
+
+  test("Deep writes with 'deep' should skip structurally equal objects", () => {
+    const settings = limitedLet({ layout: { cols: 2 } }, 1, { equals: 'deep' });
+    settings.value.layout = { cols: 2 };
+    assert.strictEqual(settings.mutationCount, 0);
+  });
+
+  // === NO-OP HANDLING ===
+
+  test('Unchanged writes should not throw on frozen or depleted variables', () => {
+    const status = limitedLet('idle', 1, { equals: 'strict' });
+    status.value = 'done';
+    assert.strictEqual(status.isFrozen(), true);
+
+    status.value = 'done';
+    assert.strictEqual(status.value, 'done');
+    assert.strictEqual(status.violationCount, 0);
+  });
+
+  test('Unchanged writes should not be validated or reported', () => {
+    let validated = 0;
+    let mutated = 0;
+    const status = limitedLet('idle', 2, {
+      equals: 'strict',
+      validate: () => { validated++; return true; },
+      onMutate: () => { mutated++; }
+    });
+
+    status.value = 'idle';
+    assert.strictEqual(validated, 0);
+    assert.strictEqual(mutated, 0);
+  });
+
+  test("recordNoops should add 'noop' history entries", () => {
+    const settings = limitedLet({ theme: 'dark' }, 2, { equals: 'strict', recordNoops: true });
+    settings.value = settings.value;
+    settings.value.theme = 'dark';
+
+    const [, whole, deep] = settings.history;
+    assert.strictEqual(whole.type, 'noop');
+    assert.strictEqual(whole.mutation, 0);
+    assert.strictEqual(deep.type, 'noop');
+    assert.strictEqual(deep.mutationPath, 'theme');
+    assert.strictEqual(settings.mutationCount, 0);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`No-op Equality Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runEqualsTests();
+}
+
+module.exports = { runEqualsTests };
@@ -0,0 +1,250 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+async function runExpiryTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(description, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // A clock the tests move by hand
+  function manualClock(start = 1000) {
+    return {
+      time: start,
+      now() {
+        return this.time;
+      },
+      advance(ms) {
+        this.time += ms;
+      }
+    };
+  }
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  console.log('Running expiry tests...\n');
+
+  // === TTL / FREEZEAT ===
+
+  await test('ttl should freeze the variable once it has elapsed', () => {
+    const clock = manualClock();
+    const draft = limitedLet('', 5, { ttl: 100, clock });
+
+    draft.value = 'a';
+    clock.advance(99);
+    assert.strictEqual(draft.isFrozen(), false);
+
+    clock.advance(1);
+    assert.strictEqual(draft.isFrozen(), true);
+    assert.throws(() => { draft.value = 'b'; }, /Variable is frozen \(expired at .*\)\. No more mutations allowed\./);
+    assert.strictEqual(draft.remaining, 4);
+  });
+
+  await test('freezeAt should accept a Date or a timestamp', () => {
+    const clock = manualClock(0);
+    const byDate = limitedLet(0, 3, { freezeAt: new Date(500), clock });
+    const byNumber = limitedLet(0, 3, { freezeAt: 500, clock });
+    assert.strictEqual(byDate.expiresAt, 500);
+    assert.strictEqual(byNumber.expiresAt, 500);
+
+    clock.advance(500);
+    assert.strictEqual(byDate.isFrozen(), true);
+    assert.strictEqual(byNumber.isFrozen(), true);
+  });
+
+  await test('Expiry should record an expired history entry at the deadline', () => {
+    const clock = manualClock();
+    const draft = limitedLet('', 5, { ttl: 100, clock });
+    draft.value = 'a';
+
+    clock.advance(250);
+    const history = draft.history;
+    const last = history[history.length - 1];
+    assert.strictEqual(last.type, 'expired');
+    assert.strictEqual(last.timestamp, 1100);
+    assert.strictEqual(last.mutation, 1);
+    assert.strictEqual(last.value, 'a');
+    assert.strictEqual(history.filter(entry => entry.type === 'expired').length, 1);
+  });
+
+  await test('onExpire and subscribers should be told once', () => {
+    const clock = manualClock();
+    const expired = [];
+    const heard = [];
+    const draft = limitedLet(1, 3, { ttl: 10, clock, onExpire: (event) => expired.push(event) });
+    draft.subscribe((event, type) => heard.push(type), { types: ['expire'] });
+
+    clock.advance(10);
+    draft.isFrozen();
+    draft.isFrozen();
+    assert.strictEqual(expired.length, 1);
+    assert.deepStrictEqual(expired[0], { value: 1, expiredAt: 1010, mutationCount: 0, remaining: 3 });
+    assert.deepStrictEqual(heard, ['expire']);
+  });
+
+  await test('Reading the value should be enough to expire it', () => {
+    const clock = manualClock();
+    let calls = 0;
+    const draft = limitedLet('x', 3, { ttl: 10, clock, onExpire: () => { calls++; } });
+
+    clock.advance(10);
+    assert.strictEqual(draft.value, 'x');
+    assert.strictEqual(calls, 1);
+  });
+
+  await test('Deep mutations should be refused after expiry', () => {
+    const clock = manualClock();
+    const form = limitedLet({ title: 'Draft' }, 5, { ttl: 10, clock });
+    const value = form.value;
+
+    clock.advance(10);
+    assert.throws(() => { value.title = 'Final'; }, /expired at .*Deep mutation attempted at path: title/);
+    assert.strictEqual(form.mutationCount, 0);
+  });
+
+  await test('Non-strict variables should ignore writes after expiry', () => {
+    const clock = manualClock();
+    const draft = limitedLet(0, 5, { ttl: 10, clock, strictMode: false });
+
+    clock.advance(10);
+    draft.value = 1;
+    assert.strictEqual(draft.value, 0);
+    assert.strictEqual(draft.violationCount, 0);
+    assert.strictEqual(draft.isFrozen(), true);
+  });
+
+  await test('reserve() should refuse once the variable has expired', () => {
+    const clock = manualClock();
+    const quota = limitedLet(0, 5, { ttl: 10, clock });
+
+    clock.advance(10);
+    assert.throws(() => quota.reserve(1), /frozen \(expired at/);
+  });
+
+  await test('A transaction started before the deadline should finish', () => {
+    const clock = manualClock();
+    const form = limitedLet({ a: 1, b: 1 }, 5, { ttl: 10, clock });
+
+    form.transaction(draft => {
+      draft.a = 2;
+      clock.advance(10);
+      draft.b = 2;
+    });
+    assert.deepStrictEqual({ ...form.value }, { a: 2, b: 2 });
+    assert.strictEqual(form.mutationCount, 1);
+    assert.strictEqual(form.isFrozen(), true);
+  });
+
+  await test('Invalid expiry options should throw', () => {
+    assert.throws(() => limitedLet(0, 1, { ttl: 10, freezeAt: 10 }), /either the ttl or the freezeAt/);
+    assert.throws(() => limitedLet(0, 1, { ttl: -1 }), /ttl option must be/);
+    assert.throws(() => limitedLet(0, 1, { freezeAt: new Date('nope') }), /freezeAt option must be/);
+    assert.throws(() => limitedLet(0, 1, { ttl: 10, clock: {} }), /clock option must be/);
+    assert.strictEqual(limitedLet(0, 1).expiresAt, null);
+  });
+
+  // === RESET / PERSISTENCE ===
+
+  await test('reset() should restart a ttl', () => {
+    const clock = manualClock();
+    const draft = limitedLet(0, 3, { ttl: 10, clock, allowReset: true });
+
+    clock.advance(10);
+    assert.strictEqual(draft.isFrozen(), true);
+    draft.reset();
+    assert.strictEqual(draft.isFrozen(), false);
+    assert.strictEqual(draft.expiresAt, 1020);
+
+    draft.value = 1;
+    clock.advance(10);
+    assert.strictEqual(draft.isFrozen(), true);
+  });
+
+  await test('reset() should keep a passed freezeAt frozen', () => {
+    const clock = manualClock();
+    const draft = limitedLet(0, 3, { freezeAt: 1010, clock, allowReset: true });
+
+    clock.advance(10);
+    draft.isFrozen();
+    draft.reset();
+    assert.strictEqual(draft.isFrozen(), true);
+    assert.strictEqual(draft.remaining, 3);
+    assert.throws(() => { draft.value = 1; }, MutationLimitExceeded);
+  });
+
+  await test('Snapshots should keep the original ttl deadline', () => {
+    const clock = manualClock();
+    const draft = limitedLet(0, 3, { ttl: 100, clock });
+    clock.advance(60);
+
+    const snapshot = JSON.parse(JSON.stringify(draft));
+    assert.strictEqual(snapshot.expiresAt, 1100);
+
+    const restored = LimitedVariable.fromJSON(snapshot, { ttl: 100, clock });
+    assert.strictEqual(restored.expiresAt, 1100);
+    clock.advance(40);
+    assert.strictEqual(restored.isFrozen(), true);
+  });
+
+  await test('Restoring an expired snapshot should not expire it again', () => {
+    const clock = manualClock();
+    let calls = 0;
+    const draft = limitedLet(0, 3, { ttl: 10, clock });
+    clock.advance(10);
+
+    const snapshot = JSON.parse(JSON.stringify(draft));
+    assert.strictEqual(snapshot.expired, true);
+    assert.strictEqual(snapshot.frozen, true);
+
+    const restored = LimitedVariable.fromJSON(snapshot, { ttl: 10, clock, onExpire: () => { calls++; } });
+    assert.strictEqual(restored.isFrozen(), true);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(restored.history.filter(entry => entry.type === 'expired').length, 1);
+  });
+
+  // === TIMER ===
+
+  await test('expiryTimer should freeze without any access', async () => {
+    const expired = [];
+    limitedLet(0, 3, { ttl: 5, expiryTimer: true, onExpire: (event) => expired.push(event) });
+
+    await sleep(30);
+    assert.strictEqual(expired.length, 1);
+  });
+
+  await test('Without expiryTimer nothing should happen until the next access', async () => {
+    let calls = 0;
+    const draft = limitedLet(0, 3, { ttl: 5, onExpire: () => { calls++; } });
+
+    await sleep(30);
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(draft.isFrozen(), true);
+    assert.strictEqual(calls, 1);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Expiry Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runExpiryTests();
+}
+
+module.exports = { runExpiryTests };
@@ -0,0 +1,191 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runGrantTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running grant/revoke tests...\n');
+
+  // === GRANT ===
+
+  test('grant() should raise the limit and remaining', () => {
+    const retries = limitedLet(0, 3);
+    retries.value = 1;
+    retries.grant(5);
+
+    assert.strictEqual(retries.maxMutations, 8);
+    assert.strictEqual(retries.remaining, 7);
+  });
+
+  test('grant() should unfreeze a variable frozen by depletion', () => {
+    const retries = limitedLet(0, 1);
+    retries.value = 1;
+    assert.strictEqual(retries.isFrozen(), true);
+
+    retries.grant(2);
+    assert.strictEqual(retries.isFrozen(), false);
+    retries.value = 2;
+    retries.value = 3;
+    assert.strictEqual(retries.isFrozen(), true);
+  });
+
+  test('grant() should make a strict variable readable again after a violation', () => {
+    let violations = 0;
+    const retries = limitedLet(0, 1, { onViolation: () => { violations++; } });
+    retries.value = 1;
+    assert.throws(() => { retries.value = 2; }, MutationLimitExceeded);
+    assert.throws(() => retries.value, /Cannot read value/);
+
+    retries.grant(1);
+    assert.strictEqual(retries.value, 1);
+    retries.value = 2;
+    assert.throws(() => { retries.value = 3; }, MutationLimitExceeded);
+    assert.strictEqual(violations, 2);
+  });
+
+  test('grant() should not lift a manual freeze or an expiry', () => {
+    const manual = limitedLet(0, 1);
+    manual.value = 1;
+    manual.freeze();
+    manual.grant(1);
+    assert.strictEqual(manual.isFrozen(), true);
+
+    const clock = { time: 0, now() { return this.time; } };
+    const expiring = limitedLet(0, 1, { ttl: 10, clock });
+    expiring.value = 1;
+    clock.time = 10;
+    expiring.isFrozen();
+    expiring.grant(1);
+    assert.strictEqual(expiring.isFrozen(), true);
+  });
+
+  test('grant() and revoke() should record the old and new limits', () => {
+    const retries = limitedLet('a', 3);
+    retries.grant(2);
+    retries.revoke(1);
+
+    const [, granted, revoked] = retries.history;
+    assert.strictEqual(granted.type, 'grant');
+    assert.strictEqual(granted.previousMaxMutations, 3);
+    assert.strictEqual(granted.maxMutations, 5);
+    assert.strictEqual(granted.value, 'a');
+    assert.strictEqual(revoked.type, 'revoke');
+    assert.strictEqual(revoked.previousMaxMutations, 5);
+    assert.strictEqual(revoked.maxMutations, 4);
+  });
+
+  test('maxGrant should cap how high the limit can go', () => {
+    const retries = limitedLet(0, 3, { maxGrant: 5 });
+    retries.grant(2);
+    assert.throws(() => retries.grant(1), /maxGrant ceiling is 5/);
+    assert.throws(() => retries.setMaxMutations(6), RangeError);
+    assert.strictEqual(retries.maxMutations, 5);
+
+    assert.throws(() => limitedLet(0, 3, { maxGrant: 2 }), /maxGrant option/);
+  });
+
+  // === REVOKE / SETMAXMUTATIONS ===
+
+  test('revoke() should stop at what is already spent and auto-freeze', () => {
+    const retries = limitedLet(0, 5);
+    retries.value = 1;
+    retries.value = 2;
+    retries.revoke(10);
+
+    assert.strictEqual(retries.maxMutations, 2);
+    assert.strictEqual(retries.remaining, 0);
+    assert.strictEqual(retries.isFrozen(), true);
+
+    retries.grant(1);
+    assert.strictEqual(retries.isFrozen(), false);
+  });
+
+  test('revoke() should leave reserved mutations alone', () => {
+    const retries = limitedLet(0, 5);
+    const reservation = retries.reserve(2);
+    retries.revoke(5);
+
+    assert.strictEqual(retries.maxMutations, 2);
+    reservation.commit(1);
+    reservation.commit(2);
+    assert.strictEqual(retries.value, 2);
+  });
+
+  test('setMaxMutations() should grant or revoke to reach the new limit', () => {
+    const retries = limitedLet(0, 3);
+    retries.value = 1;
+    retries.setMaxMutations(6);
+    retries.setMaxMutations(6);
+    retries.setMaxMutations(2);
+
+    assert.deepStrictEqual(retries.history.map(entry => entry.type), ['initial', 'mutation', 'grant', 'revoke']);
+    assert.strictEqual(retries.remaining, 1);
+    assert.throws(() => retries.setMaxMutations(0), /already spent or reserved/);
+  });
+
+  test('Invalid amounts should throw', () => {
+    const retries = limitedLet(0, 3);
+    assert.throws(() => retries.grant(0), TypeError);
+    assert.throws(() => retries.revoke(1.5), TypeError);
+    assert.throws(() => retries.setMaxMutations(-1), TypeError);
+    assert.throws(() => retries.setMaxMutations(2.5), TypeError);
+    assert.throws(() => retries.setMaxMutations(Infinity), TypeError);
+    assert.throws(() => retries.setMaxMutations(NaN), TypeError);
+    assert.strictEqual(retries.maxMutations, 3);
+  });
+
+  test('Windowed variables should change the per-window limit', () => {
+    const quota = limitedLet(0, 2, { window: { size: 1000 } });
+    quota.value = 1;
+    quota.value = 2;
+    quota.grant(1);
+    quota.value = 3;
+    assert.strictEqual(quota.remaining, 0);
+
+    quota.setMaxMutations(0);
+    assert.strictEqual(quota.maxMutations, 0);
+  });
+
+  test('Snapshots should keep the new limit and the auto-freeze reason', () => {
+    const retries = limitedLet(0, 1);
+    retries.value = 1;
+
+    const restored = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(retries)));
+    assert.strictEqual(restored.isFrozen(), true);
+    restored.grant(2);
+    assert.strictEqual(restored.isFrozen(), false);
+
+    const again = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(restored)));
+    assert.strictEqual(again.maxMutations, 3);
+    assert.strictEqual(again.remaining, 2);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Grant/Revoke Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runGrantTests();
+}
+
+module.exports = { runGrantTests };
@@ -0,0 +1,238 @@
+const { limitedGroup, LimitedGroup, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runGroupTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running shared budget group tests...\n');
+
+  // === SHARED POOL ===
+
+  test('Members should spend from one shared pool', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en', fontSize: 14 }, 3);
+    assert.ok(settings instanceof LimitedGroup);
+
+    settings.theme.value = 'light';
+    settings.lang.value = 'fr';
+    assert.strictEqual(settings.remaining, 1);
+    assert.strictEqual(settings.mutationCount, 2);
+    assert.strictEqual(settings.fontSize.remaining, 1);
+    assert.deepStrictEqual(settings.value, { theme: 'light', lang: 'fr', fontSize: 14 });
+  });
+
+  test('Deep mutations should spend from the pool', () => {
+    const settings = limitedGroup({ layout: { sidebar: true }, theme: 'dark' }, 2);
+    settings.layout.value.sidebar = false;
+    assert.strictEqual(settings.remaining, 1);
+    assert.strictEqual(settings.history[1].mutationPath, 'sidebar');
+    assert.strictEqual(settings.history[1].type, 'deep-mutation');
+  });
+
+  test('Depleting the pool should freeze every member', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 2);
+    settings.theme.value = 'light';
+    settings.theme.value = 'auto';
+
+    assert.strictEqual(settings.isDepleted(), true);
+    assert.strictEqual(settings.isFrozen(), true);
+    assert.strictEqual(settings.lang.isFrozen(), true);
+    assert.throws(() => { settings.lang.value = 'de'; }, /frozen/);
+  });
+
+  test('Without autoFreeze, over-budget members should report the group limit', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 1, { autoFreeze: false });
+    settings.theme.value = 'light';
+
+    try {
+      settings.lang.value = 'de';
+      assert.fail('Expected MutationLimitExceeded');
+    } catch (error) {
+      assert.ok(error instanceof MutationLimitExceeded);
+      assert.match(error.message, /Group mutation limit exceeded at member: lang/);
+    }
+    assert.strictEqual(settings.violationCount, 1);
+  });
+
+  test('Non-strict groups should track violations in history', () => {
+    const settings = limitedGroup({ theme: 'dark' }, 1, { strictMode: false });
+    settings.theme.value = 'light';
+    settings.theme.value = 'auto';
+
+    assert.strictEqual(settings.theme.value, 'auto');
+    assert.strictEqual(settings.violationCount, 1);
+    assert.strictEqual(settings.history[2].type, 'violation');
+    assert.strictEqual(settings.history[2].member, 'theme');
+  });
+
+  // === GROUP CONTROL ===
+
+  test('freeze() should freeze every member', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 3);
+    settings.freeze();
+    assert.strictEqual(settings.theme.isFrozen(), true);
+    assert.throws(() => { settings.lang.value = 'de'; }, MutationLimitExceeded);
+  });
+
+  test('reset() should restore the pool and the members', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 1, { allowReset: true });
+    settings.theme.value = 'light';
+    settings.reset();
+
+    assert.strictEqual(settings.remaining, 1);
+    assert.strictEqual(settings.isFrozen(), false);
+    assert.strictEqual(settings.theme.mutationCount, 0);
+    settings.lang.value = 'de';
+    assert.strictEqual(settings.history[settings.history.length - 2].type, 'reset');
+    assert.throws(() => limitedGroup({ a: 1 }, 1).reset(), /Reset is disabled/);
+  });
+
+  test('Reservations on one member should hold budget for the group', () => {
+    const settings = limitedGroup({ profile: null, theme: 'dark' }, 2, { autoFreeze: false });
+    const reservation = settings.profile.reserve(1);
+
+    assert.strictEqual(settings.remaining, 1);
+    settings.theme.value = 'light';
+    assert.throws(() => { settings.theme.value = 'auto'; }, /\(1 reserved\)/);
+
+    reservation.commit({ name: 'Ada' });
+    assert.strictEqual(settings.mutationCount, 2);
+    assert.strictEqual(settings.remaining, 0);
+  });
+
+  test('Transactions should count once against the pool', () => {
+    const settings = limitedGroup({ layout: { a: 1, b: 2 }, theme: 'dark' }, 2);
+    settings.layout.transaction(draft => {
+      draft.a = 10;
+      draft.b = 20;
+    });
+    assert.strictEqual(settings.remaining, 1);
+    assert.strictEqual(settings.history[1].type, 'transaction');
+  });
+
+  // === CALLBACKS ===
+
+  test('Callbacks should report which member mutated', () => {
+    const events = [];
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 2, {
+      onMutate: (event) => events.push(['mutate', event.member, event.remaining]),
+      onLastMutation: (event) => events.push(['last', event.member])
+    });
+
+    settings.lang.value = 'fr';
+    settings.theme.value = 'light';
+    assert.deepStrictEqual(events, [['mutate', 'lang', 1], ['mutate', 'theme', 0], ['last', 'theme']]);
+  });
+
+  test('onViolation and onLimitExceeded should name the member', () => {
+    const violations = [];
+    const attempts = [];
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 1, {
+      autoFreeze: false,
+      onViolation: (error, member) => violations.push(member),
+      onLimitExceeded: (attempt) => attempts.push(attempt.member)
+    });
+
+    settings.theme.value = 'light';
+    assert.throws(() => { settings.lang.value = 'de'; });
+    assert.deepStrictEqual(violations, ['lang']);
+    assert.deepStrictEqual(attempts, ['lang']);
+  });
+
+  test('Per-member options should still apply', () => {
+    const settings = limitedGroup({ fontSize: 14, theme: 'dark' }, 3, {
+      members: { fontSize: { validate: (value) => value >= 8 || 'too small' } }
+    });
+    assert.throws(() => { settings.fontSize.value = 2; }, /too small/);
+    assert.strictEqual(settings.remaining, 3);
+  });
+
+  test('value should stay readable when a member is blocked by a strict violation', () => {
+    const settings = limitedGroup({ theme: 'dark', lang: 'en' }, 1, { autoFreeze: false });
+    settings.theme.value = 'light';
+    assert.throws(() => { settings.lang.value = 'fr'; }, MutationLimitExceeded);
+    assert.throws(() => settings.lang.value, MutationLimitExceeded);
+
+    assert.deepStrictEqual(settings.value, { theme: 'light', lang: 'en' });
+  });
+
+  test('Members should refuse grant(), revoke() and setMaxMutations()', () => {
+    const settings = limitedGroup({ theme: 'dark' }, 2);
+    assert.throws(() => settings.theme.grant(5), /cannot change the budget of a group member/);
+    assert.throws(() => settings.theme.revoke(1), /cannot change the budget of a group member/);
+    assert.throws(() => settings.theme.setMaxMutations(10), /cannot change the budget of a group member/);
+    assert.strictEqual(settings.theme.maxMutations, 2);
+    assert.strictEqual(settings.remaining, 2);
+  });
+
+  // === NESTED GROUPS ===
+
+  test('Sub-groups should spend from their own pool and the parent pool', () => {
+    const settings = limitedGroup({
+      theme: 'dark',
+      display: limitedGroup({ fontSize: 14, zoom: 1 }, 2)
+    }, 3);
+
+    settings.display.fontSize.value = 16;
+    assert.strictEqual(settings.remaining, 2);
+    assert.strictEqual(settings.display.remaining, 1);
+    assert.strictEqual(settings.history[1].member, 'display.fontSize');
+
+    settings.display.zoom.value = 2;
+    assert.strictEqual(settings.display.isFrozen(), true);
+    assert.strictEqual(settings.theme.isFrozen(), false);
+    settings.theme.value = 'light';
+    assert.strictEqual(settings.isFrozen(), true);
+  });
+
+  test('A depleted parent should cap its sub-groups', () => {
+    const settings = limitedGroup({
+      theme: 'dark',
+      display: limitedGroup({ fontSize: 14 }, 5, { autoFreeze: false })
+    }, 1, { autoFreeze: false });
+
+    settings.theme.value = 'light';
+    assert.strictEqual(settings.display.remaining, 0);
+    assert.throws(
+      () => { settings.display.fontSize.value = 16; },
+      /at member: display\.fontSize\. Maximum 1 mutation\(s\) shared by the group/
+    );
+  });
+
+  test('Invalid groups should throw', () => {
+    assert.throws(() => limitedGroup([1, 2], 3), TypeError);
+    assert.throws(() => limitedGroup({ remaining: 1 }, 3), /cannot be used as a member name/);
+
+    const shared = limitedGroup({ a: 1 }, 2);
+    limitedGroup({ first: shared }, 3);
+    assert.throws(() => limitedGroup({ second: shared }, 3), /already belongs/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Shared Budget Group Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runGroupTests();
+}
+
+module.exports = { runGroupTests };
@@ -0,0 +1,160 @@
+const { limitedLet, LimitedVariable } = require('./entry');
+const assert = require('assert');
+
+function runHistoryExportTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const FORMATS = ['ndjson', 'json', 'csv'];
+
+  console.log('Running history export tests...\n');
+
+  // === EXPORT ===
+
+  test('ndjson should write one versioned record per entry', () => {
+    const doc = limitedLet({ title: 'a' }, 5);
+    doc.value.title = 'b';
+    doc.value = { title: 'c' };
+
+    const lines = doc.exportHistory().trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.length, 3);
+    assert.deepStrictEqual(Object.keys(lines[1]),
+      ['version', 'index', 'type', 'mutation', 'timestamp', 'path', 'value', 'previousValue', 'details']);
+    assert.strictEqual(lines[1].version, 1);
+    assert.strictEqual(lines[1].index, 1);
+    assert.strictEqual(lines[1].type, 'deep-mutation');
+    assert.strictEqual(lines[1].mutation, 1);
+    assert.strictEqual(lines[1].path, 'title');
+    assert.strictEqual(lines[1].value, 'b');
+    assert.strictEqual(lines[1].details.mutationType, 'property');
+    assert.strictEqual(lines[2].path, null);
+    assert.strictEqual('previousValue' in lines[0], false);
+  });
+
+  test('Values JSON cannot carry should be tagged', () => {
+    const doc = limitedLet({ big: 1n, missing: undefined, nan: NaN, at: new Date(0), ids: new Set([1]) }, 5);
+    const [record] = JSON.parse(doc.exportHistory({ format: 'json' }));
+
+    assert.deepStrictEqual(record.value, {
+      big: { $type: 'bigint', value: '1' },
+      missing: { $type: 'undefined' },
+      nan: { $type: 'number', value: 'NaN' },
+      at: { $type: 'date', value: '1970-01-01T00:00:00.000Z' },
+      ids: { $type: 'set', values: [1] }
+    });
+  });
+
+  test('Circular and shared references should become $ref pointers', () => {
+    const node = { name: 'root', children: [] };
+    node.children.push({ parent: node });
+    const doc = limitedLet(node, 5, { trackDeepMutations: false });
+
+    const [record] = JSON.parse(doc.exportHistory({ format: 'json' }));
+    assert.deepStrictEqual(record.value.children[0].parent, { $ref: '' });
+
+    const [entry] = LimitedVariable.importHistory(doc.exportHistory());
+    assert.strictEqual(entry.value.children[0].parent, entry.value);
+  });
+
+  test('csv should quote cells and hold values as JSON text', () => {
+    const note = limitedLet('plain', 5);
+    note.value = 'has, "quotes"\nand a newline';
+
+    const [header, first] = note.exportHistory({ format: 'csv' }).split('\r\n');
+    assert.strictEqual(header, 'version,index,type,mutation,timestamp,path,value,previousValue,details');
+    assert.ok(first.startsWith('1,0,initial,0,'));
+    assert.ok(first.endsWith(',,"""plain""",,{}'));
+  });
+
+  test('exportHistory() should refuse unknown formats and untracked variables', () => {
+    assert.throws(() => limitedLet(0, 1).exportHistory({ format: 'xml' }), /Unknown history format 'xml'/);
+    assert.throws(() => limitedLet(0, 1, { trackHistory: false }).exportHistory(), /requires history tracking/);
+  });
+
+  // === IMPORT ===
+
+  FORMATS.forEach(format => {
+    test(`importHistory() should rebuild the timeline from ${format}`, () => {
+      const doc = limitedLet({ count: 1n, tags: new Map([['a', undefined]]) }, 2, { strictMode: false });
+      doc.value.count = 2n;
+      doc.value.tags.set('b', [1, -0]);
+      doc.value = { count: 0n };
+
+      const timeline = LimitedVariable.importHistory(doc.exportHistory({ format }), { format });
+      assert.deepStrictEqual(timeline.map(entry => entry.type), ['initial', 'deep-mutation', 'deep-mutation', 'violation']);
+      assert.strictEqual(timeline[1].value, 2n);
+      assert.strictEqual(timeline[1].previousValue, 1n);
+      assert.strictEqual(timeline[1].mutationPath, 'count');
+      assert.deepStrictEqual(timeline[2].value, [1, -0]);
+      assert.ok(Object.is(timeline[2].value[1], -0));
+      assert.strictEqual(timeline[3].mutation, 2);
+      assert.deepStrictEqual(timeline[3].value, { count: 0n });
+      assert.strictEqual(timeline[0].timestamp, doc.history[0].timestamp);
+      assert.deepStrictEqual(timeline[1].patch, [{ op: 'replace', path: '/count', value: 2n }]);
+    });
+  });
+
+  test('Imported timelines should be read-only', () => {
+    const doc = limitedLet({ nested: { n: 1 } }, 3);
+    const timeline = LimitedVariable.importHistory(doc.exportHistory());
+
+    assert.ok(Object.isFrozen(timeline));
+    assert.ok(Object.isFrozen(timeline[0]));
+    assert.ok(Object.isFrozen(timeline[0].value.nested));
+  });
+
+  test('Objects that look like tags should round-trip unchanged', () => {
+    const doc = limitedLet({ $type: 'undefined', $ref: '/x' }, 3);
+    const [entry] = LimitedVariable.importHistory(doc.exportHistory());
+    assert.deepStrictEqual(entry.value, { $type: 'undefined', $ref: '/x' });
+  });
+
+  test('Functions and symbols should come back as opaque markers', () => {
+    const doc = limitedLet({ run() {}, id: Symbol('id') }, 3, { trackDeepMutations: false });
+    const [entry] = LimitedVariable.importHistory(doc.exportHistory());
+    assert.deepStrictEqual(entry.value, {
+      run: { $type: 'opaque', description: 'function run' },
+      id: { $type: 'opaque', description: 'Symbol(id)' }
+    });
+  });
+
+  test('importHistory() should name the first malformed record', () => {
+    const good = JSON.parse(limitedLet(0, 3).exportHistory({ format: 'json' }))[0];
+
+    assert.throws(() => LimitedVariable.importHistory([{ ...good, version: 2 }]), /record 0: unsupported version 2/);
+    assert.throws(() => LimitedVariable.importHistory([good, { ...good }]), /record 1: "index" is 0, expected 1/);
+    assert.throws(() => LimitedVariable.importHistory([{ ...good, mutation: -1 }]), /"mutation" must be/);
+    assert.throws(() => LimitedVariable.importHistory([{ ...good, value: { $ref: '/nope' } }]), /record 0: reference "\/nope"/);
+    assert.throws(() => LimitedVariable.importHistory([{ ...good, value: { $type: 'alien' } }]), /unknown value tag "alien"/);
+    assert.throws(() => LimitedVariable.importHistory('a,b\n1,2', { format: 'csv' }), /the header must be/);
+    assert.throws(() => LimitedVariable.importHistory(42), TypeError);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`History Export Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runHistoryExportTests();
+}
+
+module.exports = { runHistoryExportTests };
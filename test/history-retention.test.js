@@ -0,0 +1,204 @@
+const { limitedLet, LimitedVariable } = require('./entry');
+const assert = require('assert');
+
+async function runHistoryRetentionTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(description, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const types = (variable) => variable.history.map(entry => entry.type);
+
+  console.log('Running history retention tests...\n');
+
+  // === HISTORYLIMIT ===
+
+  await test('historyLimit should keep initial, a summary and the last N entries', () => {
+    const counter = limitedLet(0, 100, { historyLimit: 3 });
+    for (let i = 1; i <= 10; i++) {
+      counter.value = i;
+    }
+
+    const history = counter.history;
+    assert.deepStrictEqual(history.map(entry => entry.type), ['initial', 'compacted', 'mutation', 'mutation', 'mutation']);
+    assert.deepStrictEqual(history.slice(2).map(entry => entry.value), [8, 9, 10]);
+    assert.strictEqual(history[0].value, 0);
+    assert.deepStrictEqual(history[1].dropped, { mutation: 7 });
+    assert.strictEqual(history[1].mutation, 7);
+  });
+
+  await test('The summary should count dropped entries by type', () => {
+    const tracker = limitedLet(0, 2, { strictMode: false, historyLimit: 1 });
+    tracker.value = 1;
+    tracker.value = 2;
+    for (let i = 0; i < 50; i++) {
+      tracker.value = 100 + i;
+    }
+
+    const history = tracker.history;
+    assert.strictEqual(history.length, 3);
+    assert.deepStrictEqual(history[1].dropped, { mutation: 2, violation: 49 });
+    assert.strictEqual(tracker.mutationCount, 2);
+    assert.strictEqual(tracker.violationCount, 50);
+  });
+
+  await test('historyLimit: 0 should keep only initial and the summary', () => {
+    const counter = limitedLet(0, 5, { historyLimit: 0 });
+    counter.value = 1;
+    counter.value = 2;
+    assert.deepStrictEqual(types(counter), ['initial', 'compacted']);
+    assert.deepStrictEqual(counter.history[1].dropped, { mutation: 2 });
+  });
+
+  await test('Memory should stay bounded on a hot path', () => {
+    const tracker = limitedLet({ hits: 0 }, 1, { strictMode: false, historyLimit: 20 });
+    for (let i = 0; i < 5000; i++) {
+      tracker.value.hits = i;
+    }
+    assert.strictEqual(tracker.history.length, 22);
+    assert.strictEqual(tracker.violationCount, 4999);
+  });
+
+  // === HISTORYMAXAGEMS ===
+
+  await test('historyMaxAgeMs should drop entries older than the window', async () => {
+    const counter = limitedLet(0, 10, { historyMaxAgeMs: 20 });
+    counter.value = 1;
+    counter.value = 2;
+    await sleep(40);
+    counter.value = 3;
+
+    const history = counter.history;
+    assert.deepStrictEqual(history.map(entry => entry.type), ['initial', 'compacted', 'mutation']);
+    assert.strictEqual(history[2].value, 3);
+    assert.deepStrictEqual(history[1].dropped, { mutation: 2 });
+  });
+
+  // === COMPACT() ===
+
+  await test('compact() should apply a limit on demand and merge summaries', () => {
+    const counter = limitedLet(0, 10);
+    for (let i = 1; i <= 5; i++) {
+      counter.value = i;
+    }
+    counter.compact({ limit: 3 });
+    assert.deepStrictEqual(counter.history[1].dropped, { mutation: 2 });
+
+    counter.value = 6;
+    counter.compact({ limit: 1 });
+    assert.deepStrictEqual(types(counter), ['initial', 'compacted', 'mutation']);
+    assert.deepStrictEqual(counter.history[1].dropped, { mutation: 5 });
+    assert.strictEqual(counter.history[1].mutation, 5);
+  });
+
+  await test('compact() without limits should change nothing', () => {
+    const counter = limitedLet(0, 10);
+    counter.value = 1;
+    counter.compact();
+    assert.deepStrictEqual(types(counter), ['initial', 'mutation']);
+  });
+
+  await test('Invalid retention settings should throw', () => {
+    assert.throws(() => limitedLet(0, 1, { historyLimit: -1 }), /historyLimit option must be/);
+    assert.throws(() => limitedLet(0, 1, { historyMaxAgeMs: 0 }), /historyMaxAgeMs option must be/);
+    assert.throws(() => limitedLet(0, 1).compact({ limit: 1.5 }), /compact\(\) limit must be/);
+    assert.throws(() => limitedLet(0, 1, { trackHistory: false }).compact(), /requires history tracking/);
+  });
+
+  // === UNDO / RESTORE / SNAPSHOTS ===
+
+  await test('undo() should step back through the retained entries only', () => {
+    const doc = limitedLet({ title: 'a' }, 10, { historyLimit: 2 });
+    doc.value.title = 'b';
+    doc.value.title = 'c';
+    doc.value.title = 'd';
+
+    doc.undo();
+    assert.strictEqual(doc.value.title, 'c');
+
+    // 'b' and 'c' were dropped to make room; skipping back to 'initial' would
+    // leave out the states in between
+    assert.strictEqual(doc.canUndo(), false);
+    doc.redo();
+    assert.strictEqual(doc.value.title, 'd');
+  });
+
+  await test('undo() should step back to the summary, not past it to initial', () => {
+    const counter = limitedLet(0, 10, { historyLimit: 4 });
+    for (let i = 1; i <= 5; i++) {
+      counter.value = i;
+    }
+
+    const undone = [];
+    while (counter.canUndo()) {
+      counter.undo();
+      undone.push(counter.value);
+    }
+    assert.deepStrictEqual(undone, [4, 3]);
+  });
+
+  await test('undo() after compact() should return to the last compacted state', () => {
+    const counter = limitedLet(0, 10);
+    for (let i = 1; i <= 5; i++) {
+      counter.value = i;
+    }
+    counter.compact({ limit: 1 });
+
+    counter.undo();
+    assert.strictEqual(counter.value, 4);
+    assert.strictEqual(counter.canUndo(), false);
+  });
+
+  await test('restoreTo() the summary should give the last dropped state', () => {
+    const doc = limitedLet({ title: 'a' }, 10, { historyLimit: 1 });
+    doc.value.title = 'b';
+    doc.value.title = 'c';
+    doc.value.title = 'd';
+
+    doc.restoreTo(1);
+    assert.strictEqual(doc.value.title, 'c');
+    doc.restoreTo(0);
+    assert.strictEqual(doc.value.title, 'a');
+  });
+
+  await test('Compacted history should survive toJSON() and fromJSON()', () => {
+    const counter = limitedLet(0, 10, { historyLimit: 2 });
+    for (let i = 1; i <= 6; i++) {
+      counter.value = i;
+    }
+
+    const restored = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(counter)));
+    assert.deepStrictEqual(restored.history.map(entry => entry.type), ['initial', 'compacted', 'mutation', 'mutation']);
+    assert.strictEqual(restored.mutationCount, 6);
+
+    const trimmed = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(counter)), { historyLimit: 1 });
+    assert.deepStrictEqual(trimmed.history[1].dropped, { mutation: 5 });
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`History Retention Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runHistoryRetentionTests();
+}
+
+module.exports = { runHistoryRetentionTests };
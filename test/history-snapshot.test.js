@@ -0,0 +1,152 @@
+const { limitedLet, LimitedVariable } = require('./entry');
+const assert = require('assert');
+
+function runHistorySnapshotTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Serializes entries so later comparisons cannot share references with them
+  const freezeFrame = (entries) => JSON.stringify(entries.map(({ value, previousValue, type }) => ({ value, previousValue, type })));
+
+  console.log('Running history snapshot tests...\n');
+
+  // === CONSISTENCY ===
+
+  test('Default reference mode should keep the current (shared) behaviour', () => {
+    const doc = limitedLet({ title: 'a' }, 5);
+    doc.value.title = 'b';
+    assert.strictEqual(doc.history[0].value.title, 'b');
+  });
+
+  ['structuredClone', (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)))].forEach(mode => {
+    const label = typeof mode === 'function' ? 'a custom cloner' : `'${mode}'`;
+
+    test(`Old entries should never change with ${label}`, () => {
+      const doc = limitedLet({ title: 'Draft', tags: ['x'], meta: { views: 0 } }, 20, { historySnapshot: mode });
+      const frames = [];
+      const steps = [
+        () => { doc.value.title = 'Second'; },
+        () => { doc.value.tags.push('y'); },
+        () => { doc.value.meta.views++; },
+        () => { doc.value = { title: 'Replaced', tags: [], meta: { views: 10 } }; },
+        () => { doc.value.tags.push('z'); },
+        () => { doc.value.meta.views = 11; },
+        () => { doc.transaction(draft => { draft.title = 'Final'; draft.tags.length = 0; }); }
+      ];
+
+      frames.push(freezeFrame(doc.history));
+      steps.forEach(step => {
+        step();
+        frames.push(freezeFrame(doc.history));
+      });
+
+      // Each frame must still be a prefix of the final history
+      const final = JSON.parse(frames[frames.length - 1]);
+      frames.forEach(frame => {
+        const earlier = JSON.parse(frame);
+        assert.deepStrictEqual(final.slice(0, earlier.length), earlier);
+      });
+
+      assert.deepStrictEqual(final[0].value, { title: 'Draft', tags: ['x'], meta: { views: 0 } });
+      assert.deepStrictEqual(final[4].value, { title: 'Replaced', tags: [], meta: { views: 10 } });
+      assert.deepStrictEqual(final[4].previousValue, { title: 'Second', tags: ['x', 'y'], meta: { views: 1 } });
+    });
+  });
+
+  // === MODES ===
+
+  test('structuredClone should store plain copies, not proxies', () => {
+    const doc = limitedLet({ at: new Date(0), ids: new Set([1]) }, 3, { historySnapshot: 'structuredClone' });
+    const entry = doc.history[0];
+
+    assert.notStrictEqual(entry.value, doc.value);
+    assert.ok(entry.value.at instanceof Date);
+    assert.ok(entry.value.ids instanceof Set);
+    if (typeof structuredClone === 'function') {
+      assert.doesNotThrow(() => structuredClone(entry.value));
+    }
+  });
+
+  test('structuredClone should fall back to a plain copy for values holding functions', () => {
+    const format = (n) => `#${n}`;
+    const row = limitedLet({ n: 1, format }, 3, { historySnapshot: 'structuredClone' });
+    row.value.n = 2;
+
+    assert.strictEqual(row.history[0].value.n, 1);
+    assert.strictEqual(row.history[0].value.format, format);
+    assert.notStrictEqual(row.history[0].value, row.value);
+  });
+
+  test('A custom cloner should receive every recorded value', () => {
+    const seen = [];
+    const doc = limitedLet({ n: 1 }, 3, {
+      historySnapshot: (value) => {
+        seen.push(JSON.stringify(value));
+        return { copied: JSON.parse(JSON.stringify(value)) };
+      }
+    });
+    doc.value.n = 2;
+
+    assert.deepStrictEqual(doc.history[0].value, { copied: { n: 1 } });
+    assert.deepStrictEqual(doc.history[1].value, { copied: 2 });
+    assert.deepStrictEqual(seen, ['{"n":1}', '2', '1']);
+  });
+
+  test('Primitives should be stored as they are', () => {
+    const count = limitedLet(0, 3, { historySnapshot: 'structuredClone' });
+    count.value = 1;
+    assert.deepStrictEqual(count.history.map(entry => entry.value), [0, 1]);
+  });
+
+  test('Undo should still restore the live value', () => {
+    const doc = limitedLet({ title: 'a' }, 5, { historySnapshot: 'structuredClone' });
+    doc.value.title = 'b';
+    doc.value.title = 'c';
+    doc.undo();
+
+    assert.strictEqual(doc.value.title, 'b');
+    assert.strictEqual(doc.history[1].value, 'b');
+    assert.strictEqual(doc.history[0].value.title, 'a');
+  });
+
+  test('Restored snapshots should copy their initial entry too', () => {
+    const restored = LimitedVariable.fromJSON(
+      { value: { title: 'a' }, maxMutations: 3, mutationCount: 0, violationCount: 0 },
+      { historySnapshot: 'structuredClone' }
+    );
+    restored.value.title = 'b';
+    assert.strictEqual(restored.history[0].value.title, 'a');
+  });
+
+  test('Unknown modes should throw', () => {
+    assert.throws(() => limitedLet({}, 1, { historySnapshot: 'deep' }), /Unknown historySnapshot 'deep'/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`History Snapshot Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runHistorySnapshotTests();
+}
+
+module.exports = { runHistorySnapshotTests };
@@ -0,0 +1,230 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded, MutationValidationError } = require('./entry');
+const assert = require('assert');
+
+function runJsonPatchTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const last = (variable) => variable.history[variable.history.length - 1];
+
+  console.log('Running JSON patch tests...\n');
+
+  // === PATCHES ON MUTATIONS ===
+
+  test('Deep property writes should record a patch and its inverse', () => {
+    const doc = limitedLet({ title: 'Draft' }, 5);
+    doc.value.title = 'Final';
+    doc.value.author = 'ada';
+    delete doc.value.title;
+
+    const [, replaced, added, removed] = doc.history;
+    assert.deepStrictEqual(replaced.patch, [{ op: 'replace', path: '/title', value: 'Final' }]);
+    assert.deepStrictEqual(replaced.inversePatch, [{ op: 'replace', path: '/title', value: 'Draft' }]);
+    assert.deepStrictEqual(added.patch, [{ op: 'add', path: '/author', value: 'ada' }]);
+    assert.deepStrictEqual(added.inversePatch, [{ op: 'remove', path: '/author' }]);
+    assert.deepStrictEqual(removed.patch, [{ op: 'remove', path: '/title' }]);
+    assert.deepStrictEqual(removed.inversePatch, [{ op: 'add', path: '/title', value: 'Final' }]);
+  });
+
+  test('Array methods should produce index operations', () => {
+    const list = limitedLet({ items: ['a'] }, 5);
+    list.value.items.push('b', 'c');
+    assert.deepStrictEqual(last(list).patch, [
+      { op: 'add', path: '/items/1', value: 'b' },
+      { op: 'add', path: '/items/2', value: 'c' }
+    ]);
+    assert.deepStrictEqual(last(list).inversePatch, [
+      { op: 'remove', path: '/items/2' },
+      { op: 'remove', path: '/items/1' }
+    ]);
+
+    list.value.items.splice(0, 1);
+    assert.deepStrictEqual(last(list).patch, [
+      { op: 'replace', path: '/items/0', value: 'b' },
+      { op: 'replace', path: '/items/1', value: 'c' },
+      { op: 'remove', path: '/items/2' }
+    ]);
+  });
+
+  test('Keys should be escaped as JSON Pointers', () => {
+    const doc = limitedLet({ 'a/b': { '~c': 1 } }, 5);
+    doc.value['a/b']['~c'] = 2;
+    assert.deepStrictEqual(last(doc).patch, [{ op: 'replace', path: '/a~1b/~0c', value: 2 }]);
+  });
+
+  test('Edits inside a Map should replace the whole collection', () => {
+    const doc = limitedLet({ users: new Map([['ada', { score: 1 }]]) }, 5);
+    doc.value.users.get('ada').score = 2;
+
+    const [operation] = last(doc).patch;
+    assert.strictEqual(operation.op, 'replace');
+    assert.strictEqual(operation.path, '/users');
+    assert.strictEqual(operation.value.get('ada').score, 2);
+    assert.strictEqual(last(doc).inversePatch[0].value.get('ada').score, 1);
+  });
+
+  test('Assignments and transactions should diff the whole value', () => {
+    const doc = limitedLet({ a: 1, b: { c: 1 } }, 5);
+    doc.value = { a: 1, b: { c: 2 }, d: true };
+    assert.deepStrictEqual(last(doc).patch, [
+      { op: 'replace', path: '/b/c', value: 2 },
+      { op: 'add', path: '/d', value: true }
+    ]);
+
+    doc.transaction(draft => {
+      draft.a = 2;
+      delete draft.d;
+    });
+    assert.deepStrictEqual(last(doc).patch, [
+      { op: 'replace', path: '/a', value: 2 },
+      { op: 'remove', path: '/d' }
+    ]);
+
+    const count = limitedLet(0, 5);
+    count.value = 1;
+    assert.deepStrictEqual(last(count).patch, [{ op: 'replace', path: '', value: 1 }]);
+  });
+
+  test('Patches should be copies and should reach onMutate', () => {
+    const events = [];
+    const doc = limitedLet({ tags: [] }, 5, { trackHistory: false, onMutate: (event) => events.push(event) });
+    const tag = { name: 'x' };
+    doc.value.tags.push(tag);
+    tag.name = 'changed';
+
+    assert.deepStrictEqual(events[0].patch, [{ op: 'add', path: '/tags/0', value: { name: 'x' } }]);
+    assert.deepStrictEqual(events[0].inversePatch, [{ op: 'remove', path: '/tags/0' }]);
+  });
+
+  test('Violations and rejected writes should not carry a patch', () => {
+    const doc = limitedLet({ n: 0 }, 1, { strictMode: false, validate: (value, old, ctx) => ctx.next.n >= 0 });
+    doc.value.n = -1;
+    doc.value.n = 1;
+    doc.value.n = 2;
+    assert.deepStrictEqual(doc.history.map(entry => [entry.type, 'patch' in entry]), [
+      ['initial', false], ['rejected', false], ['deep-mutation', true], ['violation', false]
+    ]);
+  });
+
+  // === DIFF ===
+
+  test('diff() should compare any two history entries', () => {
+    const doc = limitedLet({ title: 'a', tags: ['x'] }, 5);
+    doc.value.title = 'b';
+    doc.value.tags.push('y');
+
+    assert.deepStrictEqual(doc.diff(0), [
+      { op: 'replace', path: '/title', value: 'b' },
+      { op: 'add', path: '/tags/1', value: 'y' }
+    ]);
+    assert.deepStrictEqual(doc.diff(2, 0), [
+      { op: 'replace', path: '/title', value: 'a' },
+      { op: 'remove', path: '/tags/1' }
+    ]);
+    assert.deepStrictEqual(doc.diff(1, 1), []);
+    assert.throws(() => doc.diff(0, 3), RangeError);
+    assert.throws(() => limitedLet(0, 1, { trackHistory: false }).diff(0), /requires history tracking/);
+  });
+
+  // === APPLYPATCH ===
+
+  test('applyPatch() should apply every operation as one mutation', () => {
+    const doc = limitedLet({ title: 'a', tags: ['x'], meta: { v: 1 } }, 3);
+    doc.applyPatch([
+      { op: 'test', path: '/title', value: 'a' },
+      { op: 'add', path: '/tags/-', value: 'y' },
+      { op: 'move', from: '/title', path: '/name' },
+      { op: 'copy', from: '/meta', path: '/backup' },
+      { op: 'replace', path: '/meta/v', value: 2 },
+      { op: 'remove', path: '/tags/0' }
+    ]);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(doc.value)), {
+      tags: ['y'], meta: { v: 2 }, name: 'a', backup: { v: 1 }
+    });
+    assert.strictEqual(doc.mutationCount, 1);
+    assert.strictEqual(last(doc).type, 'mutation');
+
+    // Recording the inverse lets the patch be undone by applying it
+    doc.applyPatch(last(doc).inversePatch);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(doc.value)), { title: 'a', tags: ['x'], meta: { v: 1 } });
+  });
+
+  test('A patch that does not fit should throw before anything changes', () => {
+    const doc = limitedLet({ title: 'a', tags: [] }, 3);
+    assert.throws(() => doc.applyPatch([
+      { op: 'replace', path: '/title', value: 'b' },
+      { op: 'test', path: '/title', value: 'a' }
+    ]), /operation 1 \(test \/title\): test failed/);
+    assert.throws(() => doc.applyPatch([{ op: 'remove', path: '/missing' }]), /path does not exist/);
+    assert.throws(() => doc.applyPatch([{ op: 'add', path: '/tags/3', value: 1 }]), /out of bounds/);
+    assert.throws(() => doc.applyPatch([{ op: 'rename', path: '/title' }]), TypeError);
+    assert.throws(() => doc.applyPatch({ op: 'add' }), TypeError);
+
+    assert.strictEqual(doc.value.title, 'a');
+    assert.strictEqual(doc.mutationCount, 0);
+  });
+
+  test('Pointers reaching the prototype chain should be rejected', () => {
+    const doc = limitedLet({ meta: {} }, 5);
+    const attempts = [
+      { op: 'add', path: '/__proto__/polluted', value: true },
+      { op: 'add', path: '/meta/constructor/prototype/polluted', value: true },
+      { op: 'replace', path: '/constructor', value: 1 },
+      { op: 'copy', from: '/__proto__', path: '/meta/copy' },
+      { op: 'move', from: '/meta', path: '/prototype' }
+    ];
+    for (const operation of attempts) {
+      assert.throws(() => doc.applyPatch([operation]), (error) =>
+        error instanceof TypeError && /is not allowed as a path token/.test(error.message));
+    }
+
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(doc.value)), { meta: {} });
+    assert.strictEqual(doc.mutationCount, 0);
+  });
+
+  test('applyPatch() should go through validation and the budget', () => {
+    const doc = limitedLet({ n: 1 }, 1, { validate: (next) => next.n > 0 || 'n must be positive' });
+    assert.throws(() => doc.applyPatch([{ op: 'replace', path: '/n', value: -1 }]), MutationValidationError);
+
+    doc.applyPatch([{ op: 'replace', path: '/n', value: 2 }]);
+    assert.throws(() => doc.applyPatch([{ op: 'replace', path: '/n', value: 3 }]), MutationLimitExceeded);
+    assert.strictEqual(doc.mutationCount, 1);
+  });
+
+  test('Patches should survive toJSON() and fromJSON()', () => {
+    const doc = limitedLet({ title: 'a' }, 3);
+    doc.value.title = 'b';
+    const restored = LimitedVariable.fromJSON(JSON.parse(JSON.stringify(doc)));
+    assert.deepStrictEqual(restored.history[1].patch, [{ op: 'replace', path: '/title', value: 'b' }]);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`JSON Patch Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runJsonPatchTests();
+}
+
+module.exports = { runJsonPatchTests };
@@ -1,4 +1,4 @@
-const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('../index');
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
 const assert = require('assert');
 
 function runTests() {
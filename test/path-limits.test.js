@@ -0,0 +1,220 @@
+const { limitedLet, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runPathLimitTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function createConfig(options = {}) {
+    return limitedLet({
+      profile: { name: 'Ada', email: 'ada@example.com' },
+      preferences: { theme: 'light', language: 'en' },
+      tags: ['admin']
+    }, 10, {
+      pathLimits: { 'profile.name': 1, 'preferences.*': 2, 'tags[]': 3 },
+      ...options
+    });
+  }
+
+  console.log('Running per-path budget tests...\n');
+
+  // === MATCHING ===
+
+  test('Exact path budgets should limit writes to that path', () => {
+    const config = createConfig();
+    config.value.profile.name = 'Grace';
+
+    assert.throws(() => { config.value.profile.name = 'Linus'; }, MutationLimitExceeded);
+  });
+
+  test('Other paths should only draw from the global budget', () => {
+    const config = createConfig();
+    config.value.profile.name = 'Grace';
+    config.value.profile.email = 'grace@example.com';
+    config.value.profile.email = 'g@example.com';
+
+    assert.strictEqual(config.mutationCount, 3);
+    assert.strictEqual(config.remainingAt('profile.email'), 7);
+  });
+
+  test('Wildcard budgets should be shared by every matching key', () => {
+    const config = createConfig({ strictMode: false });
+    config.value.preferences.theme = 'dark';
+    config.value.preferences.language = 'fr';
+    config.value.preferences.theme = 'blue';
+
+    assert.strictEqual(config.mutationCount, 2);
+    assert.strictEqual(config.violationCount, 1);
+  });
+
+  test('Array element budgets should cover index writes and array methods', () => {
+    const config = createConfig({ strictMode: false });
+    config.value.tags.push('editor');
+    config.value.tags[0] = 'owner';
+    config.value.tags.pop();
+    assert.strictEqual(config.remainingAt('tags.0'), 0);
+
+    config.value.tags.push('viewer');
+    assert.strictEqual(config.violationCount, 1);
+  });
+
+  test('Replacing a whole array should count against its element budget only if elements change', () => {
+    const config = createConfig();
+    config.value.tags = ['admin'];
+    assert.strictEqual(config.remainingAt('tags.0'), 3);
+
+    config.value.tags = ['a', 'b'];
+    assert.strictEqual(config.remainingAt('tags.0'), 2);
+  });
+
+  test('Replacing a parent object should be charged to the budgets it changes below', () => {
+    const config = createConfig();
+    config.value.profile = { ...config.value.profile, name: 'Grace' };
+    assert.strictEqual(config.remainingAt('profile.name'), 0);
+
+    assert.throws(() => { config.value.profile = { ...config.value.profile, name: 'Linus' }; }, /path budget 'profile\.name': 0 of 1/);
+    assert.strictEqual(config.violationCount, 1);
+  });
+
+  test('Replacing a parent object without touching a limited path should not charge it', () => {
+    const config = createConfig();
+    config.value.profile = { ...config.value.profile, email: 'ada@example.org' };
+    config.value.preferences = { theme: 'light', language: 'en' };
+    assert.strictEqual(config.remainingAt('profile.name'), 1);
+    assert.strictEqual(config.remainingAt('preferences.theme'), 2);
+  });
+
+  test('Top-level assignments should be charged to the budgets they change', () => {
+    let attempt = null;
+    const config = createConfig({ strictMode: false, onLimitExceeded: (a) => { attempt = a; } });
+    const next = (name) => ({ ...config.value, profile: { ...config.value.profile, name } });
+    config.value = next('Grace');
+    assert.strictEqual(config.mutationCount, 1);
+    assert.strictEqual(config.remainingAt('profile.name'), 0);
+
+    config.value = next('Linus');
+    assert.strictEqual(config.violationCount, 1);
+    assert.strictEqual(attempt.pathBudget.pattern, 'profile.name');
+  });
+
+  test('Transactions replacing a parent object should be charged to the budgets below it', () => {
+    const config = createConfig();
+    config.transaction(draft => { draft.profile = { name: 'Grace', email: 'grace@example.com' }; });
+    assert.strictEqual(config.remainingAt('profile.name'), 0);
+
+    assert.throws(() => {
+      config.transaction(draft => { draft.profile = { name: 'Linus' }; });
+    }, /path budget 'profile\.name'/);
+    assert.strictEqual(config.mutationCount, 1);
+  });
+
+  test('Patterns should cover paths nested below them', () => {
+    const settings = limitedLet({ profile: { address: { city: 'Paris' } } }, 10, {
+      pathLimits: { profile: 1 }
+    });
+    settings.value.profile.address.city = 'Rome';
+    assert.strictEqual(settings.remainingAt('profile.address.city'), 0);
+    assert.throws(() => { settings.value.profile.address.city = 'Oslo'; }, MutationLimitExceeded);
+  });
+
+  // === INTROSPECTION & ERRORS ===
+
+  test('remainingAt() should never exceed the global budget', () => {
+    const config = limitedLet({ a: 1, b: 1 }, 2, { pathLimits: { a: 5 } });
+    config.value.b = 2;
+    assert.strictEqual(config.remainingAt('a'), 1);
+    assert.strictEqual(config.remainingAt(['a']), 1);
+  });
+
+  test('Path violations should report both the path and global budgets', () => {
+    const config = createConfig();
+    config.value.profile.name = 'Grace';
+
+    try {
+      config.value.profile.name = 'Linus';
+      assert.fail('Expected MutationLimitExceeded');
+    } catch (error) {
+      assert.ok(error.message.includes("path budget 'profile.name': 0 of 1 remaining"));
+      assert.ok(error.message.includes('global budget: 9 of 10 remaining'));
+      assert.deepStrictEqual(error.context.pathBudget, {
+        pattern: 'profile.name',
+        maxMutations: 1,
+        currentMutations: 1,
+        remaining: 0
+      });
+      assert.strictEqual(error.context.maxMutations, 10);
+      assert.strictEqual(error.context.currentMutations, 1);
+    }
+  });
+
+  test('onLimitExceeded should receive the path budget', () => {
+    let attempt = null;
+    const config = createConfig({ strictMode: false, onLimitExceeded: (a) => { attempt = a; } });
+    config.value.profile.name = 'Grace';
+    config.value.profile.name = 'Linus';
+
+    assert.strictEqual(attempt.mutationPath, 'profile.name');
+    assert.strictEqual(attempt.pathBudget.pattern, 'profile.name');
+  });
+
+  test('Global violations should still mention the matching path budget', () => {
+    const config = limitedLet({ a: 1 }, 1, { pathLimits: { a: 5 }, autoFreeze: false });
+    config.value.a = 2;
+    assert.throws(() => { config.value.a = 3; }, /^MutationLimitExceeded: Mutation limit exceeded at path: a/);
+  });
+
+  // === LIFECYCLE ===
+
+  test('reset() should clear path budgets', () => {
+    const config = createConfig({ allowReset: true });
+    config.value.profile.name = 'Grace';
+    config.reset();
+    config.value.profile.name = 'Linus';
+    assert.strictEqual(config.value.profile.name, 'Linus');
+  });
+
+  test('Path counts should survive a snapshot round trip', () => {
+    const config = createConfig();
+    config.value.preferences.theme = 'dark';
+
+    const snapshot = JSON.parse(JSON.stringify(config));
+    assert.deepStrictEqual(snapshot.pathCounts, { 'profile.name': 0, 'preferences.*': 1, 'tags[]': 0 });
+
+    const restored = limitedLet.restore(snapshot, { pathLimits: { 'preferences.*': 2 } });
+    assert.strictEqual(restored.remainingAt('preferences.language'), 1);
+  });
+
+  test('Invalid pathLimits should throw', () => {
+    assert.throws(() => limitedLet({}, 1, { pathLimits: ['a'] }), TypeError);
+    assert.throws(() => limitedLet({}, 1, { pathLimits: { a: -1 } }), /non-negative integer/);
+    assert.throws(() => limitedLet({}, 1, { pathLimits: { '': 1 } }), /non-empty/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Per-Path Budget Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runPathLimitTests();
+}
+
+module.exports = { runPathLimitTests };
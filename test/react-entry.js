@@ -0,0 +1,19 @@
+/**
+ * React binding under test, switched alongside ./entry by run-all-tests.js:
+ * react.js (require) or react.mjs (import). Run on their own, suites test
+ * the CommonJS build.
+ */
+let entry = require('../react');
+
+function useEntry(mod) {
+  entry = mod;
+}
+
+module.exports = new Proxy({}, {
+  get(target, prop) {
+    if (prop === 'useEntry') {
+      return useEntry;
+    }
+    return entry[prop];
+  }
+});
@@ -0,0 +1,259 @@
+const { limitedLet, MutationLimitExceeded } = require('./entry');
+const { useLimitedLet, useLimitedVariable } = require('./react-entry');
+const React = require('react');
+const { act, create } = require('react-test-renderer');
+const assert = require('assert');
+
+async function runReactTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(description, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Tells React that updates are wrapped in act()
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  function render(element) {
+    let root;
+    act(() => {
+      root = create(element);
+    });
+    return root;
+  }
+
+  // Renders a hook inside a component and exposes its latest result
+  function renderHook(useHook, { strict = false, props = {} } = {}) {
+    const result = { current: null, renders: 0 };
+    function Probe(probeProps) {
+      result.current = useHook(probeProps);
+      result.renders++;
+      return null;
+    }
+    const wrap = (nextProps) => {
+      const element = React.createElement(Probe, nextProps);
+      return strict ? React.createElement(React.StrictMode, null, element) : element;
+    };
+    result.root = render(wrap(props));
+    result.rerender = (nextProps) => act(() => result.root.update(wrap(nextProps)));
+    return result;
+  }
+
+  console.log('Running React binding tests...\n');
+
+  // === useLimitedLet ===
+
+  await test('useLimitedLet() should expose value and budget', () => {
+    const hook = renderHook(() => useLimitedLet('idle', 3));
+    assert.strictEqual(hook.current.value, 'idle');
+    assert.strictEqual(hook.current.remaining, 3);
+    assert.strictEqual(hook.current.isFrozen, false);
+  });
+
+  await test('setValue() should re-render with the new state', () => {
+    const hook = renderHook(() => useLimitedLet(0, 2));
+    act(() => hook.current.setValue(1));
+    assert.strictEqual(hook.current.value, 1);
+    assert.strictEqual(hook.current.remaining, 1);
+
+    act(() => hook.current.setValue(2));
+    assert.strictEqual(hook.current.isFrozen, true);
+    assert.strictEqual(hook.current.isDepleted, true);
+  });
+
+  await test('StrictMode should not create a second variable or spend budget twice', () => {
+    const hook = renderHook(() => useLimitedLet(0, 3), { strict: true });
+    const variable = hook.current.variable;
+
+    act(() => hook.current.setValue(1));
+    assert.strictEqual(hook.current.variable, variable);
+    assert.strictEqual(hook.current.mutationCount, 1);
+    assert.strictEqual(hook.current.remaining, 2);
+  });
+
+  await test('Deep mutations should re-render', () => {
+    const hook = renderHook(() => useLimitedLet({ theme: 'light' }, 3));
+    const renders = hook.renders;
+
+    act(() => { hook.current.value.theme = 'dark'; });
+    assert.ok(hook.renders > renders);
+    assert.strictEqual(hook.current.remaining, 2);
+    assert.strictEqual(hook.current.value.theme, 'dark');
+  });
+
+  await test('Non-strict violations should update violationCount', () => {
+    const hook = renderHook(() => useLimitedLet(0, 1, { strictMode: false }));
+    act(() => hook.current.setValue(1));
+    act(() => hook.current.setValue(2));
+    assert.strictEqual(hook.current.violationCount, 1);
+  });
+
+  await test('Strict-mode violations should render isViolated instead of throwing', () => {
+    const hook = renderHook(() => useLimitedLet(0, 1, { allowReset: true }));
+    act(() => hook.current.setValue(1));
+    act(() => {
+      assert.throws(() => hook.current.setValue(2), MutationLimitExceeded);
+    });
+
+    assert.strictEqual(hook.current.isViolated, true);
+    assert.strictEqual(hook.current.value, 1);
+    assert.strictEqual(hook.current.isFrozen, true);
+
+    act(() => hook.current.reset());
+    assert.strictEqual(hook.current.isViolated, false);
+    assert.strictEqual(hook.current.value, 1);
+  });
+
+  await test('freeze() and reset() should re-render', () => {
+    const hook = renderHook(() => useLimitedLet(0, 3, { allowReset: true }));
+    act(() => hook.current.setValue(1));
+
+    act(() => hook.current.freeze());
+    assert.strictEqual(hook.current.isFrozen, true);
+    act(() => hook.current.reset());
+    assert.strictEqual(hook.current.isFrozen, false);
+    assert.strictEqual(hook.current.remaining, 3);
+  });
+
+  await test('freeze({ unlockable }) and unfreeze(key) should re-render', () => {
+    const hook = renderHook(() => useLimitedLet(0, 3));
+    let key;
+    act(() => { key = hook.current.freeze({ unlockable: true }); });
+    assert.strictEqual(hook.current.isFrozen, true);
+
+    act(() => hook.current.unfreeze(key, { by: 'admin' }));
+    assert.strictEqual(hook.current.isFrozen, false);
+  });
+
+  await test('Option callbacks should come from the latest render', () => {
+    const calls = [];
+    const hook = renderHook(
+      ({ label }) => useLimitedLet(0, 3, { onMutate: () => calls.push(label) }),
+      { props: { label: 'first' } }
+    );
+
+    hook.rerender({ label: 'second' });
+    act(() => hook.current.setValue(1));
+    assert.deepStrictEqual(calls, ['second']);
+  });
+
+  await test('Action helpers should keep their identity across renders', () => {
+    const hook = renderHook(() => useLimitedLet(0, 3));
+    const { setValue, freeze } = hook.current;
+    act(() => setValue(1));
+    assert.strictEqual(hook.current.setValue, setValue);
+    assert.strictEqual(hook.current.freeze, freeze);
+  });
+
+  // === useLimitedVariable ===
+
+  await test('useLimitedVariable() should share one variable between components', () => {
+    const shared = limitedLet('a', 3);
+    const first = renderHook(() => useLimitedVariable(shared));
+    const second = renderHook(() => useLimitedVariable(shared));
+
+    act(() => { shared.value = 'b'; });
+    assert.strictEqual(first.current.value, 'b');
+    assert.strictEqual(second.current.remaining, 2);
+  });
+
+  await test('Unmounted components should stop listening', () => {
+    const shared = limitedLet(0, 3);
+    const hook = renderHook(() => useLimitedVariable(shared));
+    act(() => hook.root.unmount());
+
+    const renders = hook.renders;
+    act(() => { shared.value = 1; });
+    assert.strictEqual(hook.renders, renders);
+  });
+
+  await test('Rendering should not record an expiry or emit events', () => {
+    const clock = { time: 1000, now() { return this.time; } };
+    const shared = limitedLet(0, 3, { ttl: 50, clock, trackHistory: true });
+    const events = [];
+    shared.subscribe((event, type) => events.push(type));
+    clock.time = 2000;
+
+    const hook = renderHook(() => useLimitedVariable(shared));
+    assert.strictEqual(hook.current.isFrozen, true);
+    assert.deepStrictEqual(events, []);
+    assert.ok(!shared.history.slice(0, -1).some(entry => entry.type === 'expired'));
+  });
+
+  await test('Strict-mode window breaches should render without lifting the block', () => {
+    const clock = { time: 1000, now() { return this.time; } };
+    const shared = limitedLet(0, 1, { window: { size: 100 }, clock });
+    shared.value = 1;
+    assert.throws(() => { shared.value = 2; }, MutationLimitExceeded);
+    clock.time = 1200;
+
+    const hook = renderHook(() => useLimitedVariable(shared));
+    assert.strictEqual(hook.current.isViolated, false);
+    assert.strictEqual(hook.current.remaining, 1);
+    assert.strictEqual(hook.current.value, 1);
+  });
+
+  await test('Expiry should re-render from a timer without any access', async () => {
+    const hook = renderHook(() => useLimitedLet(0, 3, { ttl: 20 }));
+    assert.strictEqual(hook.current.isFrozen, false);
+
+    await act(async () => {
+      await sleep(50);
+    });
+    assert.strictEqual(hook.current.isFrozen, true);
+  });
+
+  await test('Window refills should re-render from a timer', async () => {
+    const hook = renderHook(() => useLimitedLet(0, 1, { window: { size: 20 } }));
+    act(() => hook.current.setValue(1));
+    assert.strictEqual(hook.current.remaining, 0);
+    assert.strictEqual(hook.current.isDepleted, true);
+
+    await act(async () => {
+      await sleep(50);
+    });
+    assert.strictEqual(hook.current.remaining, 1);
+    assert.strictEqual(hook.current.isDepleted, false);
+  });
+
+  await test('reserve() and cancel() should re-render', () => {
+    const hook = renderHook(() => useLimitedLet(0, 3));
+    let reservation;
+    act(() => { reservation = hook.current.variable.reserve(2); });
+    assert.strictEqual(hook.current.remaining, 1);
+
+    act(() => reservation.cancel());
+    assert.strictEqual(hook.current.remaining, 3);
+  });
+
+  await test('useLimitedVariable() should reject non-variables', () => {
+    assert.throws(() => useLimitedVariable({}), /expects a variable created by limitedLet/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`React Binding Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runReactTests();
+}
+
+module.exports = { runReactTests };
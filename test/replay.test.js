@@ -0,0 +1,235 @@
+const { limitedLet, LimitedVariable } = require('./entry');
+const assert = require('assert');
+
+function runReplayTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Records with copies, so the initial entry still holds the starting value
+  const record = (initial, maxMutations, options = {}) =>
+    limitedLet(initial, maxMutations, { historySnapshot: 'structuredClone', ...options });
+
+  console.log('Running replay tests...\n');
+
+  // === MATCHING REPLAYS ===
+
+  test('replay() should rebuild the same value and counts', () => {
+    const counter = record(0, 5);
+    counter.value = 1;
+    counter.value = 2;
+
+    const { variable, replayed, divergence } = LimitedVariable.replay(counter.history, { maxMutations: 5 });
+    assert.strictEqual(divergence, null);
+    assert.strictEqual(replayed, 3);
+    assert.strictEqual(variable.value, 2);
+    assert.strictEqual(variable.mutationCount, 2);
+    assert.ok(variable instanceof LimitedVariable);
+  });
+
+  test('Deep mutations should go through the deep-tracking proxies', () => {
+    const doc = record({ title: 'a', tags: ['x'], 'a.b': 1, users: new Map([['ada', { score: 1 }]]), ids: new Set([1]) }, 10);
+    doc.value.title = 'b';
+    doc.value.tags.push('y', 'z');
+    doc.value['a.b'] = 2;
+    doc.value.users.get('ada').score = 2;
+    doc.value.ids.add(2);
+    delete doc.value.title;
+
+    const { variable, divergence } = LimitedVariable.replay(doc.history, { maxMutations: 10 });
+    assert.strictEqual(divergence, null);
+    assert.deepStrictEqual(variable.value.tags, ['x', 'y', 'z']);
+    assert.strictEqual(variable.value['a.b'], 2);
+    assert.strictEqual(variable.value.users.get('ada').score, 2);
+    assert.deepStrictEqual([...variable.value.ids], [1, 2]);
+    assert.strictEqual('title' in variable.value, false);
+    assert.deepStrictEqual(variable.history.map(entry => entry.mutationPath), doc.history.map(entry => entry.mutationPath));
+  });
+
+  test('Violations and resets should be replayed too', () => {
+    const tracker = record(0, 1, { strictMode: false, allowReset: true });
+    tracker.value = 1;
+    tracker.value = 2;
+    tracker.reset();
+    tracker.value = 3;
+
+    const { variable, divergence } = LimitedVariable.replay(tracker.history, { maxMutations: 1, strictMode: false, allowReset: true });
+    assert.strictEqual(divergence, null);
+    assert.deepStrictEqual(variable.history.map(entry => entry.type), ['initial', 'mutation', 'violation', 'reset', 'mutation']);
+  });
+
+  test('Callbacks should fire while replaying', () => {
+    const counter = record(0, 3);
+    counter.value = 1;
+    counter.value = 2;
+
+    const seen = [];
+    LimitedVariable.replay(counter.history, { maxMutations: 3, onMutate: (event) => seen.push(event.newValue) });
+    assert.deepStrictEqual(seen, [1, 2]);
+  });
+
+  test('Replayed entries should keep the recorded timestamps', () => {
+    const counter = record(0, 3);
+    counter.value = 1;
+
+    const { variable } = LimitedVariable.replay(counter.history, { maxMutations: 3 });
+    assert.strictEqual(variable.expiresAt, null);
+    const ttl = LimitedVariable.replay(counter.history, { maxMutations: 3, ttl: 1000 });
+    assert.strictEqual(ttl.variable.expiresAt, counter.history[0].timestamp + 1000);
+  });
+
+  test('Exported logs should replay like the history they came from', () => {
+    const doc = record({ total: 0n }, 5);
+    doc.value.total = 10n;
+    doc.value.total = 25n;
+
+    const { variable, divergence } = LimitedVariable.replay(doc.exportHistory({ format: 'csv' }), { maxMutations: 5, format: 'csv' });
+    assert.strictEqual(divergence, null);
+    assert.strictEqual(variable.value.total, 25n);
+  });
+
+  // === DIVERGENCE ===
+
+  test('A smaller budget should diverge at the first extra mutation', () => {
+    const tracker = record(0, 5, { strictMode: false });
+    for (let i = 1; i <= 4; i++) {
+      tracker.value = i;
+    }
+
+    const lenient = LimitedVariable.replay(tracker.history, { maxMutations: 2, strictMode: false });
+    assert.strictEqual(lenient.replayed, 3);
+    assert.strictEqual(lenient.divergence.index, 3);
+    assert.strictEqual(lenient.divergence.reason, 'type');
+    assert.strictEqual(lenient.divergence.actual.type, 'violation');
+    assert.strictEqual(lenient.divergence.expected, tracker.history[3]);
+    assert.match(lenient.divergence.message, /History entry 3: expected a 'mutation' entry but the replay recorded 'violation'/);
+
+    const strict = LimitedVariable.replay(tracker.history, { maxMutations: 2 });
+    assert.strictEqual(strict.divergence.reason, 'frozen');
+    assert.strictEqual(strict.variable.value, 2);
+  });
+
+  test('A changed validator should diverge with the thrown error', () => {
+    const form = record({ age: 30 }, 5);
+    form.value.age = -1;
+
+    const { divergence } = LimitedVariable.replay(form.history, {
+      maxMutations: 5,
+      validate: (value) => value >= 0 || 'age must not be negative'
+    });
+    assert.strictEqual(divergence.reason, 'error');
+    assert.strictEqual(divergence.error.name, 'MutationValidationError');
+    assert.match(divergence.message, /the replay threw MutationValidationError/);
+  });
+
+  test('Different costs or equality settings should diverge', () => {
+    const doc = record({ a: 0 }, 10, { cost: () => 2 });
+    doc.value.a = 1;
+    doc.value.a = 2;
+    doc.value.a = 3;
+
+    const costly = LimitedVariable.replay(doc.history, { maxMutations: 10, cost: () => 4 });
+    assert.strictEqual(costly.divergence.index, 3);
+    assert.strictEqual(costly.divergence.reason, 'error');
+    assert.strictEqual(costly.divergence.error.name, 'MutationLimitExceeded');
+
+    const counted = record(0, 5, { strictMode: false, equals: 'strict', recordNoops: true });
+    counted.value = 1;
+    counted.value = 1;
+    const replay = LimitedVariable.replay(counted.history, { maxMutations: 5, strictMode: false });
+    assert.strictEqual(replay.divergence.reason, 'type');
+    assert.strictEqual(replay.divergence.actual.type, 'mutation');
+  });
+
+  test('A recording with other counts should diverge on the mutation count', () => {
+    const counter = record(0, 5);
+    counter.value = 1;
+    counter.value = 2;
+    const tampered = counter.history.map((entry, index) => (index === 2 ? { ...entry, mutation: 7 } : entry));
+
+    const { divergence } = LimitedVariable.replay(tampered, { maxMutations: 5 });
+    assert.strictEqual(divergence.index, 2);
+    assert.strictEqual(divergence.reason, 'mutation-count');
+    assert.match(divergence.message, /expected mutation count 7 but the replay is at 2/);
+  });
+
+  test('A different starting value should diverge on the patch', () => {
+    const list = record([1], 5);
+    list.value.push(2);
+    list.value.push(3);
+    const tampered = list.history.map((entry, index) => (index === 0 ? { ...entry, value: [1, 9] } : entry));
+
+    const { replayed, divergence } = LimitedVariable.replay(tampered, { maxMutations: 5 });
+    assert.strictEqual(replayed, 1);
+    assert.strictEqual(divergence.reason, 'value');
+    assert.match(divergence.message, /History entry 1: the replay produced a different patch than the recording/);
+    assert.deepStrictEqual(divergence.actual.patch, [{ op: 'add', path: '/2', value: 2 }]);
+  });
+
+  test('Entries without a patch should be compared by value', () => {
+    const tracker = record({ n: 0 }, 1, { strictMode: false });
+    tracker.value = { n: 1 };
+    tracker.value = { n: 2 };
+    assert.strictEqual(tracker.history[2].type, 'violation');
+    const tampered = tracker.history.map((entry, index) => (index === 2 ? { ...entry, previousValue: { n: 5 } } : entry));
+
+    const { divergence } = LimitedVariable.replay(tampered, { maxMutations: 1, strictMode: false });
+    assert.strictEqual(divergence.index, 2);
+    assert.strictEqual(divergence.reason, 'value');
+    assert.match(divergence.message, /a different previousValue than the recording/);
+  });
+
+  test('Histories recorded by reference should be refused', () => {
+    const list = limitedLet([1], 5);
+    list.value.push({ a: 1 });
+    list.value[1].a = 2;
+
+    assert.throws(() => LimitedVariable.replay(list.history, { maxMutations: 5 }), /recorded with historySnapshot: 'reference'/);
+    const counter = limitedLet(0, 5);
+    counter.value = 1;
+    assert.strictEqual(LimitedVariable.replay(counter.history, { maxMutations: 5 }).divergence, null);
+  });
+
+  test('Entries that cannot be replayed should stop the replay', () => {
+    const doc = record({ a: 0 }, 5);
+    doc.value.a = 1;
+    doc.undo();
+
+    const { replayed, divergence } = LimitedVariable.replay(doc.history, { maxMutations: 5 });
+    assert.strictEqual(replayed, 2);
+    assert.strictEqual(divergence.reason, 'unsupported');
+    assert.match(divergence.message, /'undo' entries cannot be replayed/);
+  });
+
+  test('Invalid input should throw', () => {
+    assert.throws(() => LimitedVariable.replay([], { maxMutations: 1 }), /starts with an 'initial' entry/);
+    assert.throws(() => LimitedVariable.replay(record(0, 1).history), /needs the maxMutations/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Replay Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runReplayTests();
+}
+
+module.exports = { runReplayTests };
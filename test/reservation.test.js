@@ -0,0 +1,185 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded, MutationValidationError } = require('./entry');
+const assert = require('assert');
+
+async function runReservationTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(description, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // A promise plus the functions that settle it, for controlling completion order
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  console.log('Running reservation tests...\n');
+
+  // === RESERVE / COMMIT / CANCEL ===
+
+  await test('reserve() should hold mutations out of remaining', () => {
+    const quota = limitedLet(0, 3);
+    const reservation = quota.reserve(2);
+
+    assert.strictEqual(quota.remaining, 1);
+    assert.strictEqual(reservation.remaining, 2);
+    assert.strictEqual(quota.mutationCount, 0);
+  });
+
+  await test('commit() should spend one reserved mutation', () => {
+    const quota = limitedLet(0, 3);
+    const reservation = quota.reserve(2);
+    reservation.commit(1);
+
+    assert.strictEqual(quota.value, 1);
+    assert.strictEqual(quota.mutationCount, 1);
+    assert.strictEqual(reservation.remaining, 1);
+    assert.strictEqual(quota.remaining, 1);
+  });
+
+  await test('cancel() should give unspent mutations back', () => {
+    const quota = limitedLet(0, 3);
+    const reservation = quota.reserve(3);
+    reservation.commit(1);
+    reservation.cancel();
+    reservation.cancel();
+
+    assert.strictEqual(quota.remaining, 2);
+    assert.throws(() => reservation.commit(2), /no mutations left/);
+  });
+
+  await test('Reserved mutations should not be available to plain assignments', () => {
+    const quota = limitedLet(0, 2, { autoFreeze: false });
+    quota.reserve(1);
+    quota.value = 1;
+
+    assert.throws(() => { quota.value = 2; }, /\(1 reserved\)/);
+  });
+
+  await test('reserve() should refuse more than the budget can cover', () => {
+    const quota = limitedLet(0, 2);
+    quota.reserve(1);
+
+    try {
+      quota.reserve(2);
+      assert.fail('Expected MutationLimitExceeded');
+    } catch (error) {
+      assert.ok(error instanceof MutationLimitExceeded);
+      assert.strictEqual(error.context.reserved, 1);
+    }
+    assert.strictEqual(quota.violationCount, 0);
+    assert.throws(() => quota.reserve(0), TypeError);
+  });
+
+  await test('Committing the last reservation should auto-freeze', () => {
+    const quota = limitedLet(0, 2);
+    const first = quota.reserve(1);
+    const second = quota.reserve(1);
+
+    first.commit(1);
+    assert.strictEqual(quota.isFrozen(), false);
+    second.commit(2);
+    assert.strictEqual(quota.isFrozen(), true);
+    assert.throws(() => quota.reserve(1), /frozen/);
+  });
+
+  await test('Reservations should count against time windows', () => {
+    const quota = limitedLet(0, 2, { window: { size: 1000 } });
+    quota.reserve(1);
+    quota.value = 1;
+    assert.strictEqual(quota.remaining, 0);
+    assert.throws(() => { quota.value = 2; }, MutationLimitExceeded);
+  });
+
+  await test('toJSON() should report reserved mutations', () => {
+    const quota = limitedLet(0, 3);
+    quota.reserve(2);
+
+    const snapshot = JSON.parse(JSON.stringify(quota));
+    assert.strictEqual(snapshot.reserved, 2);
+    assert.strictEqual(snapshot.remaining, 1);
+
+    // Reservations do not survive a restore
+    const restored = LimitedVariable.fromJSON(snapshot);
+    assert.strictEqual(restored.remaining, 3);
+  });
+
+  // === setAsync ===
+
+  await test('setAsync() should assign the resolved value', async () => {
+    const user = limitedLet(null, 2);
+    const result = await user.setAsync(Promise.resolve({ name: 'Ada' }));
+
+    assert.deepStrictEqual(user.value, { name: 'Ada' });
+    assert.strictEqual(result, user.value);
+    assert.strictEqual(user.mutationCount, 1);
+  });
+
+  await test('setAsync() should accept a function returning a promise', async () => {
+    const user = limitedLet(null, 2);
+    await user.setAsync(async () => 'loaded');
+    assert.strictEqual(user.value, 'loaded');
+  });
+
+  await test('setAsync() should release the reservation when the promise rejects', async () => {
+    const user = limitedLet(null, 1);
+    await assert.rejects(user.setAsync(Promise.reject(new Error('network down'))), /network down/);
+
+    assert.strictEqual(user.remaining, 1);
+    assert.strictEqual(user.mutationCount, 0);
+  });
+
+  await test('Concurrent setAsync() calls should not overspend', async () => {
+    const user = limitedLet(null, 1);
+    const slow = deferred();
+    let started = 0;
+
+    const first = user.setAsync(() => { started++; return slow.promise; });
+    const second = user.setAsync(() => { started++; return 'second'; });
+
+    assert.strictEqual(user.remaining, 0);
+    await assert.rejects(second, MutationLimitExceeded);
+    assert.strictEqual(started, 1);
+
+    slow.resolve('first');
+    await first;
+    assert.strictEqual(user.value, 'first');
+  });
+
+  await test('setAsync() should reject values that fail validation', async () => {
+    const count = limitedLet(1, 2, { validate: (value) => value > 0 || 'must be positive' });
+    await assert.rejects(count.setAsync(Promise.resolve(-1)), MutationValidationError);
+    assert.strictEqual(count.remaining, 2);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Reservation Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runReservationTests();
+}
+
+module.exports = { runReservationTests };
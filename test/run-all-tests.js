@@ -1,7 +1,52 @@
-const { runTests } = require('./limitedLet.test.js');
-const { runDeepMutationTests } = require('./deep-mutation-tracking.test.js');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const entry = require('./entry');
+const reactEntry = require('./react-entry');
+
+// Each suite file exports a runner function; suites are re-required per entry
+// point so their top-level imports pick up the build under test
+const suites = [
+  { name: 'Core Functionality Tests', label: 'core functionality', file: './limitedLet.test.js', run: 'runTests' },
+  { name: 'Deep Mutation Tracking Tests', label: 'deep mutation tracking', file: './deep-mutation-tracking.test.js', run: 'runDeepMutationTests' },
+  { name: 'Time Window Quota Tests', label: 'time window quota', file: './time-window.test.js', run: 'runTimeWindowTests' },
+  { name: 'Undo/Redo Tests', label: 'undo/redo', file: './undo-redo.test.js', run: 'runUndoRedoTests' },
+  { name: 'Snapshot Hydration Tests', label: 'snapshot hydration', file: './snapshot.test.js', run: 'runSnapshotTests' },
+  { name: 'Storage Adapter Tests', label: 'storage adapter', file: './storage.test.js', run: 'runStorageTests' },
+  { name: 'Per-Path Budget Tests', label: 'per-path budget', file: './path-limits.test.js', run: 'runPathLimitTests' },
+  { name: 'Validation Tests', label: 'validation', file: './validation.test.js', run: 'runValidationTests' },
+  { name: 'Transaction Tests', label: 'transaction', file: './transaction.test.js', run: 'runTransactionTests' },
+  { name: 'Reservation Tests', label: 'reservation', file: './reservation.test.js', run: 'runReservationTests' },
+  { name: 'Subscribe API Tests', label: 'subscribe API', file: './subscribe.test.js', run: 'runSubscribeTests' },
+  { name: 'No-op Equality Tests', label: 'no-op equality', file: './equals.test.js', run: 'runEqualsTests' },
+  { name: 'Weighted Cost Tests', label: 'weighted cost', file: './cost.test.js', run: 'runCostTests' },
+  { name: 'Expiry Tests', label: 'expiry', file: './expiry.test.js', run: 'runExpiryTests' },
+  { name: 'Unlock Key Tests', label: 'unlock key', file: './unlock.test.js', run: 'runUnlockTests' },
+  { name: 'Grant/Revoke Tests', label: 'grant/revoke', file: './grant.test.js', run: 'runGrantTests' },
+  { name: 'History Snapshot Tests', label: 'history snapshot', file: './history-snapshot.test.js', run: 'runHistorySnapshotTests' },
+  { name: 'History Retention Tests', label: 'history retention', file: './history-retention.test.js', run: 'runHistoryRetentionTests' },
+  { name: 'JSON Patch Tests', label: 'JSON patch', file: './json-patch.test.js', run: 'runJsonPatchTests' },
+  { name: 'History Export Tests', label: 'history export', file: './history-export.test.js', run: 'runHistoryExportTests' },
+  { name: 'Replay Tests', label: 'replay', file: './replay.test.js', run: 'runReplayTests' },
+  { name: 'Clock Tests', label: 'clock', file: './clock.test.js', run: 'runClockTests' },
+  { name: 'Shared Budget Group Tests', label: 'shared budget group', file: './group.test.js', run: 'runGroupTests' },
+  { name: 'Browser Bundle Tests', label: 'browser bundle', file: './bundle.test.js', run: 'runBundleTests' },
+  { name: 'React Binding Tests', label: 'React binding', file: './react.test.js', run: 'runReactTests' }
+];
+
+// Both published builds must behave identically
+const importFile = (file) => import(pathToFileURL(path.join(__dirname, '..', file)).href);
+const entries = [
+  { name: 'CJS', load: async () => require('../index.js'), loadReact: async () => require('../react.js') },
+  { name: 'ESM', load: () => importFile('index.mjs'), loadReact: () => importFile('react.mjs') }
+];
+
+function loadSuite(file) {
+  const resolved = require.resolve(file);
+  delete require.cache[resolved];
+  return require(resolved);
+}
 
-function runAllTests() {
+async function runAllTests() {
   console.log('🧪 Running comprehensive limitedLet test suite...\n');
 
   let totalPassed = 0;
@@ -17,59 +62,40 @@ function runAllTests() {
   }
 
   try {
-    // Run original test suite
-    console.log('📋 Running core functionality tests...');
-    console.log = captureLog;
-    capturedOutput = [];
-
-    try {
-      const result1 = runTests();
-      suiteResults.push({
-        name: 'Core Functionality Tests',
-        passed: result1?.passed || extractPassedCount(capturedOutput),
-        failed: result1?.failed || 0,
-        output: capturedOutput.slice()
-      });
-    } catch (error) {
-      // If runTests doesn't return results, extract from output
-      const passed = extractPassedCount(capturedOutput);
-      const failed = extractFailedCount(capturedOutput);
-      suiteResults.push({
-        name: 'Core Functionality Tests',
-        passed,
-        failed,
-        output: capturedOutput.slice()
-      });
-    }
-
-    console.log = originalLog;
-
-    // Run deep mutation tracking tests
-    console.log('\n📋 Running deep mutation tracking tests...');
-    console.log = captureLog;
-    capturedOutput = [];
-
-    try {
-      const result3 = runDeepMutationTests();
-      suiteResults.push({
-        name: 'Deep Mutation Tracking Tests',
-        passed: result3?.passed || extractPassedCount(capturedOutput),
-        failed: result3?.failed || 0,
-        output: capturedOutput.slice()
-      });
-    } catch (error) {
-      const passed = extractPassedCount(capturedOutput);
-      const failed = extractFailedCount(capturedOutput);
-      suiteResults.push({
-        name: 'Deep Mutation Tracking Tests',
-        passed,
-        failed,
-        output: capturedOutput.slice()
-      });
+    for (const build of entries) {
+      entry.useEntry(await build.load());
+      reactEntry.useEntry(await build.loadReact());
+
+      for (const suite of suites) {
+        console.log(`\n📋 Running ${suite.label} tests (${build.name})...`);
+        console.log = captureLog;
+        capturedOutput = [];
+        const name = `${suite.name} (${build.name})`;
+
+        try {
+          // Suites with async tests return a promise of their results
+          const result = await loadSuite(suite.file)[suite.run]();
+          suiteResults.push({
+            name,
+            passed: result?.passed || extractPassedCount(capturedOutput),
+            failed: result?.failed || 0,
+            output: capturedOutput.slice()
+          });
+        } catch (error) {
+          // If the suite doesn't return results, extract from output
+          const passed = extractPassedCount(capturedOutput);
+          const failed = extractFailedCount(capturedOutput);
+          suiteResults.push({
+            name,
+            passed,
+            failed,
+            output: capturedOutput.slice()
+          });
+        }
+
+        console.log = originalLog;
+      }
     }
-
-    console.log = originalLog;
-
   } catch (error) {
     console.log = originalLog;
     console.error('Error running test suites:', error);
@@ -0,0 +1,235 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runSnapshotTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Round-trips through a JSON string, as a real persistence layer would
+  function roundTrip(variable) {
+    return JSON.parse(JSON.stringify(variable.toJSON()));
+  }
+
+  console.log('Running snapshot hydration tests...\n');
+
+  // === ROUND TRIPS ===
+
+  test('fromJSON() should restore value and counts', () => {
+    const original = limitedLet('a', 3);
+    original.value = 'b';
+
+    const restored = LimitedVariable.fromJSON(roundTrip(original));
+    assert.ok(restored instanceof LimitedVariable);
+    assert.strictEqual(restored.value, 'b');
+    assert.strictEqual(restored.mutationCount, 1);
+    assert.strictEqual(restored.remaining, 2);
+    assert.strictEqual(restored.maxMutations, 3);
+  });
+
+  test('limitedLet.restore() should return a proxied variable', () => {
+    const original = limitedLet(10, 2);
+    original.value = 20;
+
+    const restored = limitedLet.restore(roundTrip(original));
+    assert.strictEqual(restored.value + 1, 21);
+    restored.value = 30;
+    assert.throws(() => { restored.value = 40; }, MutationLimitExceeded);
+  });
+
+  test('fromJSON() should accept a JSON string', () => {
+    const original = limitedLet('a', 2);
+    original.value = 'b';
+
+    const restored = LimitedVariable.fromJSON(JSON.stringify(original));
+    assert.strictEqual(restored.value, 'b');
+  });
+
+  test('An undefined value should survive a round trip', () => {
+    const original = limitedLet('a', 3);
+    original.value = undefined;
+
+    const snapshot = roundTrip(original);
+    assert.strictEqual('value' in snapshot, false);
+    const restored = LimitedVariable.fromJSON(snapshot);
+    assert.strictEqual(restored.value, undefined);
+    assert.strictEqual(restored.mutationCount, 1);
+    assert.strictEqual(LimitedVariable.fromJSON(JSON.stringify(limitedLet(undefined, 1))).remaining, 1);
+  });
+
+  test('Frozen state should survive a round trip', () => {
+    const original = limitedLet('a', 1);
+    original.value = 'b';
+    assert.strictEqual(original.isFrozen(), true);
+
+    const restored = limitedLet.restore(roundTrip(original));
+    assert.strictEqual(restored.isFrozen(), true);
+    assert.throws(() => { restored.value = 'c'; }, /frozen/);
+  });
+
+  test('Violated state should survive a round trip in strict mode', () => {
+    const original = limitedLet('a', 1, { autoFreeze: false });
+    original.value = 'b';
+    assert.throws(() => { original.value = 'c'; });
+
+    const snapshot = roundTrip(original);
+    assert.strictEqual(snapshot.violated, true);
+
+    const restored = limitedLet.restore(snapshot);
+    assert.throws(() => restored.value, /after mutation limit violation/);
+  });
+
+  test('onViolation should not fire again for an already reported breach', () => {
+    let calls = 0;
+    const original = limitedLet('a', 1, { strictMode: false });
+    original.value = 'b';
+    original.value = 'c';
+
+    const restored = limitedLet.restore(roundTrip(original), {
+      strictMode: false,
+      onViolation: () => { calls++; }
+    });
+    assert.strictEqual(restored.violationCount, 1);
+    restored.freeze();
+    restored.value = 'd';
+    assert.strictEqual(calls, 0);
+  });
+
+  test('History should be restored from the snapshot', () => {
+    const original = limitedLet(1, 5);
+    original.value = 2;
+    original.value = 3;
+
+    const restored = limitedLet.restore(roundTrip(original));
+    const types = restored.history.map(entry => entry.type);
+    assert.deepStrictEqual(types, ['initial', 'mutation', 'mutation']);
+
+    restored.value = 4;
+    assert.strictEqual(restored.history.length, 4);
+    assert.strictEqual(restored.history[3].mutation, 3);
+  });
+
+  test('Restored variables should undo changes made after hydration', () => {
+    const original = limitedLet('a', 5);
+    original.value = 'b';
+
+    const restored = limitedLet.restore(roundTrip(original));
+    restored.value = 'c';
+    restored.undo();
+    assert.strictEqual(restored.value, 'b');
+    assert.strictEqual(restored.canUndo(), false);
+  });
+
+  test('Object values should be deep-tracked after hydration', () => {
+    const original = limitedLet({ profile: { name: 'Ada' } }, 3);
+    original.value.profile.name = 'Grace';
+
+    const restored = limitedLet.restore(roundTrip(original));
+    restored.value.profile.name = 'Linus';
+    assert.strictEqual(restored.mutationCount, 2);
+    assert.strictEqual(restored.history[restored.history.length - 1].mutationPath, 'profile.name');
+  });
+
+  test('Snapshots without history should start a fresh timeline', () => {
+    const original = new LimitedVariable('a', 3, { trackHistory: false });
+    original.value = 'b';
+
+    const restored = LimitedVariable.fromJSON(roundTrip(original));
+    assert.strictEqual(restored.history.length, 1);
+    assert.strictEqual(restored.history[0].type, 'initial');
+    assert.strictEqual(restored.history[0].mutation, 1);
+  });
+
+  test('Window usage should survive a round trip', () => {
+    const realNow = Date.now;
+    Date.now = () => 5000;
+    try {
+      const window = { strategy: 'sliding', size: 1000 };
+      const original = limitedLet(0, 2, { window });
+      original.value = 1;
+      original.value = 2;
+
+      const restored = limitedLet.restore(roundTrip(original), { window });
+      assert.strictEqual(restored.remaining, 0);
+      assert.strictEqual(restored.nextAvailableAt, 6000);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  // === VALIDATION ===
+
+  test('Malformed snapshots should be rejected', () => {
+    assert.throws(() => LimitedVariable.fromJSON(null), /expected an object/);
+    assert.throws(() => LimitedVariable.fromJSON({ value: 1, maxMutations: 1, mutationCount: -1, violationCount: 0 }), /mutationCount/);
+    assert.throws(() => LimitedVariable.fromJSON({ value: 1, maxMutations: 1, mutationCount: 0, violationCount: 0, frozen: 'yes' }), /"frozen" must be a boolean/);
+  });
+
+  test('Tampered counts should be rejected', () => {
+    const original = limitedLet('a', 2);
+    original.value = 'b';
+    const snapshot = roundTrip(original);
+
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, mutationCount: 5 }), /exceeds maxMutations/);
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, remaining: 2 }), /"remaining" is 2/);
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, mutationCount: 0, remaining: 2 }), /last history entry records 1/);
+  });
+
+  test('Malformed history should be rejected', () => {
+    const original = limitedLet('a', 2);
+    const snapshot = roundTrip(original);
+
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, history: [] }), /non-empty array/);
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, history: [{ type: 'mutation', timestamp: 1, mutation: 0 }] }), /"initial" entry/);
+    assert.throws(() => LimitedVariable.fromJSON({ ...snapshot, history: [{ type: 'initial', mutation: 0 }] }), /timestamp/);
+  });
+
+  test('Window state that does not match the strategy should be rejected', () => {
+    const original = limitedLet(0, 2, { window: { size: 1000 } });
+    const snapshot = roundTrip(original);
+
+    assert.throws(
+      () => LimitedVariable.fromJSON(snapshot, { window: { strategy: 'sliding', size: 1000 } }),
+      /does not match the 'sliding' window strategy/
+    );
+  });
+
+  test('Window state without the window option should say what is missing', () => {
+    const original = limitedLet(0, 1, { window: { size: 1000 } });
+    original.value = 1;
+    const snapshot = roundTrip(original);
+
+    assert.throws(
+      () => LimitedVariable.fromJSON(snapshot),
+      /snapshot: it includes window state from a time-windowed variable; pass the same window in options\.window/
+    );
+    assert.throws(() => limitedLet.restore(snapshot), /options\.window/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Snapshot Hydration Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runSnapshotTests();
+}
+
+module.exports = { runSnapshotTests };
@@ -0,0 +1,239 @@
+const { limitedLet, MutationLimitExceeded, memoryStorage, jsonFileStorage, webStorage } = require('./entry');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function runStorageTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running storage adapter tests...\n');
+
+  // === WRITE-THROUGH & LOADING ===
+
+  test('Spent budget should survive a "restart" with the same key', () => {
+    const storage = memoryStorage();
+    const modal = limitedLet('pending', 1, { storage, storageKey: 'onboarding' });
+    modal.value = 'shown';
+
+    const reloaded = limitedLet('pending', 1, { storage, storageKey: 'onboarding' });
+    assert.strictEqual(reloaded.value, 'shown');
+    assert.strictEqual(reloaded.isFrozen(), true);
+    assert.throws(() => { reloaded.value = 'shown again'; }, MutationLimitExceeded);
+  });
+
+  test('A missing key should start from the initial value', () => {
+    const storage = memoryStorage();
+    const fresh = limitedLet('pending', 1, { storage, storageKey: 'onboarding' });
+    assert.strictEqual(fresh.value, 'pending');
+    assert.strictEqual(storage.getItem('onboarding'), null);
+  });
+
+  test('Deep mutations should be written through after they apply', () => {
+    const storage = memoryStorage();
+    const settings = limitedLet({ theme: 'light', tags: [] }, 5, { storage, storageKey: 'settings' });
+    settings.value.theme = 'dark';
+    settings.value.tags.push('a');
+    delete settings.value.theme;
+
+    const stored = JSON.parse(storage.getItem('settings'));
+    assert.deepStrictEqual(stored.value, { tags: ['a'] });
+    assert.strictEqual(stored.mutationCount, 3);
+
+    const reloaded = limitedLet({}, 5, { storage, storageKey: 'settings' });
+    reloaded.value.tags.push('b');
+    assert.strictEqual(reloaded.mutationCount, 4);
+  });
+
+  test('Maps, sets, bigints and dates should survive a reload', () => {
+    const storage = memoryStorage();
+    const options = { storage, storageKey: 'state' };
+    const state = limitedLet({ seen: new Set(['a']), scores: new Map([['ann', 1n]]), at: new Date(0) }, 5, options);
+    state.value.seen.add('b');
+    state.value.scores.set('bob', 2n ** 64n);
+
+    const reloaded = limitedLet({}, 5, options);
+    assert.deepStrictEqual([...reloaded.value.seen], ['a', 'b']);
+    assert.deepStrictEqual([...reloaded.value.scores], [['ann', 1n], ['bob', 2n ** 64n]]);
+    assert.strictEqual(reloaded.value.at.getTime(), 0);
+    assert.strictEqual(reloaded.mutationCount, 2);
+    assert.ok(reloaded.history[0].value.seen instanceof Set);
+
+    reloaded.value.seen.add('c');
+    assert.strictEqual(reloaded.mutationCount, 3);
+  });
+
+  test('State stored as plain JSON should still load', () => {
+    const storage = memoryStorage({ count: JSON.stringify({ value: { n: 1 }, maxMutations: 3, mutationCount: 1, violationCount: 0 }) });
+    const count = limitedLet({ n: 0 }, 3, { storage, storageKey: 'count' });
+    assert.deepStrictEqual(count.value, { n: 1 });
+    assert.strictEqual(count.remaining, 2);
+  });
+
+  test('Strict violations should be persisted before throwing', () => {
+    const storage = memoryStorage();
+    const limited = limitedLet(0, 1, { storage, storageKey: 'count', autoFreeze: false });
+    limited.value = 1;
+    assert.throws(() => { limited.value = 2; });
+
+    const stored = JSON.parse(storage.getItem('count'));
+    assert.strictEqual(stored.violated, true);
+  });
+
+  test('Non-strict violations should be persisted', () => {
+    const storage = memoryStorage();
+    const tracker = limitedLet(0, 1, { storage, storageKey: 'tracker', strictMode: false });
+    tracker.value = 1;
+    tracker.value = 2;
+
+    const reloaded = limitedLet(0, 1, { storage, storageKey: 'tracker', strictMode: false });
+    assert.strictEqual(reloaded.value, 2);
+    assert.strictEqual(reloaded.violationCount, 1);
+  });
+
+  test('freeze() and reset() should be persisted', () => {
+    const storage = memoryStorage();
+    const options = { storage, storageKey: 'flag', allowReset: true };
+    const flag = limitedLet(false, 3, options);
+    flag.value = true;
+    flag.freeze();
+    assert.strictEqual(limitedLet(false, 3, options).isFrozen(), true);
+
+    flag.reset();
+    const reloaded = limitedLet(false, 3, options);
+    assert.strictEqual(reloaded.isFrozen(), false);
+    assert.strictEqual(reloaded.mutationCount, 0);
+    assert.strictEqual(reloaded.value, true);
+  });
+
+  test('Stored limits should take precedence over the constructor arguments', () => {
+    const storage = memoryStorage();
+    const limited = limitedLet(0, 5, { storage, storageKey: 'limit' });
+    limited.value = 1;
+
+    const reloaded = limitedLet(0, 10, { storage, storageKey: 'limit' });
+    assert.strictEqual(reloaded.maxMutations, 5);
+    assert.strictEqual(reloaded.remaining, 4);
+  });
+
+  test('Tampered stored state should be rejected', () => {
+    const storage = memoryStorage({ count: JSON.stringify({ value: 1, maxMutations: 1, mutationCount: 3, violationCount: 0 }) });
+    assert.throws(() => limitedLet(0, 1, { storage, storageKey: 'count' }), /exceeds maxMutations/);
+
+    const garbage = memoryStorage({ count: '{not json' });
+    assert.throws(() => limitedLet(0, 1, { storage: garbage, storageKey: 'count' }), /not valid JSON/);
+  });
+
+  test('Invalid storage configuration should throw', () => {
+    assert.throws(() => limitedLet(0, 1, { storage: {}, storageKey: 'x' }), /getItem\(key\) and setItem/);
+    assert.throws(() => limitedLet(0, 1, { storage: memoryStorage() }), /storageKey is required/);
+  });
+
+  // === BUILT-IN ADAPTERS ===
+
+  test('jsonFileStorage should persist across adapter instances', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'limitedlet-'));
+    const file = path.join(dir, 'budgets.json');
+    try {
+      const modal = limitedLet('pending', 1, { storage: jsonFileStorage(file), storageKey: 'onboarding' });
+      modal.value = 'shown';
+
+      const reloaded = limitedLet('pending', 1, { storage: jsonFileStorage(file), storageKey: 'onboarding' });
+      assert.strictEqual(reloaded.value, 'shown');
+      assert.strictEqual(reloaded.isFrozen(), true);
+
+      const adapter = jsonFileStorage(file);
+      adapter.removeItem('onboarding');
+      assert.strictEqual(adapter.getItem('onboarding'), null);
+      assert.strictEqual(fs.existsSync(`${file}.tmp`), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('jsonFileStorage without process.getBuiltinModule should use require, or ask for fs in the ES module build', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'limitedlet-'));
+    const getBuiltinModule = process.getBuiltinModule;
+    const isModuleBuild = require('./entry')[Symbol.toStringTag] === 'Module';
+    // Older Node versions only have require, and the ES module build has not even that
+    process.getBuiltinModule = undefined;
+    try {
+      const file = path.join(dir, 'budgets.json');
+      if (isModuleBuild) {
+        assert.throws(() => jsonFileStorage(file), /Pass it explicitly: jsonFileStorage\(path, \{ fs \}\)/);
+        return;
+      }
+      const adapter = jsonFileStorage(file);
+      adapter.setItem('key', 'value');
+      assert.strictEqual(adapter.getItem('key'), 'value');
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('jsonFileStorage should accept an injected fs module', () => {
+    const files = {};
+    const fakeFs = {
+      readFileSync: (file) => {
+        if (!(file in files)) {
+          const error = new Error('missing');
+          error.code = 'ENOENT';
+          throw error;
+        }
+        return files[file];
+      },
+      writeFileSync: (file, data) => { files[file] = data; },
+      renameSync: (from, to) => { files[to] = files[from]; delete files[from]; }
+    };
+
+    const adapter = jsonFileStorage('/budgets.json', { fs: fakeFs });
+    adapter.setItem('a', 'b');
+    assert.strictEqual(adapter.getItem('a'), 'b');
+    assert.deepStrictEqual(Object.keys(files), ['/budgets.json']);
+  });
+
+  test('webStorage should wrap a Web Storage object', () => {
+    const backing = {
+      data: {},
+      getItem(key) { return key in this.data ? this.data[key] : null; },
+      setItem(key, value) { this.data[key] = String(value); },
+      removeItem(key) { delete this.data[key]; }
+    };
+
+    const flag = limitedLet(false, 1, { storage: webStorage(backing), storageKey: 'seen' });
+    flag.value = true;
+    assert.strictEqual(JSON.parse(backing.data.seen).value, true);
+
+    assert.throws(() => webStorage(null), /Web Storage object/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Storage Adapter Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runStorageTests();
+}
+
+module.exports = { runStorageTests };
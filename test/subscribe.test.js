@@ -0,0 +1,232 @@
+const { limitedLet } = require('./entry');
+const assert = require('assert');
+
+async function runSubscribeTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(description, fn) {
+    try {
+      await fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const observableKey = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
+  console.log('Running subscribe API tests...\n');
+
+  // === subscribe() ===
+
+  await test('Several listeners should receive every event', () => {
+    const seen = [];
+    const count = limitedLet(0, 3);
+    count.subscribe((event, type) => seen.push(['a', type, event.newValue]));
+    count.subscribe((event, type) => seen.push(['b', type, event.newValue]));
+
+    count.value = 1;
+    assert.deepStrictEqual(seen, [['a', 'mutate', 1], ['b', 'mutate', 1]]);
+  });
+
+  await test('Listeners should receive the same event objects as the callbacks', () => {
+    const fromCallback = [];
+    const fromListener = [];
+    const count = limitedLet(0, 1, {
+      strictMode: false,
+      onMutate: (event) => fromCallback.push(event),
+      onLimitExceeded: (attempt) => fromCallback.push(attempt)
+    });
+    count.subscribe(event => fromListener.push(event), { types: ['mutate', 'limitExceeded'] });
+
+    count.value = 1;
+    count.value = 2;
+    assert.strictEqual(fromListener.length, 2);
+    assert.strictEqual(fromListener[0], fromCallback[0]);
+    assert.strictEqual(fromListener[1], fromCallback[1]);
+  });
+
+  await test('types should filter the events a listener hears', () => {
+    const types = [];
+    const count = limitedLet(0, 1, { autoFreeze: false });
+    count.subscribe((event, type) => types.push(type), { types: ['violation', 'lastMutation'] });
+
+    count.value = 1;
+    assert.throws(() => { count.value = 2; });
+    assert.deepStrictEqual(types, ['lastMutation', 'violation']);
+  });
+
+  await test('unsubscribe() should stop delivery', () => {
+    let calls = 0;
+    const count = limitedLet(0, 3);
+    const unsubscribe = count.subscribe(() => { calls++; });
+
+    count.value = 1;
+    unsubscribe();
+    unsubscribe();
+    count.value = 2;
+    assert.strictEqual(calls, 1);
+  });
+
+  await test('Listeners should be able to unsubscribe while being notified', () => {
+    const seen = [];
+    const count = limitedLet(0, 3);
+    const unsubscribe = count.subscribe(() => {
+      seen.push('once');
+      unsubscribe();
+    });
+    count.subscribe(() => seen.push('always'));
+
+    count.value = 1;
+    count.value = 2;
+    assert.deepStrictEqual(seen, ['once', 'always', 'always']);
+  });
+
+  await test('Deep mutations should be reported with their path', () => {
+    const paths = [];
+    const settings = limitedLet({ theme: 'light' }, 3);
+    settings.subscribe(event => paths.push(event.mutationPath), { types: 'mutate' });
+
+    settings.value.theme = 'dark';
+    assert.deepStrictEqual(paths, ['theme']);
+  });
+
+  await test('Invalid subscriptions should throw', () => {
+    const count = limitedLet(0, 3);
+    assert.throws(() => count.subscribe(null), /listener function/);
+    assert.throws(() => count.subscribe(() => {}, { types: ['change'] }), /Unknown event type 'change'/);
+  });
+
+  // === Symbol.observable ===
+
+  await test('The observable should deliver mutate events to observers', () => {
+    const values = [];
+    const count = limitedLet(0, 3);
+    const observable = count[observableKey]();
+    assert.strictEqual(observable[observableKey](), observable);
+
+    const subscription = observable.subscribe({ next: (event) => values.push(event.newValue) });
+    count.value = 1;
+    subscription.unsubscribe();
+    count.value = 2;
+
+    assert.deepStrictEqual(values, [1]);
+  });
+
+  await test('The observable should accept a plain function observer', () => {
+    const values = [];
+    const count = limitedLet(0, 3);
+    count[observableKey]().subscribe(event => values.push(event.newValue));
+    count.value = 5;
+    assert.deepStrictEqual(values, [5]);
+  });
+
+  // === changes() ===
+
+  await test('changes() should yield mutate events in order', async () => {
+    const count = limitedLet(0, 5);
+    const changes = count.changes();
+
+    count.value = 1;
+    count.value = 2;
+
+    const values = [];
+    for await (const change of changes) {
+      values.push(change.newValue);
+      if (values.length === 3) {
+        break;
+      }
+      if (values.length === 2) {
+        setTimeout(() => { count.value = 3; }, 0);
+      }
+    }
+    assert.deepStrictEqual(values, [1, 2, 3]);
+  });
+
+  await test('Leaving the loop should unsubscribe', async () => {
+    let delivered = 0;
+    const count = limitedLet(0, 5);
+    const changes = count.changes();
+    count.value = 1;
+
+    for await (const change of changes) {
+      delivered++;
+      break;
+    }
+    count.value = 2;
+
+    assert.strictEqual(delivered, 1);
+    assert.deepStrictEqual(await changes.next(), { value: undefined, done: true });
+  });
+
+  await test('changes() should honour types', async () => {
+    const count = limitedLet(0, 1, { strictMode: false });
+    const changes = count.changes({ types: ['limitExceeded'] });
+
+    count.value = 1;
+    count.value = 2;
+
+    const { value } = await changes.next();
+    assert.strictEqual(value.attemptedValue, 2);
+    await changes.return();
+  });
+
+  // === Reservation and time-based events ===
+
+  await test('reserve() and cancel() should emit reserve events', () => {
+    const seen = [];
+    const count = limitedLet(0, 5);
+    count.subscribe(event => seen.push(event), { types: ['reserve'] });
+
+    const reservation = count.reserve(2);
+    reservation.cancel();
+    reservation.cancel();
+    assert.deepStrictEqual(seen, [
+      { change: 2, reserved: 2, remaining: 3 },
+      { change: -2, reserved: 0, remaining: 5 }
+    ]);
+  });
+
+  await test('A refill subscriber should be told when the window frees up', async () => {
+    const seen = [];
+    const count = limitedLet(0, 1, { window: { size: 20 } });
+    count.value = 1;
+    const unsubscribe = count.subscribe(event => seen.push(event), { types: ['refill'] });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    unsubscribe();
+    assert.strictEqual(seen.length, 1);
+    assert.strictEqual(seen[0].remaining, 1);
+    assert.strictEqual(seen[0].mutationCount, 1);
+  });
+
+  await test('An expire subscriber should be told at the deadline without any access', async () => {
+    const seen = [];
+    const count = limitedLet(0, 3, { ttl: 20 });
+    count.subscribe(event => seen.push(event), { types: ['expire'] });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(seen.length, 1);
+    assert.strictEqual(seen[0].value, 0);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Subscribe API Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runSubscribeTests();
+}
+
+module.exports = { runSubscribeTests };
@@ -0,0 +1,255 @@
+const { limitedLet, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runTimeWindowTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  // Runs fn with Date.now() pinned to a manually advanced timestamp
+  function withFakeTime(fn) {
+    const realNow = Date.now;
+    let now = 1000000;
+    Date.now = () => now;
+    try {
+      fn({ advance: (ms) => { now += ms; }, now: () => now });
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  console.log('Running time window quota tests...\n');
+
+  // === FIXED WINDOW ===
+
+  test('Fixed window should refill once the window elapses', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 3, { window: { strategy: 'fixed', size: 1000 } });
+
+      calls.value = 1;
+      calls.value = 2;
+      calls.value = 3;
+      assert.strictEqual(calls.remaining, 0);
+      assert.strictEqual(calls.isDepleted(), true);
+      assert.throws(() => { calls.value = 4; }, MutationLimitExceeded);
+
+      advance(1000);
+      assert.strictEqual(calls.remaining, 3);
+      assert.strictEqual(calls.isDepleted(), false);
+    });
+  });
+
+  test('Strict-mode reads should work again once the window refills', () => {
+    withFakeTime(({ advance }) => {
+      const violations = [];
+      const calls = limitedLet(0, 1, { window: { size: 1000 }, onViolation: (error) => violations.push(error) });
+
+      calls.value = 1;
+      assert.throws(() => { calls.value = 2; }, MutationLimitExceeded);
+      assert.throws(() => calls.value, /Cannot read value/);
+      assert.strictEqual(calls.toJSON().violated, true);
+
+      advance(1000);
+      assert.strictEqual(calls.value, 1);
+      assert.strictEqual(calls.toJSON().violated, false);
+      calls.value = 2;
+      assert.throws(() => { calls.value = 3; }, MutationLimitExceeded);
+      assert.strictEqual(violations.length, 2);
+    });
+  });
+
+  test('Fixed window should not refill before the window elapses', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 2, { window: { size: 1000 }, strictMode: false });
+
+      advance(600);
+      calls.value = 1;
+      calls.value = 2;
+      advance(300);
+      assert.strictEqual(calls.remaining, 0);
+
+      advance(100);
+      assert.strictEqual(calls.remaining, 2);
+    });
+  });
+
+  test('Windowed variables should not auto-freeze when depleted', () => {
+    withFakeTime(() => {
+      const calls = limitedLet(0, 1, { window: { size: 1000 } });
+      calls.value = 1;
+      assert.strictEqual(calls.isFrozen(), false);
+    });
+  });
+
+  test('mutationCount should keep counting across windows', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 1, { window: { size: 1000 }, strictMode: false });
+      calls.value = 1;
+      advance(1000);
+      calls.value = 2;
+      assert.strictEqual(calls.mutationCount, 2);
+      assert.strictEqual(calls.violationCount, 0);
+    });
+  });
+
+  // === SLIDING WINDOW ===
+
+  test('Sliding window should free slots as old mutations age out', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 2, { window: { strategy: 'sliding', size: 1000 } });
+
+      calls.value = 1;         // t = 0
+      advance(500);
+      calls.value = 2;         // t = 500
+      assert.strictEqual(calls.remaining, 0);
+
+      advance(500);            // t = 1000, first mutation leaves the window
+      assert.strictEqual(calls.remaining, 1);
+
+      advance(499);
+      assert.strictEqual(calls.remaining, 1);
+      advance(1);              // t = 1500, second mutation leaves the window
+      assert.strictEqual(calls.remaining, 2);
+    });
+  });
+
+  test('Sliding window should report when the next slot frees up', () => {
+    withFakeTime(({ advance, now }) => {
+      const calls = limitedLet(0, 2, { window: { strategy: 'sliding', size: 1000 } });
+      const start = now();
+
+      assert.strictEqual(calls.nextAvailableAt, start);
+      calls.value = 1;
+      advance(200);
+      calls.value = 2;
+      assert.strictEqual(calls.nextAvailableAt, start + 1000);
+    });
+  });
+
+  // === TOKEN BUCKET ===
+
+  test('Token bucket should refill gradually', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 3, { window: { capacity: 2, refillPerMs: 0.001 } });
+
+      assert.strictEqual(calls.remaining, 2);
+      calls.value = 1;
+      calls.value = 2;
+      assert.strictEqual(calls.remaining, 0);
+
+      advance(999);
+      assert.strictEqual(calls.remaining, 0);
+      advance(1);
+      assert.strictEqual(calls.remaining, 1);
+
+      advance(10000);
+      assert.strictEqual(calls.remaining, 2);
+    });
+  });
+
+  test('Token bucket capacity should default to maxMutations', () => {
+    withFakeTime(() => {
+      const calls = limitedLet(0, 4, { window: { strategy: 'token-bucket', refillPerMs: 1 } });
+      assert.strictEqual(calls.remaining, 4);
+    });
+  });
+
+  // === VIOLATIONS & HISTORY ===
+
+  test('onLimitExceeded should report when the next mutation is available', () => {
+    withFakeTime(({ now }) => {
+      let attempt = null;
+      const calls = limitedLet(0, 1, {
+        window: { size: 1000 },
+        strictMode: false,
+        onLimitExceeded: (a) => { attempt = a; }
+      });
+
+      calls.value = 1;
+      calls.value = 2;
+      assert.strictEqual(attempt.nextAvailableAt, now() + 1000);
+    });
+  });
+
+  test('Strict mode error should include the window wait time', () => {
+    withFakeTime(({ advance }) => {
+      const calls = limitedLet(0, 1, { window: { size: 1000 } });
+      calls.value = 1;
+      advance(250);
+
+      try {
+        calls.value = 2;
+        assert.fail('Expected MutationLimitExceeded');
+      } catch (error) {
+        assert.ok(error instanceof MutationLimitExceeded);
+        assert.ok(error.message.includes('per 1000ms fixed window'));
+        assert.ok(error.message.includes('available in 750ms'));
+        assert.strictEqual(error.context.nextAvailableAt, Date.now() + 750);
+      }
+    });
+  });
+
+  test('History entries should record nextAvailableAt for windowed variables', () => {
+    withFakeTime(({ now }) => {
+      const calls = limitedLet(0, 2, { window: { size: 1000 }, strictMode: false });
+      calls.value = 1;
+      calls.value = 2;
+      calls.value = 3;
+
+      const history = calls.history;
+      assert.strictEqual(history[1].nextAvailableAt, now());
+      assert.strictEqual(history[2].nextAvailableAt, now() + 1000);
+      assert.strictEqual(history[3].type, 'violation');
+      assert.strictEqual(history[3].nextAvailableAt, now() + 1000);
+    });
+  });
+
+  test('Deep mutations should be counted against the current window', () => {
+    withFakeTime(({ advance }) => {
+      const settings = limitedLet({ theme: 'light' }, 1, { window: { size: 1000 } });
+
+      settings.value.theme = 'dark';
+      assert.throws(() => { settings.value.theme = 'blue'; }, /next mutation available in 1000ms/);
+    });
+  });
+
+  test('Lifetime budgets should not report nextAvailableAt', () => {
+    const limited = limitedLet(0, 1);
+    limited.value = 1;
+    assert.strictEqual(limited.nextAvailableAt, null);
+    assert.strictEqual('nextAvailableAt' in limited.history[1], false);
+  });
+
+  test('Invalid window configuration should throw', () => {
+    assert.throws(() => limitedLet(0, 1, { window: { strategy: 'sliding' } }), TypeError);
+    assert.throws(() => limitedLet(0, 1, { window: { strategy: 'leaky' } }), /Unknown window strategy/);
+    assert.throws(() => limitedLet(0, 1, { window: { refillPerMs: 0 } }), TypeError);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Time Window Quota Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runTimeWindowTests();
+}
+
+module.exports = { runTimeWindowTests };
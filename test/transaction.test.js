@@ -0,0 +1,280 @@
+const { limitedLet, MutationLimitExceeded, MutationValidationError, memoryStorage } = require('./entry');
+const assert = require('assert');
+
+function runTransactionTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function createGame(maxMutations = 5, options = {}) {
+    return limitedLet({ score: 0, level: 1, inventory: ['sword'] }, maxMutations, options);
+  }
+
+  console.log('Running transaction tests...\n');
+
+  // === COMMIT ===
+
+  test('Edits in a transaction should count as one mutation', () => {
+    const game = createGame();
+    game.transaction(draft => {
+      draft.score = 100;
+      draft.level = 2;
+      draft.inventory.push('shield');
+    });
+
+    assert.deepStrictEqual(game.value, { score: 100, level: 2, inventory: ['sword', 'shield'] });
+    assert.strictEqual(game.mutationCount, 1);
+    assert.strictEqual(game.remaining, 4);
+  });
+
+  test('A transaction should record one entry listing the paths touched', () => {
+    const game = createGame();
+    game.transaction(draft => {
+      draft.score = 100;
+      draft.score = 150;
+      draft.inventory.push('shield');
+    });
+
+    const entry = game.history[game.history.length - 1];
+    assert.strictEqual(game.history.length, 2);
+    assert.strictEqual(entry.type, 'transaction');
+    assert.deepStrictEqual(entry.mutationPaths, ['score', 'inventory.push()']);
+    assert.strictEqual(entry.value.score, 150);
+    assert.strictEqual(entry.previousValue.score, 0);
+  });
+
+  test('Edits made through value inside the callback should join the transaction', () => {
+    const game = createGame();
+    game.transaction(() => {
+      game.value.score = 10;
+      game.value.level = 3;
+    });
+    assert.strictEqual(game.mutationCount, 1);
+  });
+
+  test('transaction() should return the callback result', () => {
+    const game = createGame();
+    const total = game.transaction(draft => {
+      draft.score += 5;
+      return draft.score;
+    });
+    assert.strictEqual(total, 5);
+  });
+
+  test('A transaction without edits should not spend budget', () => {
+    const game = createGame();
+    game.transaction(draft => draft.score);
+    assert.strictEqual(game.mutationCount, 0);
+    assert.strictEqual(game.history.length, 1);
+  });
+
+  test('onMutate should fire once with the paths touched', () => {
+    const events = [];
+    const game = createGame(5, { onMutate: (event) => events.push(event) });
+    game.transaction(draft => {
+      draft.score = 1;
+      draft.level = 2;
+    });
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'transaction');
+    assert.deepStrictEqual(events[0].mutationPaths, ['score', 'level']);
+  });
+
+  test('The last transaction should auto-freeze the variable', () => {
+    const game = createGame(1);
+    game.transaction(draft => {
+      draft.score = 1;
+      draft.level = 2;
+    });
+    assert.strictEqual(game.isFrozen(), true);
+    assert.throws(() => game.transaction(draft => { draft.score = 2; }), /frozen/);
+  });
+
+  test('Nested transactions should join the outer one', () => {
+    const game = createGame();
+    game.transaction(draft => {
+      draft.score = 1;
+      game.transaction(inner => { inner.level = 2; });
+    });
+    assert.strictEqual(game.mutationCount, 1);
+    assert.strictEqual(game.value.level, 2);
+  });
+
+  // === ROLLBACK ===
+
+  test('A throwing callback should roll back every edit', () => {
+    const game = createGame();
+    assert.throws(() => game.transaction(draft => {
+      draft.score = 100;
+      draft.inventory.push('shield');
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.deepStrictEqual(game.value, { score: 0, level: 1, inventory: ['sword'] });
+    assert.strictEqual(game.mutationCount, 0);
+    game.value.score = 5;
+    assert.strictEqual(game.mutationCount, 1);
+  });
+
+  test('References held across a rollback should see the restored value and stay tracked', () => {
+    const counter = limitedLet({ a: 1, b: { c: 1 }, list: [{ n: 1 }] }, 5, { equals: 'deep' });
+    let inner;
+    let item;
+    assert.throws(() => counter.transaction(draft => {
+      inner = draft.b;
+      item = draft.list[0];
+      inner.c = 9;
+      item.n = 9;
+      draft.list[1] = { n: 2 };
+      delete draft.a;
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.strictEqual(counter.value.b, inner);
+    assert.strictEqual(counter.value.list[0], item);
+    assert.deepStrictEqual(counter.value, { a: 1, b: { c: 1 }, list: [{ n: 1 }] });
+
+    inner.c = 4;
+    assert.strictEqual(counter.mutationCount, 1);
+    assert.strictEqual(counter.value.b.c, 4);
+    assert.strictEqual(counter.history.filter(entry => entry.type === 'noop').length, 0);
+  });
+
+  test('A transaction the budget cannot cover should roll back', () => {
+    const game = createGame(1, { autoFreeze: false });
+    game.value.score = 1;
+
+    assert.throws(() => game.transaction(draft => {
+      draft.score = 2;
+      draft.level = 2;
+    }), MutationLimitExceeded);
+    assert.strictEqual(game.mutationCount, 1);
+  });
+
+  test('Non-strict mode should record a violation and still roll back', () => {
+    const game = createGame(1, { strictMode: false });
+    game.value.score = 1;
+    game.transaction(draft => {
+      draft.score = 2;
+      draft.level = 2;
+    });
+
+    assert.deepStrictEqual(game.value, { score: 1, level: 1, inventory: ['sword'] });
+    assert.strictEqual(game.violationCount, 1);
+    const entry = game.history[game.history.length - 1];
+    assert.strictEqual(entry.type, 'violation');
+    assert.deepStrictEqual(entry.mutationPaths, ['score', 'level']);
+  });
+
+  test('Exhausted path budgets should roll the transaction back', () => {
+    const game = createGame(5, { pathLimits: { score: 1 } });
+    game.transaction(draft => {
+      draft.score = 1;
+      draft.level = 2;
+    });
+    assert.throws(() => game.transaction(draft => {
+      draft.score = 2;
+      draft.level = 3;
+    }), /Path mutation limit exceeded at path: score, level/);
+    assert.strictEqual(game.mutationCount, 1);
+    assert.strictEqual(game.toJSON().value.level, 2);
+  });
+
+  test('A rejected transaction should roll back', () => {
+    const game = createGame(5, { validate: (value, old, ctx) => ctx.next.score <= ctx.next.level * 100 || 'score too high' });
+    assert.throws(() => game.transaction(draft => {
+      draft.level = 2;
+      draft.score = 500;
+    }), MutationValidationError);
+    assert.deepStrictEqual(game.value, { score: 0, level: 1, inventory: ['sword'] });
+  });
+
+  test('Async callbacks should be rejected and rolled back', () => {
+    const game = createGame();
+    assert.throws(() => game.transaction(async draft => { draft.score = 1; }), /must be synchronous/);
+    assert.strictEqual(game.value.score, 0);
+  });
+
+  test('Assigning value inside a transaction should throw', () => {
+    const game = createGame();
+    assert.throws(() => game.transaction(() => { game.value = {}; }), /inside a transaction/);
+    assert.strictEqual(game.mutationCount, 0);
+  });
+
+  // === INTEGRATION ===
+
+  test('undo() should revert a whole transaction', () => {
+    const game = createGame();
+    game.value.score = 10;
+    game.transaction(draft => {
+      draft.score = 20;
+      draft.level = 2;
+    });
+
+    game.undo();
+    assert.deepStrictEqual(game.value, { score: 10, level: 1, inventory: ['sword'] });
+    game.redo();
+    assert.deepStrictEqual(game.value, { score: 20, level: 2, inventory: ['sword'] });
+  });
+
+  test('undo() after a rolled-back transaction should ignore the discarded edits', () => {
+    const game = createGame();
+    game.value.score = 10;
+    assert.throws(() => game.transaction(draft => {
+      draft.score = 99;
+      throw new Error('boom');
+    }));
+
+    game.undo();
+    game.redo();
+    assert.strictEqual(game.value.score, 10);
+  });
+
+  test('Storage should only see the committed transaction', () => {
+    const writes = [];
+    const storage = memoryStorage();
+    const setItem = storage.setItem;
+    storage.setItem = (key, value) => {
+      writes.push(JSON.parse(value));
+      setItem(key, value);
+    };
+
+    const game = createGame(5, { storage, storageKey: 'game' });
+    game.transaction(draft => {
+      draft.score = 1;
+      draft.level = 2;
+    });
+
+    assert.strictEqual(writes.length, 1);
+    assert.strictEqual(writes[0].mutationCount, 1);
+    assert.strictEqual(writes[0].value.level, 2);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Transaction Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runTransactionTests();
+}
+
+module.exports = { runTransactionTests };
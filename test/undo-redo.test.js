@@ -0,0 +1,321 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runUndoRedoTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running undo/redo tests...\n');
+
+  // === UNDO / REDO ===
+
+  test('undo() should put the previous value back', () => {
+    const text = limitedLet('a', 5);
+    text.value = 'b';
+    text.value = 'c';
+
+    text.undo();
+    assert.strictEqual(text.value, 'b');
+    text.undo();
+    assert.strictEqual(text.value, 'a');
+  });
+
+  test('redo() should re-apply undone changes', () => {
+    const text = limitedLet('a', 10);
+    text.value = 'b';
+    text.value = 'c';
+    text.undo();
+    text.undo();
+
+    text.redo();
+    assert.strictEqual(text.value, 'b');
+    text.redo();
+    assert.strictEqual(text.value, 'c');
+    assert.strictEqual(text.canRedo(), false);
+  });
+
+  test('A new change should clear the redo stack', () => {
+    const text = limitedLet('a', 10);
+    text.value = 'b';
+    text.undo();
+    assert.strictEqual(text.canRedo(), true);
+
+    text.value = 'z';
+    assert.strictEqual(text.canRedo(), false);
+    assert.throws(() => text.redo(), /Nothing to redo/);
+  });
+
+  test('undo() with nothing to undo should throw', () => {
+    const text = limitedLet('a', 3);
+    assert.strictEqual(text.canUndo(), false);
+    assert.throws(() => text.undo(), /Nothing to undo/);
+  });
+
+  test('Undo/redo/restore should be recorded in history', () => {
+    const text = limitedLet('a', 10);
+    text.value = 'b';
+    text.undo();
+    text.redo();
+    text.restoreTo(0);
+
+    const types = text.history.map(entry => entry.type);
+    assert.deepStrictEqual(types, ['initial', 'mutation', 'undo', 'redo', 'restore']);
+    assert.strictEqual(text.history[2].restoredIndex, 0);
+    assert.strictEqual(text.history[3].restoredIndex, 1);
+    assert.strictEqual(text.history[4].value, 'a');
+  });
+
+  test('undo() should revert deep mutations', () => {
+    const settings = limitedLet({ theme: 'light', tags: ['a'] }, 5);
+    settings.value.theme = 'dark';
+    settings.value.tags.push('b');
+
+    settings.undo();
+    assert.deepStrictEqual(settings.value, { theme: 'dark', tags: ['a'] });
+    settings.undo();
+    assert.deepStrictEqual(settings.value, { theme: 'light', tags: ['a'] });
+  });
+
+  test('Restored objects should remain deep-tracked', () => {
+    const settings = limitedLet({ theme: 'light' }, 5);
+    settings.value.theme = 'dark';
+    settings.undo();
+    const before = settings.mutationCount;
+
+    settings.value.theme = 'blue';
+    assert.strictEqual(settings.mutationCount, before + 1);
+  });
+
+  test('Editing a restored value should not rewrite the recorded state', () => {
+    const settings = limitedLet({ theme: 'light' }, 10);
+    settings.value.theme = 'dark';
+    settings.restoreTo(0);
+    settings.value.theme = 'blue';
+
+    settings.restoreTo(0);
+    assert.strictEqual(settings.value.theme, 'light');
+  });
+
+  test('Every state of a run of deep edits should be restorable', () => {
+    const doc = limitedLet({ title: 'a', tags: ['x'], meta: { n: 1 }, lookup: new Map() }, 20);
+    doc.value.title = 'b';
+    doc.value.tags.push('y', 'z');
+    doc.value.tags[0] = 'w';
+    delete doc.value.meta.n;
+    doc.value.meta.owner = { name: 'ann' };
+    doc.value.lookup.set('k', 1);
+    doc.value.tags.sort();
+    const states = doc.history.map((entry, index) => {
+      doc.restoreTo(index);
+      return JSON.stringify({ ...doc.value, lookup: [...doc.value.lookup] });
+    });
+
+    assert.deepStrictEqual(states.slice(0, 8), [
+      '{"title":"a","tags":["x"],"meta":{"n":1},"lookup":[]}',
+      '{"title":"b","tags":["x"],"meta":{"n":1},"lookup":[]}',
+      '{"title":"b","tags":["x","y","z"],"meta":{"n":1},"lookup":[]}',
+      '{"title":"b","tags":["w","y","z"],"meta":{"n":1},"lookup":[]}',
+      '{"title":"b","tags":["w","y","z"],"meta":{},"lookup":[]}',
+      '{"title":"b","tags":["w","y","z"],"meta":{"owner":{"name":"ann"}},"lookup":[]}',
+      '{"title":"b","tags":["w","y","z"],"meta":{"owner":{"name":"ann"}},"lookup":[["k",1]]}',
+      '{"title":"b","tags":["w","y","z"],"meta":{"owner":{"name":"ann"}},"lookup":[["k",1]]}'
+    ]);
+  });
+
+  test('Deep edits should not copy the whole value for undo', () => {
+    const items = {};
+    for (let i = 0; i < 20000; i++) {
+      items[`k${i}`] = { id: i, tags: ['a'] };
+    }
+    const store = limitedLet(items, Infinity);
+
+    const start = Date.now();
+    for (let i = 0; i < 200; i++) {
+      store.value.k0.id = i + 1;
+    }
+    // Copying 20k entries per edit took seconds; patches take milliseconds
+    assert.ok(Date.now() - start < 1000, `200 edits took ${Date.now() - start}ms`);
+
+    store.undo();
+    store.undo();
+    assert.strictEqual(store.value.k0.id, 198);
+    assert.strictEqual(store.value.k19999.id, 19999);
+  });
+
+  // === restoreTo ===
+
+  test('restoreTo(index) should restore the value at that history entry', () => {
+    const counter = limitedLet(0, 10);
+    counter.value = 1;
+    counter.value = 2;
+    counter.value = 3;
+
+    counter.restoreTo(2);
+    assert.strictEqual(counter.value, 2);
+  });
+
+  test('restoreTo(index) of a reset entry should use the value at that point', () => {
+    const counter = limitedLet(0, 10, { allowReset: true });
+    counter.value = 5;
+    counter.reset();
+    counter.value = 6;
+
+    counter.restoreTo(2);
+    assert.strictEqual(counter.history[2].type, 'reset');
+    assert.strictEqual(counter.value, 5);
+  });
+
+  test('restoreTo(Date) should restore the latest entry at or before that time', () => {
+    const realNow = Date.now;
+    let now = 1000;
+    Date.now = () => now;
+    try {
+      const counter = limitedLet(0, 10);
+      now = 2000;
+      counter.value = 1;
+      now = 3000;
+      counter.value = 2;
+
+      counter.restoreTo(new Date(2500));
+      assert.strictEqual(counter.value, 1);
+      assert.throws(() => counter.restoreTo(new Date(500)), RangeError);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('restoreTo() should reject out-of-range indexes', () => {
+    const counter = limitedLet(0, 10);
+    assert.throws(() => counter.restoreTo(5), RangeError);
+    assert.throws(() => counter.restoreTo(-1), RangeError);
+  });
+
+  // === RESTORE POLICIES ===
+
+  test("'consume' policy should charge restores against the budget", () => {
+    const text = limitedLet('a', 2);
+    text.value = 'b';
+    text.undo();
+    assert.strictEqual(text.mutationCount, 2);
+    assert.strictEqual(text.isFrozen(), true);
+    assert.throws(() => text.redo(), MutationLimitExceeded);
+  });
+
+  test("'refund' policy should give back budget when stepping back", () => {
+    const text = limitedLet('a', 3, { restorePolicy: 'refund' });
+    text.value = 'b';
+    text.value = 'c';
+    text.undo();
+    assert.strictEqual(text.mutationCount, 1);
+    assert.strictEqual(text.value, 'b');
+
+    // Moving forward again is charged
+    text.redo();
+    assert.strictEqual(text.mutationCount, 2);
+
+    text.restoreTo(0);
+    assert.strictEqual(text.mutationCount, 0);
+    assert.strictEqual(text.value, 'a');
+  });
+
+  test("'free' policy should not touch the budget", () => {
+    const text = limitedLet('a', 3, { restorePolicy: 'free' });
+    text.value = 'b';
+    text.undo();
+    text.redo();
+    text.undo();
+    assert.strictEqual(text.mutationCount, 1);
+    assert.strictEqual(text.value, 'a');
+  });
+
+  test("'refund' undo should work on an auto-frozen variable and lift the freeze", () => {
+    const text = limitedLet('a', 2, { restorePolicy: 'refund' });
+    text.value = 'b';
+    text.value = 'c';
+    assert.strictEqual(text.isFrozen(), true);
+
+    text.undo();
+    assert.strictEqual(text.value, 'b');
+    assert.strictEqual(text.isFrozen(), false);
+    assert.strictEqual(text.remaining, 1);
+    text.value = 'd';
+    assert.strictEqual(text.isFrozen(), true);
+  });
+
+  test("'free' undo should work on an auto-frozen variable that stays frozen", () => {
+    const text = limitedLet('a', 1, { restorePolicy: 'free' });
+    text.value = 'b';
+
+    text.undo();
+    assert.strictEqual(text.value, 'a');
+    assert.strictEqual(text.isFrozen(), true);
+    text.redo();
+    assert.strictEqual(text.value, 'b');
+    assert.throws(() => { text.value = 'c'; }, MutationLimitExceeded);
+  });
+
+  test('Frozen variables should reject restores', () => {
+    const text = limitedLet('a', 3, { restorePolicy: 'free' });
+    text.value = 'b';
+    text.freeze();
+    assert.throws(() => text.undo(), /frozen/);
+  });
+
+  test('Non-strict over-limit restores should be tracked as violations', () => {
+    const text = limitedLet('a', 1, { strictMode: false });
+    text.value = 'b';
+    text.undo();
+
+    assert.strictEqual(text.value, 'a');
+    assert.strictEqual(text.violationCount, 1);
+    assert.strictEqual(text.history[2].type, 'violation');
+    assert.strictEqual(text.canRedo(), true);
+  });
+
+  test('onMutate should report the restore type', () => {
+    const types = [];
+    const text = limitedLet('a', 5, { onMutate: (event) => types.push(event.type) });
+    text.value = 'b';
+    text.undo();
+    text.redo();
+    assert.deepStrictEqual(types, [undefined, 'undo', 'redo']);
+  });
+
+  test('Unknown restorePolicy should throw', () => {
+    assert.throws(() => limitedLet('a', 1, { restorePolicy: 'sometimes' }), TypeError);
+  });
+
+  test('Undo should require history tracking', () => {
+    const text = new LimitedVariable('a', 3, { trackHistory: false });
+    text.value = 'b';
+    assert.throws(() => text.undo(), /requires history tracking/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Undo/Redo Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runUndoRedoTests();
+}
+
+module.exports = { runUndoRedoTests };
@@ -0,0 +1,168 @@
+const { limitedLet, LimitedVariable, MutationLimitExceeded } = require('./entry');
+const assert = require('assert');
+
+function runUnlockTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('Running unlock key tests...\n');
+
+  // === FREEZE / UNFREEZE ===
+
+  test('freeze() should keep returning the variable without options', () => {
+    const config = new LimitedVariable(0, 3);
+    assert.strictEqual(config.freeze(), config);
+    assert.strictEqual(config.isFrozen(), true);
+  });
+
+  test('freeze({ unlockable: true }) should freeze and return a key', () => {
+    const config = limitedLet(0, 3);
+    const key = config.freeze({ unlockable: true });
+
+    assert.strictEqual(typeof key, 'symbol');
+    assert.strictEqual(config.isFrozen(), true);
+    assert.throws(() => { config.value = 1; }, MutationLimitExceeded);
+  });
+
+  test('unfreeze(key) should lift the freeze and keep the counts', () => {
+    const config = limitedLet(0, 3);
+    config.value = 1;
+    const key = config.freeze({ unlockable: true });
+
+    config.unfreeze(key);
+    assert.strictEqual(config.isFrozen(), false);
+    assert.strictEqual(config.mutationCount, 1);
+    config.value = 2;
+    assert.strictEqual(config.remaining, 1);
+  });
+
+  test('unfreeze() should record who unlocked the variable', () => {
+    const config = limitedLet('a', 3);
+    const key = config.freeze({ unlockable: true });
+    config.unfreeze(key, { by: 'admin:ada' });
+
+    const last = config.history[config.history.length - 1];
+    assert.strictEqual(last.type, 'unfreeze');
+    assert.strictEqual(last.unlockedBy, 'admin:ada');
+    assert.strictEqual(last.mutation, 0);
+    assert.strictEqual(last.value, 'a');
+  });
+
+  test('unfreeze() should refuse a missing, wrong or used key', () => {
+    const config = limitedLet(0, 3);
+    const other = limitedLet(0, 3).freeze({ unlockable: true });
+    const key = config.freeze({ unlockable: true });
+
+    assert.throws(() => config.unfreeze(), /Invalid unlock key/);
+    assert.throws(() => config.unfreeze(other), /Invalid unlock key/);
+    assert.throws(() => config.unfreeze(Symbol('limitedLet unlock key')), /Invalid unlock key/);
+    config.unfreeze(key);
+    config.freeze();
+    assert.throws(() => config.unfreeze(key), /Invalid unlock key/);
+    assert.strictEqual(config.isFrozen(), true);
+  });
+
+  test('Only one unlock key should be outstanding at a time', () => {
+    const config = limitedLet(0, 3);
+    const key = config.freeze({ unlockable: true });
+    assert.throws(() => config.freeze({ unlockable: true }), /already been handed out/);
+
+    config.unfreeze(key);
+    assert.strictEqual(typeof config.freeze({ unlockable: true }), 'symbol');
+  });
+
+  test('unfreeze() should make a strict variable readable again', () => {
+    const config = limitedLet(0, 3);
+    const key = config.freeze({ unlockable: true });
+    assert.throws(() => { config.value = 1; }, MutationLimitExceeded);
+    assert.throws(() => config.value, /Cannot read value/);
+
+    config.unfreeze(key);
+    assert.strictEqual(config.value, 0);
+  });
+
+  test('unfreeze() should lift an expired deadline', () => {
+    const clock = { time: 0, now() { return this.time; } };
+    const config = limitedLet(0, 3, { freezeAt: 100, clock });
+    const key = config.freeze({ unlockable: true });
+
+    clock.time = 200;
+    config.unfreeze(key, { by: 'ops' });
+    config.value = 1;
+    assert.strictEqual(config.value, 1);
+    assert.deepStrictEqual(config.history.map(entry => entry.type), ['initial', 'expired', 'unfreeze', 'mutation']);
+  });
+
+  // === RESET WITH A KEY ===
+
+  test('reset() without a key should still need allowReset', () => {
+    const config = limitedLet(0, 3);
+    config.freeze({ unlockable: true });
+    assert.throws(() => config.reset(), /Reset is disabled/);
+    assert.throws(() => config.reset({}), /Reset is disabled/);
+  });
+
+  test('reset({ key }) should work without allowReset', () => {
+    const config = limitedLet(0, 2);
+    config.value = 1;
+    config.value = 2;
+    assert.strictEqual(config.isFrozen(), true);
+
+    const key = config.freeze({ unlockable: true });
+    config.reset({ key, by: 'support' });
+    assert.strictEqual(config.isFrozen(), false);
+    assert.strictEqual(config.remaining, 2);
+
+    const last = config.history[config.history.length - 1];
+    assert.strictEqual(last.type, 'reset');
+    assert.strictEqual(last.unlockedBy, 'support');
+    assert.throws(() => config.reset({ key }), /Invalid unlock key/);
+  });
+
+  test('A wrong key should fail even with allowReset', () => {
+    const config = limitedLet(0, 2, { allowReset: true });
+    assert.throws(() => config.reset({ key: Symbol('guess') }), /Invalid unlock key/);
+    config.reset();
+    assert.strictEqual(config.history[config.history.length - 1].unlockedBy, undefined);
+  });
+
+  test('A plain reset() should throw while a key is outstanding, even with allowReset', () => {
+    const config = limitedLet(0, 2, { allowReset: true });
+    const key = config.freeze({ unlockable: true });
+    assert.throws(() => config.reset(), /frozen with an unlock key/);
+    assert.strictEqual(config.isFrozen(), true);
+
+    config.reset({ key });
+    assert.strictEqual(config.isFrozen(), false);
+    config.reset();
+    assert.strictEqual(config.remaining, 2);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Unlock Key Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runUnlockTests();
+}
+
+module.exports = { runUnlockTests };
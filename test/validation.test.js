@@ -0,0 +1,198 @@
+const { limitedLet, MutationLimitExceeded, MutationValidationError, fromStandardSchema } = require('./entry');
+const assert = require('assert');
+
+function runValidationTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(description, fn) {
+    try {
+      fn();
+      console.log(`✓ ${description}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${description}`);
+      console.log(`   Error: ${error.message}`);
+      failed++;
+    }
+  }
+
+  const positiveInteger = (value) => (Number.isInteger(value) && value > 0) || 'must be a positive integer';
+
+  // Minimal Standard Schema implementation, shaped like the ones Zod/Valibot expose
+  function themeSchema() {
+    return {
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate(value) {
+          const themes = ['light', 'dark'];
+          if (value && themes.includes(value.theme)) {
+            return { value };
+          }
+          return { issues: [{ message: 'Invalid theme', path: [{ key: 'theme' }] }] };
+        }
+      }
+    };
+  }
+
+  console.log('Running validation tests...\n');
+
+  // === TOP-LEVEL ASSIGNMENTS ===
+
+  test('Valid values should be accepted and counted', () => {
+    const count = limitedLet(1, 3, { validate: positiveInteger });
+    count.value = 2;
+    assert.strictEqual(count.value, 2);
+    assert.strictEqual(count.mutationCount, 1);
+  });
+
+  test('Rejected values should throw MutationValidationError in strict mode', () => {
+    const count = limitedLet(1, 3, { validate: positiveInteger });
+
+    try {
+      count.value = -5;
+      assert.fail('Expected MutationValidationError');
+    } catch (error) {
+      assert.ok(error instanceof MutationValidationError);
+      assert.ok(!(error instanceof MutationLimitExceeded));
+      assert.strictEqual(error.message, 'Mutation rejected: must be a positive integer');
+      assert.strictEqual(error.context.attemptedValue, -5);
+      assert.strictEqual(error.context.currentValue, 1);
+    }
+  });
+
+  test('Rejected values should not spend budget or block reads', () => {
+    const count = limitedLet(1, 1, { validate: positiveInteger });
+    assert.throws(() => { count.value = 0; }, MutationValidationError);
+
+    assert.strictEqual(count.value, 1);
+    assert.strictEqual(count.remaining, 1);
+    assert.strictEqual(count.violationCount, 0);
+    count.value = 7;
+    assert.strictEqual(count.value, 7);
+  });
+
+  test("Non-strict mode should record a 'rejected' entry and keep the value", () => {
+    const count = limitedLet(1, 3, { validate: positiveInteger, strictMode: false });
+    count.value = 'ten';
+
+    assert.strictEqual(count.value, 1);
+    assert.strictEqual(count.mutationCount, 0);
+    const entry = count.history[1];
+    assert.strictEqual(entry.type, 'rejected');
+    assert.strictEqual(entry.value, 'ten');
+    assert.strictEqual(entry.reason, 'must be a positive integer');
+  });
+
+  test('Returning false should reject with a default reason', () => {
+    const flag = limitedLet(true, 3, { validate: (value) => typeof value === 'boolean' });
+    assert.throws(() => { flag.value = 'yes'; }, /Value rejected by validate option/);
+  });
+
+  test('Validation should run before the limit check', () => {
+    const count = limitedLet(1, 1, { validate: positiveInteger, autoFreeze: false });
+    count.value = 2;
+    assert.throws(() => { count.value = -1; }, MutationValidationError);
+    assert.strictEqual(count.violationCount, 0);
+  });
+
+  test('Validator errors should propagate unchanged', () => {
+    const count = limitedLet(1, 3, { validate: () => { throw new RangeError('validator bug'); } });
+    assert.throws(() => { count.value = 2; }, RangeError);
+  });
+
+  // === DEEP MUTATIONS ===
+
+  test('Deep mutations should be validated with their path', () => {
+    const seen = [];
+    const settings = limitedLet({ volume: 5 }, 5, {
+      validate: (newValue, oldValue, ctx) => {
+        seen.push(ctx);
+        return ctx.path !== 'volume' || (newValue >= 0 && newValue <= 10) || 'volume out of range';
+      }
+    });
+
+    settings.value.volume = 8;
+    assert.throws(() => { settings.value.volume = 11; }, /Mutation rejected at path: volume: volume out of range/);
+    assert.strictEqual(settings.value.volume, 8);
+    assert.strictEqual(settings.mutationCount, 1);
+    assert.strictEqual(seen[0].type, 'deep-mutation');
+    assert.strictEqual(seen[0].mutationType, 'property');
+  });
+
+  test('Rejected deep writes should leave the object untouched in non-strict mode', () => {
+    const settings = limitedLet({ tags: ['a'], name: 'x' }, 5, {
+      strictMode: false,
+      validate: (newValue, oldValue, ctx) => ctx.next.tags === undefined || ctx.next.tags.length <= 1
+    });
+
+    settings.value.tags.push('b');
+    delete settings.value.name;
+    settings.value.tags = ['c', 'd'];
+
+    assert.deepStrictEqual(settings.value, { tags: ['a'] });
+    assert.strictEqual(settings.mutationCount, 1);
+    const rejected = settings.history.filter(entry => entry.type === 'rejected');
+    assert.strictEqual(rejected.length, 2);
+    assert.strictEqual(rejected[0].mutationPath, 'tags.push()');
+  });
+
+  test('ctx.next should describe the whole value after the mutation', () => {
+    let next = null;
+    const settings = limitedLet({ profile: { name: 'Ada' } }, 5, {
+      validate: (newValue, oldValue, ctx) => { next = ctx.next; }
+    });
+
+    settings.value.profile.name = 'Grace';
+    assert.deepStrictEqual(next, { profile: { name: 'Grace' } });
+  });
+
+  // === STANDARD SCHEMA ===
+
+  test('fromStandardSchema() should validate whole values', () => {
+    const settings = limitedLet({ theme: 'light' }, 5, { validate: fromStandardSchema(themeSchema()) });
+
+    settings.value = { theme: 'dark' };
+    try {
+      settings.value = { theme: 'neon' };
+      assert.fail('Expected MutationValidationError');
+    } catch (error) {
+      assert.ok(error instanceof MutationValidationError);
+      assert.strictEqual(error.context.reason, 'theme: Invalid theme');
+      assert.strictEqual(error.context.issues.length, 1);
+    }
+  });
+
+  test('fromStandardSchema() should validate deep edits against the whole value', () => {
+    const settings = limitedLet({ theme: 'light' }, 5, { validate: fromStandardSchema(themeSchema()) });
+
+    settings.value.theme = 'dark';
+    assert.throws(() => { settings.value.theme = 'neon'; }, MutationValidationError);
+    assert.strictEqual(settings.value.theme, 'dark');
+  });
+
+  test('fromStandardSchema() should reject non-schemas and async schemas', () => {
+    assert.throws(() => fromStandardSchema({}), /Standard Schema interface/);
+
+    const asyncSchema = { '~standard': { version: 1, vendor: 'test', validate: async (value) => ({ value }) } };
+    const settings = limitedLet({}, 5, { validate: fromStandardSchema(asyncSchema) });
+    assert.throws(() => { settings.value = { a: 1 }; }, /Asynchronous schemas are not supported/);
+  });
+
+  console.log('\n' + '='.repeat(70));
+  console.log(`Validation Test Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  return { passed, failed };
+}
+
+if (require.main === module) {
+  runValidationTests();
+}
+
+module.exports = { runValidationTests };